@@ -1,44 +1,169 @@
-// AI Client - Wrapper for Chrome's built-in AI APIs
+// AI Client - Runs the privacy analysis pipeline on the configured language model provider
 import {
   PROMPT_TEMPLATES,
   formatPrompt,
-  validateResponse,
+  coerceResponse,
   generateFallbackResponse,
-  SYSTEM_PROMPTS,
-  AI_CONFIG
+  AI_CONFIG,
+  ANALYSIS_ENGINES,
+  STEP_OUTCOMES
 } from './prompt-templates.js';
+import { analyzeWithHeuristics } from './heuristic-engine.js';
+import { splitPolicyIntoChunks } from './policy-chunker.js';
+import { citeClaim } from './evidence.js';
+import { classifyPolicy, describeRiskFindings } from './clause-classifier.js';
+import { parseModelJSON } from './response-parser.js';
+import { createProvider, AI_PROVIDERS } from './providers.js';
+import { assessRisk } from './risk-scoring.js';
+import { getLanguageName } from '../utils/language.js';
+import { selectDocumentText, POLICY_DOCUMENT_TYPES } from '../utils/policy-crawler.js';
+import { lookupCookie } from '../utils/cookie-catalog.js';
+import { formatStorageReport } from '../utils/cookie-extractor.js';
+import { formatFingerprintReport } from '../utils/fingerprint-detector.js';
+import { formatNetworkReport } from '../utils/request-monitor.js';
+
+// Language model backend used for every prompt, Chrome built-in AI by default
+let activeProvider = createProvider();
+let activeProviderKey = null;
+
+// Cached model input quota (tokens), read once per provider
+let modelInputQuota = null;
+
+// Cookie policy text sent beside the cookie list; cookie tables rarely need more
+const MAX_COOKIE_POLICY_CHARS = 4000;
+
+// Document types that describe deletion rights
+const DELETION_DOCUMENT_TYPES = [
+  POLICY_DOCUMENT_TYPES.PRIVACY,
+  POLICY_DOCUMENT_TYPES.CCPA,
+  POLICY_DOCUMENT_TYPES.OTHER
+];
+
+// Switch the language model backend ({ aiProvider, aiEndpoint, aiModel } settings)
+export function configureAIProvider(settings = {}) {
+  const key = JSON.stringify([settings.aiProvider, settings.aiEndpoint, settings.aiModel]);
+  if (key === activeProviderKey) return;
+
+  activeProvider = createProvider(settings);
+  activeProviderKey = key;
+  modelInputQuota = null;
+  console.log(`AI provider set to ${activeProvider.id}`);
+}
+
+// Pipeline steps reported through the onProgress callback, in order
+export const ANALYSIS_STEPS = {
+  SCRAPE: 'scrape',
+  POLICY: 'policy',
+  SUMMARY: 'summary',
+  COOKIES: 'cookies',
+  DELETION: 'deletion',
+  SCORE: 'score'
+};
+
+// Send a progress event ({ step, status: 'running' | 'done', result, outcome }) to a
+// listener. A failing listener (e.g. a closed popup) never interrupts the analysis.
+export function reportProgress(onProgress, step, status, result, outcome) {
+  if (typeof onProgress !== 'function') return;
+
+  try {
+    onProgress({ step, status, result: result ?? null, outcome: outcome ?? null });
+  } catch (error) {
+    console.warn(`Progress listener failed for step ${step}:`, error.message);
+  }
+}
+
+// Whether an error comes from an aborted analysis (AbortController.abort()).
+// Aborts propagate instead of falling back, so a cancelled analysis stops.
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+// Check whether the configured language model can be used right now.
+// signal (optional AbortSignal) cancels the check.
+export async function checkAIAvailability(signal) {
+  return await activeProvider.isAvailable(signal);
+}
 
 // Main function to analyze privacy policy using AI
-export async function analyzePrivacyPolicy(analysisData) {
+// signal (optional AbortSignal) cancels the remaining model calls.
+// analysisData.completedSteps ({ [step]: { result, outcome } }, from the 'done' progress
+// events of an interrupted run) lets a restarted analysis skip steps it already finished.
+export async function analyzePrivacyPolicy(analysisData, onProgress, signal) {
   console.log('Starting AI analysis for:', analysisData.domain);
 
   try {
+    // Split the policy once so every step sees the whole text
+    const policyChunks = await chunkPolicyText(analysisData.privacyPolicyText);
+    console.log(`Policy split into ${policyChunks.length} chunk(s)`);
+
+    // How each step's result was obtained: success, repaired, retried or fallback
+    const stepOutcomes = {};
+
+    // Free-text answers come back in the user's UI language, whatever the policy's
+    const outputLanguage = analysisData.outputLanguage || 'en';
+
+    const stepContext = { completedSteps: analysisData.completedSteps, stepOutcomes, onProgress };
+
+    // Cookie and deletion steps read the crawled page they concern
+    const { cookiePolicyText, deletionText } = selectStepTexts(analysisData.policyDocuments, analysisData.privacyPolicyText);
+    const deletionChunks = deletionText === analysisData.privacyPolicyText ?
+      policyChunks : await chunkPolicyText(deletionText);
+
     // Step 1: Summarize privacy policy
-    const summarizerResult = await runSummarizer(analysisData.privacyPolicyText);
+    const summarizerResult = await runStep(ANALYSIS_STEPS.SUMMARY, 'summarizer', stepContext, () =>
+      runSummarizer(analysisData.privacyPolicyText, policyChunks, stepOutcomes, outputLanguage, signal));
 
     // Step 2: Analyze cookies
-    const cookieResult = await runCookieAnalysis(analysisData.cookies);
+    const cookieResult = await runStep(ANALYSIS_STEPS.COOKIES, 'cookies', stepContext, () =>
+      runCookieAnalysis(analysisData.cookies, cookiePolicyText, analysisData.networkRequests, stepOutcomes, signal));
 
     // Step 3: Analyze deletion rights
-    const deletionResult = await runDeletionAnalysis(analysisData.privacyPolicyText);
+    const deletionResult = await runStep(ANALYSIS_STEPS.DELETION, 'deletion', stepContext, () =>
+      runDeletionAnalysis(deletionText, deletionChunks, stepOutcomes, outputLanguage, signal));
 
     // Step 4: Generate overall risk assessment
-    const riskResult = await runRiskAssessment({
+    reportProgress(onProgress, ANALYSIS_STEPS.SCORE, 'running');
+    const riskInput = {
+      policyText: analysisData.privacyPolicyText,
+      policyLanguage: analysisData.policyLanguage,
+      hasPolicyLink: hasPolicyLink(analysisData),
       summarizer: summarizerResult,
       cookies: cookieResult,
-      deletion: deletionResult,
+      network: analysisData.networkRequests,
+      fingerprinting: analysisData.fingerprinting,
+      deletion: deletionResult
+    };
+    const riskResult = await runRiskAssessment({
+      ...riskInput,
       domain: analysisData.domain,
       url: analysisData.url
+    }, stepOutcomes, outputLanguage, signal);
+
+    // Score from detected factors; the model's score only adjusts it within bounds
+    const assessment = assessRisk({
+      ...riskInput,
+      modelAssessment: stepOutcomes.risk === STEP_OUTCOMES.FALLBACK ? null : riskResult
     });
+    reportProgress(onProgress, ANALYSIS_STEPS.SCORE, 'done', assessment, stepOutcomes.risk);
 
     // Combine all results into final output
     const finalResult = combineAnalysisResults({
       domain: analysisData.domain,
       url: analysisData.url,
+      policyText: analysisData.privacyPolicyText,
+      policyLanguage: analysisData.policyLanguage,
+      policyDocuments: analysisData.policyDocuments,
+      policySource: analysisData.policySource,
+      networkRequests: analysisData.networkRequests,
+      storage: analysisData.storage,
+      fingerprinting: analysisData.fingerprinting,
       summarizer: summarizerResult,
       cookies: cookieResult,
       deletion: deletionResult,
       risk: riskResult,
+      assessment,
+      engine: activeProvider.engine,
+      stepOutcomes,
       timestamp: Date.now()
     });
 
@@ -46,87 +171,345 @@ export async function analyzePrivacyPolicy(analysisData) {
     return finalResult;
 
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('AI analysis failed:', error);
 
-    // Return fallback analysis
-    return generateFallbackAnalysis(analysisData);
+    // Return heuristic analysis
+    const heuristicResult = await analyzeWithHeuristics(analysisData);
+    reportProgress(onProgress, ANALYSIS_STEPS.SCORE, 'done', heuristicResult);
+    return heuristicResult;
   }
 }
 
-// Step 1: Summarize privacy policy text
-async function runSummarizer(policyText) {
+// Analyze without a language model using the rule-based clause classifier
+export async function analyzeWithRules(analysisData, onProgress, signal) {
+  console.log('Starting rule-based analysis for:', analysisData.domain);
+  signal?.throwIfAborted();
+
+  try {
+    // The clause classifier's patterns are English; other policies are scored
+    // from cookies and policy presence only
+    const policyLanguage = analysisData.policyLanguage || 'en';
+    const policyText = policyLanguage === 'en' ? analysisData.privacyPolicyText : '';
+    const classification = classifyPolicy(policyText);
+
+    const summarizerResult = generateFallbackResponse('SUMMARIZER', { policyText });
+    if (policyLanguage !== 'en' && analysisData.privacyPolicyText) {
+      summarizerResult.summary = `The privacy policy is in ${getLanguageName(policyLanguage)}, which the offline classifier cannot read. ` +
+        'Configure a language model on the options page to analyze it.';
+    }
+    reportProgress(onProgress, ANALYSIS_STEPS.SUMMARY, 'done', summarizerResult);
+
+    const documents = policyText ? analysisData.policyDocuments : null;
+    const { cookiePolicyText, deletionText } = selectStepTexts(documents, policyText);
+
+    const cookieResult = generateFallbackResponse('COOKIE_ANALYZER', {
+      cookieData: analysisData.cookies,
+      networkRequests: analysisData.networkRequests,
+      policyText: cookiePolicyText || policyText
+    });
+    reportProgress(onProgress, ANALYSIS_STEPS.COOKIES, 'done', cookieResult);
+
+    const deletionResult = generateFallbackResponse('DELETION_ANALYZER', { policyText: deletionText });
+    reportProgress(onProgress, ANALYSIS_STEPS.DELETION, 'done', deletionResult);
+
+    const riskResult = generateFallbackResponse('RISK_SCORER', {
+      policyText,
+      hasPolicyLink: hasPolicyLink(analysisData),
+      summarizer: summarizerResult,
+      cookies: cookieResult,
+      network: analysisData.networkRequests,
+      fingerprinting: analysisData.fingerprinting,
+      deletion: deletionResult
+    });
+
+    // Replace the generic fallback reasons with what the classifier found
+    const findings = describeRiskFindings(classification);
+    if (findings.length > 0) {
+      riskResult.reasons = findings.map(f => f.reason);
+      riskResult.evidence = findings.map(f => f.quote);
+      riskResult.actions = ["Review the cited policy sections", "Adjust cookie and privacy settings on this site"];
+    }
+    reportProgress(onProgress, ANALYSIS_STEPS.SCORE, 'done', riskResult);
+
+    return combineAnalysisResults({
+      domain: analysisData.domain,
+      url: analysisData.url,
+      policyText,
+      policyLanguage,
+      policyDocuments: analysisData.policyDocuments,
+      policySource: analysisData.policySource,
+      networkRequests: analysisData.networkRequests,
+      storage: analysisData.storage,
+      fingerprinting: analysisData.fingerprinting,
+      summarizer: summarizerResult,
+      cookies: cookieResult,
+      deletion: deletionResult,
+      risk: riskResult,
+      assessment: riskResult,
+      engine: ANALYSIS_ENGINES.RULES,
+      timestamp: Date.now()
+    });
+
+  } catch (error) {
+    console.error('Rule-based analysis failed:', error);
+    const heuristicResult = await analyzeWithHeuristics(analysisData);
+    reportProgress(onProgress, ANALYSIS_STEPS.SCORE, 'done', heuristicResult);
+    return heuristicResult;
+  }
+}
+
+// Run a model step, reporting its progress, unless completedSteps already holds its
+// result. outcomeKey is the step's entry in stepOutcomes.
+async function runStep(step, outcomeKey, { completedSteps, stepOutcomes, onProgress }, run) {
+  const saved = completedSteps?.[step];
+
+  if (saved?.result) {
+    console.log(`Resuming with the saved ${step} result`);
+    stepOutcomes[outcomeKey] = saved.outcome || STEP_OUTCOMES.SUCCESS;
+    reportProgress(onProgress, step, 'done', saved.result, stepOutcomes[outcomeKey]);
+    return saved.result;
+  }
+
+  reportProgress(onProgress, step, 'running');
+  const result = await run();
+  reportProgress(onProgress, step, 'done', result, stepOutcomes[outcomeKey]);
+
+  return result;
+}
+
+// Whether the site has a policy: linked from the page, or found by discovery
+function hasPolicyLink(analysisData) {
+  return analysisData.privacyPolicyLinks?.length > 0 || !!analysisData.policySource;
+}
+
+// Text for the cookie step (the cookie policy pages, '' when none were crawled) and
+// the deletion step (privacy and state notices, else the whole policy)
+function selectStepTexts(policyDocuments, policyText) {
+  const cookieText = selectDocumentText(policyDocuments, [POLICY_DOCUMENT_TYPES.COOKIE]) || '';
+
+  return {
+    cookiePolicyText: cookieText.substring(0, MAX_COOKIE_POLICY_CHARS),
+    deletionText: selectDocumentText(policyDocuments, DELETION_DOCUMENT_TYPES) || policyText || ''
+  };
+}
+
+// Split policy text into chunks that fit the model's input quota
+async function chunkPolicyText(policyText) {
+  if (!policyText) return [];
+
+  const maxChars = await getChunkCharLimit();
+  return splitPolicyIntoChunks(policyText, maxChars);
+}
+
+// Largest chunk (in characters) that fits beside the longest policy prompt
+async function getChunkCharLimit() {
+  const quota = await getModelInputQuota();
+  if (!quota) return AI_CONFIG.maxChunkChars;
+
+  const templateChars = Math.max(
+    PROMPT_TEMPLATES.SUMMARIZER.template.length,
+    PROMPT_TEMPLATES.DELETION_ANALYZER.template.length
+  );
+  const available = quota * AI_CONFIG.charsPerToken - templateChars;
+
+  return Math.max(1000, Math.min(AI_CONFIG.maxChunkChars, available));
+}
+
+async function getModelInputQuota() {
+  if (modelInputQuota !== null) return modelInputQuota;
+
+  modelInputQuota = 0;
+  try {
+    modelInputQuota = await withTimeout(activeProvider.getInputQuota(), 'Input quota');
+  } catch (error) {
+    console.warn('Could not read model input quota:', error);
+  }
+
+  return modelInputQuota;
+}
+
+// Step 1: Summarize privacy policy text (map over chunks, then reduce)
+async function runSummarizer(policyText, policyChunks, stepOutcomes, outputLanguage, signal) {
   if (!policyText || policyText.length < 100) {
+    stepOutcomes.summarizer = STEP_OUTCOMES.FALLBACK;
     return generateFallbackResponse('SUMMARIZER', { policyText });
   }
 
-  const { prompt } = formatPrompt('SUMMARIZER', { policyText });
+  const partials = [];
+  const chunkOutcomes = [];
 
-  try {
-    const response = await callAISummarizer(policyText, {
-      type: 'key-points',
-      format: 'json',
-      length: 'short'
+  for (const chunk of policyChunks) {
+    const { prompt } = formatPrompt('SUMMARIZER', {
+      policyText: chunk.text,
+      responseLanguage: getLanguageName(outputLanguage)
     });
 
-    if (validateResponse('SUMMARIZER', response)) {
-      return JSON.parse(response);
-    } else {
-      throw new Error('Invalid summarizer response format');
+    try {
+      const { result, outcome } = await promptForJSON('SUMMARIZER', prompt, {
+        temperature: 0.1,
+        maxTokens: 500,
+        signal
+      });
+
+      partials.push(result);
+      chunkOutcomes.push(outcome);
+
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Summarizer failed on chunk ${chunk.index + 1}/${policyChunks.length}:`, error);
+      chunkOutcomes.push(STEP_OUTCOMES.FALLBACK);
     }
+  }
 
-  } catch (error) {
-    console.warn('Summarizer failed, using fallback:', error);
+  if (partials.length === 0) {
+    console.warn('Summarizer failed on every chunk, using fallback');
+    stepOutcomes.summarizer = STEP_OUTCOMES.FALLBACK;
     return generateFallbackResponse('SUMMARIZER', { policyText });
   }
+
+  stepOutcomes.summarizer = worstOutcome(chunkOutcomes);
+  return reduceSummaries(partials, outputLanguage, signal);
+}
+
+// Merge per-chunk summaries into a single SUMMARIZER result
+async function reduceSummaries(partials, outputLanguage, signal) {
+  const merged = {
+    summary: partials[0].summary,
+    categories: uniqueValues(partials.flatMap(p => p.categories || [])),
+    retention_clauses: uniqueValues(partials.flatMap(p => p.retention_clauses || [])),
+    notable_clauses: uniqueValues(partials.flatMap(p => p.notable_clauses || [])),
+    // Earlier chunks win when two chunks quote the same item
+    quotes: Object.assign({}, ...partials.slice().reverse().map(p => p.quotes || {}))
+  };
+
+  if (partials.length > 1) {
+    const partialSummaries = partials.map(p => p.summary).join('\n');
+
+    try {
+      const { value } = await withRetries('Summary reduce', () =>
+        callAISummarizer(partialSummaries, {
+          type: 'tl;dr',
+          format: 'plain-text',
+          length: 'short',
+          outputLanguage,
+          signal
+        }), signal
+      );
+      merged.summary = value;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn('Summary reduce step failed, keeping first chunk summary:', error);
+    }
+  }
+
+  return merged;
 }
 
 // Step 2: Analyze cookie data
-async function runCookieAnalysis(cookieData) {
-  const { prompt } = formatPrompt('COOKIE_ANALYZER', { cookieData });
+async function runCookieAnalysis(cookieData, cookiePolicyText, networkRequests, stepOutcomes, signal) {
+  const { prompt } = formatPrompt('COOKIE_ANALYZER', {
+    cookieData,
+    networkRequests: describeNetworkRequests(networkRequests),
+    cookiePolicyText: cookiePolicyText || 'No separate cookie policy found.'
+  });
 
   try {
-    const response = await callAIPrompt(prompt, {
+    const { result, outcome } = await promptForJSON('COOKIE_ANALYZER', prompt, {
       temperature: 0.1,
-      maxTokens: 400
+      maxTokens: 400,
+      signal
     });
 
-    if (validateResponse('COOKIE_ANALYZER', response)) {
-      return JSON.parse(response);
-    } else {
-      throw new Error('Invalid cookie analysis response');
-    }
+    stepOutcomes.cookies = outcome;
+    return result;
 
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.warn('Cookie analysis failed, using fallback:', error);
-    return generateFallbackResponse('COOKIE_ANALYZER', { cookieData });
+    stepOutcomes.cookies = STEP_OUTCOMES.FALLBACK;
+    return generateFallbackResponse('COOKIE_ANALYZER', { cookieData, networkRequests, policyText: cookiePolicyText });
   }
 }
 
-// Step 3: Analyze deletion rights
-async function runDeletionAnalysis(policyText) {
-  const { prompt } = formatPrompt('DELETION_ANALYZER', { policyText });
+// Third-party request counts and named trackers for the cookie prompt; the full
+// per-domain breakdown would not fit its budget
+function describeNetworkRequests(networkRequests) {
+  if (!networkRequests) return 'No third-party requests were recorded for this page.';
 
-  try {
-    const response = await callAIPrompt(prompt, {
-      temperature: 0.1,
-      maxTokens: 300
+  return {
+    third_party_requests: networkRequests.thirdPartyRequests,
+    third_party_domains: networkRequests.thirdPartyDomains,
+    trackers: networkRequests.trackers.map(({ domain, company, category }) => ({ domain, company, category }))
+  };
+}
+
+// Step 3: Analyze deletion rights (check every chunk, then merge)
+async function runDeletionAnalysis(policyText, policyChunks, stepOutcomes, outputLanguage, signal) {
+  const partials = [];
+  const chunkOutcomes = [];
+
+  for (const chunk of policyChunks) {
+    const { prompt } = formatPrompt('DELETION_ANALYZER', {
+      policyText: chunk.text,
+      responseLanguage: getLanguageName(outputLanguage)
     });
 
-    if (validateResponse('DELETION_ANALYZER', response)) {
-      return JSON.parse(response);
-    } else {
-      throw new Error('Invalid deletion analysis response');
+    try {
+      const { result, outcome } = await promptForJSON('DELETION_ANALYZER', prompt, {
+        temperature: 0.1,
+        maxTokens: 300,
+        signal
+      });
+
+      partials.push(result);
+      chunkOutcomes.push(outcome);
+
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Deletion analysis failed on chunk ${chunk.index + 1}/${policyChunks.length}:`, error);
+      chunkOutcomes.push(STEP_OUTCOMES.FALLBACK);
     }
+  }
 
-  } catch (error) {
-    console.warn('Deletion analysis failed, using fallback:', error);
+  if (partials.length === 0) {
+    console.warn('Deletion analysis failed, using fallback');
+    stepOutcomes.deletion = STEP_OUTCOMES.FALLBACK;
     return generateFallbackResponse('DELETION_ANALYZER', { policyText });
   }
+
+  stepOutcomes.deletion = worstOutcome(chunkOutcomes);
+  return mergeDeletionResults(partials);
+}
+
+// Most informative deletion answer wins when chunks disagree
+const DELETION_PRECEDENCE = ['yes', 'partial', 'no', 'unknown'];
+
+function mergeDeletionResults(partials) {
+  const canDelete = DELETION_PRECEDENCE.find(status =>
+    partials.some(p => p.can_delete === status)
+  ) || 'unknown';
+
+  const relevant = partials.filter(p => p.can_delete === canDelete);
+
+  return {
+    can_delete: canDelete,
+    instructions: uniqueValues(relevant.map(p => p.instructions)).join(' '),
+    links: uniqueValues(partials.flatMap(p => p.links || [])),
+    contacts: uniqueValues(partials.flatMap(p => p.contacts || [])),
+    quote: relevant.map(p => p.quote).find(Boolean) || ''
+  };
+}
+
+// De-duplicate non-empty values, preserving order
+function uniqueValues(values) {
+  return [...new Set(values.filter(v => v !== undefined && v !== null && v !== ''))];
 }
 
 // Step 4: Generate risk assessment
-async function runRiskAssessment(combinedData) {
+async function runRiskAssessment(combinedData, stepOutcomes, outputLanguage, signal) {
   const { prompt } = formatPrompt('RISK_SCORER', {
+    responseLanguage: getLanguageName(outputLanguage),
     summarizerResult: combinedData.summarizer,
     cookieResult: combinedData.cookies,
     deletionResult: combinedData.deletion,
@@ -135,64 +518,222 @@ async function runRiskAssessment(combinedData) {
   });
 
   try {
-    const response = await callAIPrompt(prompt, {
+    const { result, outcome } = await promptForJSON('RISK_SCORER', prompt, {
       temperature: 0.2,
-      maxTokens: 400
+      maxTokens: 400,
+      signal
     });
 
-    if (validateResponse('RISK_SCORER', response)) {
-      return JSON.parse(response);
-    } else {
-      throw new Error('Invalid risk assessment response');
-    }
+    stepOutcomes.risk = outcome;
+    return result;
 
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.warn('Risk assessment failed, using fallback:', error);
+    stepOutcomes.risk = STEP_OUTCOMES.FALLBACK;
     return generateFallbackResponse('RISK_SCORER', combinedData);
   }
 }
 
+// Prompt the model for JSON, retrying with backoff and repairing malformed replies.
+// Resolves with the validated result and how it was obtained; throws after the last retry.
+async function promptForJSON(templateName, prompt, options) {
+  const schema = PROMPT_TEMPLATES[templateName]?.schema;
+
+  const { value, retried } = await withRetries(templateName, async () => {
+    const response = await callAIPrompt(prompt, { ...options, responseConstraint: schema });
+    const parsed = parseModelJSON(response);
+
+    if (parsed.repaired) {
+      console.log(`${templateName} response needed JSON repair`);
+    }
+
+    const checked = coerceResponse(templateName, parsed.value);
+    if (!checked.valid) {
+      throw new Error(`Invalid ${templateName} response format: ${checked.errors.join('; ')}`);
+    }
+
+    return { value: checked.value, repaired: parsed.repaired };
+  }, options.signal);
+
+  let outcome = STEP_OUTCOMES.SUCCESS;
+  if (retried) {
+    outcome = STEP_OUTCOMES.RETRIED;
+  } else if (value.repaired) {
+    outcome = STEP_OUTCOMES.REPAIRED;
+  }
+
+  return { result: value.value, outcome };
+}
+
+// Run a model call up to AI_CONFIG.maxRetries extra times with exponential backoff.
+// An aborted signal ends the backoff wait as well as the call.
+async function withRetries(label, fn, signal) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= AI_CONFIG.maxRetries; attempt++) {
+    if (attempt > 0) {
+      const delayMs = AI_CONFIG.retryDelayMs * 2 ** (attempt - 1);
+      console.log(`Retrying ${label} in ${delayMs}ms (attempt ${attempt + 1}/${AI_CONFIG.maxRetries + 1})`);
+      await waitForRetry(delayMs, signal);
+    }
+
+    try {
+      return { value: await fn(), retried: attempt > 0 };
+    } catch (error) {
+      lastError = error;
+      console.warn(`${label} attempt ${attempt + 1} failed:`, error.message);
+
+      // Missing APIs will not appear on retry, and a cancelled analysis stays cancelled
+      if (error.retryable === false || isAbortError(error)) break;
+    }
+  }
+
+  throw lastError;
+}
+
+// Resolve after delayMs, or reject with the signal's reason as soon as it aborts
+function waitForRetry(delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delayMs);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Reject if the promise does not settle within AI_CONFIG.timeoutMs, or as soon as
+// the optional signal aborts (a backend that ignores the signal is abandoned)
+function withTimeout(promise, label, signal) {
+  let timer;
+  let onAbort;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${label} timed out after ${AI_CONFIG.timeoutMs}ms`)),
+      AI_CONFIG.timeoutMs
+    );
+
+    if (signal) {
+      onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+
+  return Promise.race([promise, timeout]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
+}
+
+// Overall outcome of a multi-call step is its least successful call
+function worstOutcome(outcomes) {
+  const order = [STEP_OUTCOMES.SUCCESS, STEP_OUTCOMES.REPAIRED, STEP_OUTCOMES.RETRIED, STEP_OUTCOMES.FALLBACK];
+  return outcomes.reduce((worst, outcome) =>
+    order.indexOf(outcome) > order.indexOf(worst) ? outcome : worst
+  , STEP_OUTCOMES.SUCCESS);
+}
+
 // Combine all analysis results into final format
 function combineAnalysisResults(data) {
+  // Categories are schema-checked for model replies, but guard against other shapes.
+  // Known cookies are annotated with their vendor from the cookie catalog.
   const cookieSummary = data.cookies.categories ?
-    Object.entries(data.cookies.categories).map(([category, cookies]) => ({
-      category,
-      count: cookies.length,
-      examples: cookies.slice(0, 3).map(c => ({ name: c.name, domain: c.domain }))
-    })) : [];
+    Object.entries(data.cookies.categories)
+      .filter(([, cookies]) => Array.isArray(cookies))
+      .map(([category, cookies]) => ({
+        category,
+        count: cookies.length,
+        examples: cookies.slice(0, 3).map(c => {
+          const known = lookupCookie(c.name);
+          return { name: c.name, domain: c.domain, vendor: known?.vendor || null, lifetime: known?.lifetime || null };
+        }),
+        vendors: summarizeCookieVendors(cookies)
+      })) : [];
 
   return {
     domain: data.domain,
     url: data.url,
     summary: data.summarizer.summary,
-    data_use: extractDataUseFromSummary(data.summarizer),
+    data_use: extractDataUseFromSummary(data.summarizer, data.policyText),
+    retention_clauses: (data.summarizer.retention_clauses || []).map(clause => ({
+      clause,
+      evidence: citeClaim(data.policyText, clause, data.summarizer.quotes?.[clause])
+    })),
     deletion: {
       can_user_delete: data.deletion.can_delete,
       how: data.deletion.instructions,
-      contacts_found: data.deletion.contacts || []
+      contacts_found: data.deletion.contacts || [],
+      evidence: citeClaim(data.policyText, data.deletion.instructions, data.deletion.quote)
     },
     cookies: {
       cookie_count: data.cookies.first_party + data.cookies.third_party,
       third_party_cookies: data.cookies.third_party,
       tracking_cookies_detected: data.cookies.tracking === true || data.cookies.tracking === "likely",
-      cookies_summary: cookieSummary
+      cookies_summary: cookieSummary,
+      network: formatNetworkReport(data.networkRequests),
+      storage: formatStorageReport(data.storage)
     },
-    risk_score: data.risk.risk_score,
-    verdict: data.risk.verdict,
+    risk_score: data.assessment.risk_score,
+    verdict: data.assessment.verdict,
+    risk_breakdown: data.assessment.breakdown,
     reasons: data.risk.reasons,
+    reason_evidence: data.risk.reasons.map((reason, index) =>
+      citeClaim(data.policyText, reason, data.risk.evidence?.[index])
+    ),
     actions: data.risk.actions || [],
     confidence: calculateConfidence(data),
+    engine: data.engine,
+    fingerprinting: formatFingerprintReport(data.fingerprinting),
+    policy_language: data.policyLanguage || null,
+    policy_source: data.policySource || null,
+    policy_documents: (data.policyDocuments || []).map(doc => ({
+      url: doc.url,
+      type: doc.type,
+      characters: doc.text.length
+    })),
+    step_outcomes: data.stepOutcomes || null,
     timestamp: data.timestamp
   };
 }
 
-// Extract data use information from summary
-function extractDataUseFromSummary(summarizerResult) {
+// Distinct catalog vendors among a category's cookies, with their privacy policies
+function summarizeCookieVendors(cookies) {
+  const vendors = new Map();
+
+  cookies.forEach(cookie => {
+    const known = lookupCookie(cookie.name);
+    if (known && !vendors.has(known.vendor)) {
+      vendors.set(known.vendor, { name: known.vendor, policy_url: known.policyUrl });
+    }
+  });
+
+  return [...vendors.values()];
+}
+
+// Extract data use information from summary, citing the policy for each entry
+function extractDataUseFromSummary(summarizerResult, policyText) {
+  const retention = summarizerResult.retention_clauses?.[0];
+  const quotes = summarizerResult.quotes || {};
+
   return summarizerResult.categories.map(category => ({
     type: category,
     purpose: "not specified",
-    retention: summarizerResult.retention_clauses?.[0] || "not specified",
-    shared_with: []
+    retention: retention || "not specified",
+    shared_with: [],
+    evidence: citeClaim(policyText, category, quotes[category]),
+    retention_evidence: retention ? citeClaim(policyText, retention, quotes[retention]) : null
   }));
 }
 
@@ -209,98 +750,15 @@ function calculateConfidence(data) {
   return Math.min(confidence, 1.0);
 }
 
-// Generate fallback analysis when AI fails completely
-function generateFallbackAnalysis(analysisData) {
-  const cookieCount = analysisData.cookies?.cookieCount || 0;
-  const thirdPartyCount = analysisData.cookies?.thirdPartyCookies || 0;
-
-  // Simple heuristic-based risk assessment
-  let riskScore = 30; // Base risk
-  if (thirdPartyCount > 5) riskScore += 30;
-  if (thirdPartyCount > 10) riskScore += 20;
-  if (!analysisData.privacyPolicyText) riskScore += 20;
-
-  const verdict = riskScore < 40 ? 'SAFE' : riskScore < 70 ? 'CAUTION' : 'UNSAFE';
-
-  return {
-    domain: analysisData.domain,
-    url: analysisData.url,
-    summary: "AI analysis unavailable. Manual privacy policy review recommended.",
-    data_use: [{ type: "unknown", purpose: "unknown", retention: "unknown", shared_with: [] }],
-    deletion: {
-      can_user_delete: "unknown",
-      how: "Contact website support for data deletion requests",
-      contacts_found: []
-    },
-    cookies: {
-      cookie_count: cookieCount,
-      third_party_cookies: thirdPartyCount,
-      tracking_cookies_detected: thirdPartyCount > 0,
-      cookies_summary: []
-    },
-    risk_score: Math.min(riskScore, 100),
-    verdict,
-    reasons: ["AI analysis unavailable", "High number of third-party cookies detected"],
-    actions: ["Review privacy policy manually", "Consider blocking third-party cookies"],
-    confidence: 0.3,
-    timestamp: Date.now()
-  };
-}
-
-// Chrome AI API wrapper functions
+// Language model calls, bounded by AI_CONFIG.timeoutMs
 async function callAISummarizer(text, options = {}) {
-  // Try Chrome's built-in summarizer API
-  if (typeof chrome !== 'undefined' && chrome.ai && chrome.ai.summarizer) {
-    try {
-      const summarizer = await chrome.ai.summarizer.create({
-        type: options.type || 'key-points',
-        format: options.format || 'markdown',
-        length: options.length || 'medium'
-      });
-
-      const result = await summarizer.summarize(text);
-      summarizer.destroy();
-
-      return result;
-    } catch (error) {
-      console.warn('Chrome AI summarizer failed:', error);
-      throw error;
-    }
-  }
-
-  // Fallback to experimental API
-  if (typeof chrome !== 'undefined' && chrome.ai && chrome.ai.languageModel) {
-    return await callAIPrompt(`Summarize this privacy policy in 2 sentences and list data categories as JSON: ${text}`, options);
-  }
-
-  throw new Error('Chrome AI APIs not available');
+  options.signal?.throwIfAborted();
+  return await withTimeout(activeProvider.summarize(text, options), 'Summarizer', options.signal);
 }
 
 async function callAIPrompt(prompt, options = {}) {
-  // Try Chrome's built-in prompt API
-  if (typeof chrome !== 'undefined' && chrome.ai && chrome.ai.languageModel) {
-    try {
-      const session = await chrome.ai.languageModel.create({
-        temperature: options.temperature || AI_CONFIG.temperature,
-        topK: options.topK || 3
-      });
-
-      const result = await session.prompt(prompt);
-      session.destroy();
-
-      return result;
-    } catch (error) {
-      console.warn('Chrome AI prompt API failed:', error);
-      throw error;
-    }
-  }
-
-  // Fallback for development/testing
-  if (typeof globalThis !== 'undefined' && globalThis.mockAI) {
-    return await globalThis.mockAI.prompt(prompt, options);
-  }
-
-  throw new Error('Chrome AI APIs not available');
+  options.signal?.throwIfAborted();
+  return await withTimeout(activeProvider.prompt(prompt, options), 'Prompt', options.signal);
 }
 
 // Mock AI for development/testing
@@ -310,11 +768,23 @@ export function enableMockAI() {
       console.log('Mock AI prompt:', prompt.substring(0, 100) + '...');
 
       // Simple mock responses based on prompt content
+      // (the risk prompt mentions every other step, so it is matched first)
+      if (prompt.includes('risk scoring')) {
+        return JSON.stringify({
+          risk_score: 65,
+          verdict: "CAUTION",
+          reasons: ["Third-party tracking detected", "Data sharing with partners"],
+          actions: ["Review privacy settings", "Consider ad blockers"]
+        });
+      }
+
       if (prompt.includes('summarizer')) {
         return JSON.stringify({
           summary: "This site collects personal data for analytics and marketing. Data may be shared with third parties.",
           categories: ["email", "ip", "device"],
-          retention_clauses: ["24 months for analytics data"]
+          retention_clauses: ["24 months for analytics data"],
+          notable_clauses: ["Disputes are resolved through binding arbitration"],
+          quotes: { email: "We collect your email address when you create an account." }
         });
       }
 
@@ -323,7 +793,10 @@ export function enableMockAI() {
           first_party: 3,
           third_party: 7,
           tracking: true,
-          categories: { analytics: 4, advertising: 3 }
+          categories: {
+            analytics: [{ name: "_ga", domain: ".example.com" }, { name: "_gid", domain: ".example.com" }],
+            advertising: [{ name: "IDE", domain: ".doubleclick.net" }]
+          }
         });
       }
 
@@ -332,16 +805,8 @@ export function enableMockAI() {
           can_delete: "yes",
           instructions: "Contact privacy@example.com to request data deletion",
           links: ["mailto:privacy@example.com"],
-          contacts: ["privacy@example.com"]
-        });
-      }
-
-      if (prompt.includes('risk')) {
-        return JSON.stringify({
-          risk_score: 65,
-          verdict: "CAUTION",
-          reasons: ["Third-party tracking detected", "Data sharing with partners"],
-          actions: ["Review privacy settings", "Consider ad blockers"]
+          contacts: ["privacy@example.com"],
+          quote: "You may request deletion of your data by emailing privacy@example.com."
         });
       }
 
@@ -349,5 +814,6 @@ export function enableMockAI() {
     }
   };
 
+  configureAIProvider({ aiProvider: AI_PROVIDERS.MOCK });
   console.log('Mock AI enabled for development');
 }
\ No newline at end of file
@@ -0,0 +1,61 @@
+// Analysis Version - Fingerprint of everything that shapes a verdict
+// Cached results store the version that produced them; a changed prompt template,
+// engine, scoring rule, cookie catalog or tracker list entry yields a new version
+// and the cached verdict goes stale
+
+import { PROMPT_TEMPLATES, SYSTEM_PROMPTS } from './prompt-templates.js';
+import { RISK_FACTORS, VERDICT_THRESHOLDS, MAX_MODEL_ADJUSTMENT, SCORING_VERSION } from './risk-scoring.js';
+import { getCatalogData } from '../utils/cookie-catalog.js';
+import { getTrackerListData } from '../utils/tracker-list.js';
+
+// Version string for results produced by an engine, e.g. "rules-3f2a9c1e"
+export function getAnalysisVersion(engine) {
+  return `${engine || 'unknown'}-${getRulesHash()}`;
+}
+
+// Whether a cached entry ({ result, engine, version }) was produced by the current rules
+export function isCurrentVersion(cacheEntry) {
+  if (!cacheEntry?.version) return false;
+
+  const engine = cacheEntry.engine || cacheEntry.result?.engine;
+  return cacheEntry.version === getAnalysisVersion(engine);
+}
+
+let rulesHash = null;
+
+// Templates, scoring rules and the bundled lists do not change at runtime, so hash them once
+function getRulesHash() {
+  if (rulesHash) return rulesHash;
+
+  const templates = Object.entries(PROMPT_TEMPLATES)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, template]) => [key, template.name, template.template, template.maxTokens, template.schema]);
+
+  rulesHash = hashString(JSON.stringify({
+    templates,
+    systemPrompts: SYSTEM_PROMPTS,
+    scoring: {
+      version: SCORING_VERSION,
+      factors: RISK_FACTORS,
+      thresholds: VERDICT_THRESHOLDS,
+      maxModelAdjustment: MAX_MODEL_ADJUSTMENT
+    },
+    // Cookie categories and known trackers decide the tracking factors
+    cookieCatalog: getCatalogData(),
+    trackerList: getTrackerListData()
+  }));
+
+  return rulesHash;
+}
+
+// 32-bit FNV-1a, hex encoded
+function hashString(text) {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,304 @@
+// Clause Classifier - Deterministic, rule-based analysis of privacy policy text
+// Tags policy sentences with data practice categories and fills the same result
+// shapes as the SUMMARIZER, DELETION_ANALYZER and COOKIE_ANALYZER prompts
+
+import { categorizeCookies } from '../utils/cookie-extractor.js';
+
+// Data practice categories and the patterns that signal them
+export const PRACTICE_CATEGORIES = {
+  FIRST_PARTY_COLLECTION: {
+    label: 'First-party collection',
+    patterns: [
+      /\bwe (may )?(collect|gather|obtain|receive|record|process)\b/i,
+      /\b(information|data) (that )?(we|you) (collect|provide)\b/i,
+      /\bwhen you (use|visit|register|sign up|create an account)\b/i
+    ]
+  },
+  THIRD_PARTY_SHARING: {
+    label: 'Third-party sharing',
+    patterns: [
+      /\b(share|disclose|transfer|provide|make available)\b.{0,80}\b(third[- ]part(y|ies)|partners?|affiliates?|advertisers?|vendors?|service providers?)\b/i,
+      /\b(third[- ]part(y|ies)|partners?|advertisers?)\b.{0,60}\b(receive|access|collect)\b/i
+    ]
+  },
+  DATA_SALE: {
+    label: 'Sale of personal data',
+    patterns: [
+      /\b(sell|sale of|sold)\b.{0,60}\b(personal|your) (data|information)\b/i,
+      /\bdo not sell\b/i
+    ]
+  },
+  DATA_RETENTION: {
+    label: 'Data retention',
+    patterns: [
+      /\b(retain|keep|store|hold)\b.{0,80}\b(\d+\s*(day|week|month|year)s?|as long as|until|period)\b/i,
+      /\bretention (period|policy|schedule)\b/i
+    ]
+  },
+  USER_CHOICE: {
+    label: 'User choice and control',
+    patterns: [
+      /\b(opt[- ]?out|opt[- ]?in|unsubscribe|withdraw (your )?consent)\b/i,
+      /\byou (can|may) (choose|disable|change|manage|adjust|control)\b/i,
+      /\b(cookie|privacy|ad) (settings|preferences|choices|controls)\b/i,
+      /\b(full|complete) control over your (data|information)\b/i
+    ]
+  },
+  USER_ACCESS: {
+    label: 'User access, edit and deletion',
+    patterns: [
+      /\b(access|correct|rectify|update|delete|erase|remove)\b.{0,60}\b(your|personal) (data|information|account)\b/i,
+      /\bright (to|of) (access|erasure|deletion|rectification|be forgotten)\b/i,
+      /\b(delete|close|deactivate) (your )?account\b/i
+    ]
+  },
+  DATA_SECURITY: {
+    label: 'Data security',
+    patterns: [
+      /\b(encrypt(ed|ion)?|secure socket|ssl|tls|safeguards?|security measures?)\b/i,
+      /\b(protect|secure)\b.{0,40}\b(your )?(data|information)\b/i
+    ]
+  },
+  POLICY_CHANGE: {
+    label: 'Policy change',
+    patterns: [
+      /\b(change|update|modify|amend|revise)\b.{0,40}\b(this|our) (privacy )?(policy|notice|statement)\b/i,
+      /\b(this|our) (privacy )?(policy|notice) (may|will) (be )?(change|update)/i
+    ]
+  },
+  DO_NOT_TRACK: {
+    label: 'Do Not Track',
+    patterns: [/\bdo[- ]not[- ]track\b/i, /\bglobal privacy control\b/i]
+  },
+  INTERNATIONAL_TRANSFER: {
+    label: 'International transfer',
+    patterns: [
+      /\b(transfer|process|store)\b.{0,60}\b(outside|other countries|abroad|united states|european economic area)\b/i,
+      /\bstandard contractual clauses\b/i
+    ]
+  },
+  DISPUTE_RESOLUTION: {
+    label: 'Dispute resolution',
+    patterns: [/\b(binding )?arbitration\b/i, /\bclass[- ]action (waiver|lawsuit)\b/i]
+  }
+};
+
+// Personal data types and the words that identify them
+const DATA_TYPE_RULES = {
+  email: /\be-?mail( address)?\b/i,
+  name: /\b(your|full|first|last) name\b|,\s*(and )?names?\b/i,
+  phone: /\b(phone|mobile|telephone) (number)?\b/i,
+  address: /\b(postal|mailing|billing|shipping|home) address\b/i,
+  payment: /\b(payment|credit card|debit card|billing|bank account)\b/i,
+  location: /\b(geo-?location|location data|gps|precise location)\b/i,
+  ip: /\bip address(es)?\b/i,
+  device: /\b(device (id|identifier|information|type)|advertising id|browser type|operating system)\b/i,
+  browsing: /\b(browsing|search) history\b|\bpages you visit\b/i,
+  contacts: /\b(contact list|address book)\b/i,
+  health: /\bhealth (data|information)\b/i,
+  biometric: /\bbiometric\b/i
+};
+
+// Sentences after a collection statement treated as its bullet list
+const LIST_CONTEXT_SENTENCES = 6;
+
+export const NEGATION_PATTERN = /\b(not|never|no longer|don't|do not|does not|will not|won't|cannot|can't)\b/i;
+export const DURATION_PATTERN = /\b\d+\s*(day|week|month|year)s?\b|\bas long as (necessary|needed|required)\b/i;
+const DELETION_PATTERN = /\b(delete|deletion|erase|erasure|remove|be forgotten)\b/i;
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const URL_PATTERN = /https?:\/\/[^\s"'<>)]+/gi;
+
+// Split the policy into sentences and tag each with the practices it describes
+export function classifyPolicy(policyText) {
+  const sentences = [];
+  const practices = {};
+
+  Object.keys(PRACTICE_CATEGORIES).forEach(id => { practices[id] = []; });
+
+  if (!policyText) return { sentences, practices };
+
+  const sentencePattern = /[^.!?\n]+[.!?]*/g;
+  let match;
+
+  while ((match = sentencePattern.exec(policyText)) !== null) {
+    const text = match[0].trim();
+    if (text.length < 15) continue;
+
+    const offset = match.index + (match[0].length - match[0].trimStart().length);
+    const tags = Object.entries(PRACTICE_CATEGORIES)
+      .filter(([, rule]) => rule.patterns.some(pattern => pattern.test(text)))
+      .map(([id]) => id);
+
+    const sentence = {
+      index: sentences.length,
+      text,
+      offset,
+      practices: tags,
+      negated: NEGATION_PATTERN.test(text)
+    };
+
+    sentences.push(sentence);
+    tags.forEach(id => practices[id].push(sentence));
+  }
+
+  return { sentences, practices };
+}
+
+// Fill the SUMMARIZER shape from a classification
+export function buildSummarizerResult(classification) {
+  const { sentences, practices } = classification;
+  const quotes = {};
+
+  // Data types mentioned in (or in list items just after) collection and sharing
+  // statements; with no such statements, anywhere in the policy
+  const collectionSentences = [...practices.FIRST_PARTY_COLLECTION, ...practices.THIRD_PARTY_SHARING];
+  const searchIn = collectionSentences.length > 0
+    ? sentences.filter(s => collectionSentences.some(c => s.index >= c.index && s.index <= c.index + LIST_CONTEXT_SENTENCES))
+    : sentences;
+  const categories = [];
+
+  Object.entries(DATA_TYPE_RULES).forEach(([type, pattern]) => {
+    const sentence = searchIn.find(s => pattern.test(s.text) && !s.negated);
+    if (sentence) {
+      categories.push(type);
+      quotes[type] = sentence.text;
+    }
+  });
+
+  const retentionClauses = practices.DATA_RETENTION
+    .filter(s => DURATION_PATTERN.test(s.text))
+    .slice(0, 3)
+    .map(s => {
+      quotes[s.text] = s.text;
+      return s.text;
+    });
+
+  const notableClauses = [
+    ...practices.DATA_SALE.filter(s => !s.negated),
+    ...practices.DISPUTE_RESOLUTION
+  ].slice(0, 3).map(s => {
+    quotes[s.text] = s.text;
+    return s.text;
+  });
+
+  return {
+    summary: describePractices(classification, categories),
+    categories: categories.length > 0 ? categories : ["unknown"],
+    retention_clauses: retentionClauses.length > 0 ? retentionClauses : ["not specified"],
+    notable_clauses: notableClauses,
+    quotes
+  };
+}
+
+// Fill the DELETION_ANALYZER shape from a classification
+export function buildDeletionResult(classification) {
+  const deletionSentences = classification.practices.USER_ACCESS
+    .filter(s => DELETION_PATTERN.test(s.text));
+
+  if (deletionSentences.length === 0) {
+    return {
+      can_delete: "unknown",
+      instructions: "No deletion process described in the policy",
+      links: [],
+      contacts: [],
+      quote: ''
+    };
+  }
+
+  const affirmative = deletionSentences.filter(s => !s.negated);
+  const conditional = affirmative.filter(s => /\b(some|certain|may retain|except|unless|limited)\b/i.test(s.text));
+
+  let canDelete = 'no';
+  if (affirmative.length > 0) {
+    canDelete = conditional.length === affirmative.length ? 'partial' : 'yes';
+  }
+
+  const relevant = affirmative.length > 0 ? affirmative : deletionSentences;
+  const relevantText = relevant.map(s => s.text).join(' ');
+
+  return {
+    can_delete: canDelete,
+    instructions: relevant.slice(0, 2).map(s => s.text).join(' '),
+    links: [...new Set(relevantText.match(URL_PATTERN) || [])],
+    contacts: [...new Set(relevantText.match(EMAIL_PATTERN) || [])],
+    quote: relevant[0].text
+  };
+}
+
+// Fill the COOKIE_ANALYZER shape from extracted cookies, the trackers seen on the
+// page (request-monitor summary) and the policy's cookie statements
+export function buildCookieResult(cookieData, classification, networkRequests = null) {
+  const cookieCount = cookieData?.cookieCount || 0;
+  const thirdParty = cookieData?.thirdPartyCookies || 0;
+  const cookies = cookieData?.allCookies?.length ? cookieData.allCookies : (cookieData?.documentCookies || []);
+
+  const categorized = categorizeCookies(cookies);
+  const categories = Object.fromEntries(
+    Object.entries(categorized).filter(([, list]) => list.length > 0)
+  );
+
+  // Headings such as "Cookies and Tracking" name a topic, not a practice
+  const policyMentionsTracking = (classification?.sentences || []).some(s =>
+    s.text.split(/\s+/).length >= 5 &&
+    /\bcookies?\b/i.test(s.text) && /\b(advertis\w*|track\w*|marketing|retarget\w*)\b/i.test(s.text) && !s.negated
+  );
+
+  const trackers = networkRequests?.trackers || [];
+
+  let tracking = 'unknown';
+  if ((categories.advertising || []).length > 0 || policyMentionsTracking ||
+      trackers.some(tracker => tracker.category === 'advertising')) {
+    tracking = true;
+  } else if (thirdParty > 0 || trackers.length > 0) {
+    tracking = 'likely';
+  }
+
+  return {
+    first_party: Math.max(cookieCount - thirdParty, 0),
+    third_party: thirdParty,
+    tracking,
+    categories
+  };
+}
+
+// Human-readable reasons for the practices that raise privacy risk,
+// each with the sentence that triggered it (empty when the finding is an absence)
+export function describeRiskFindings(classification) {
+  const { practices } = classification;
+  const findings = [];
+
+  const sale = practices.DATA_SALE.find(s => !s.negated);
+  const sharing = practices.THIRD_PARTY_SHARING.find(s => !s.negated);
+  const arbitration = practices.DISPUTE_RESOLUTION[0];
+
+  if (sale) findings.push({ reason: 'Policy allows sale of personal data', quote: sale.text });
+  if (sharing) findings.push({ reason: 'Shares data with third parties', quote: sharing.text });
+  if (arbitration) findings.push({ reason: 'Disputes go to arbitration', quote: arbitration.text });
+  if (practices.USER_CHOICE.length === 0) findings.push({ reason: 'No opt-out or user choices described', quote: '' });
+  if (practices.DATA_RETENTION.length === 0) findings.push({ reason: 'Unclear data retention', quote: '' });
+
+  return findings;
+}
+
+// Two-sentence summary of the practices found
+function describePractices(classification, categories) {
+  const { sentences, practices } = classification;
+
+  if (sentences.length === 0) {
+    return "No privacy policy text was available for rule-based analysis.";
+  }
+
+  const collected = categories.length > 0 ? categories.join(', ') : 'unspecified personal data';
+  const shares = practices.THIRD_PARTY_SHARING.some(s => !s.negated);
+  const first = `The policy describes collecting ${collected}${shares ? ' and sharing data with third parties' : ''}.`;
+
+  const covered = ['DATA_RETENTION', 'USER_CHOICE', 'USER_ACCESS', 'DATA_SECURITY', 'POLICY_CHANGE']
+    .filter(id => practices[id].length > 0)
+    .map(id => PRACTICE_CATEGORIES[id].label.toLowerCase());
+
+  const second = covered.length > 0
+    ? `It also covers ${covered.join(', ')}.`
+    : 'It does not describe retention, user choices or security practices.';
+
+  return `${first} ${second}`;
+}
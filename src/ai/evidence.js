@@ -0,0 +1,119 @@
+// Evidence Utilities - Ties analysis claims back to quotes in the policy text
+// Offsets are character positions in the policy text passed to the pipeline
+
+const MAX_QUOTE_LENGTH = 400;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'your', 'you', 'are',
+  'may', 'will', 'not', 'any', 'all', 'our', 'can', 'has', 'have', 'data',
+  'site', 'user', 'users', 'information', 'detected', 'found', 'clear'
+]);
+
+// Cite a claim: prefer the model's quote when it really appears in the policy,
+// otherwise fall back to the sentence that best matches the claim's keywords
+export function citeClaim(policyText, claim, quote) {
+  if (!policyText) return null;
+
+  return locateQuote(policyText, quote) || findSupportingSentence(policyText, claim);
+}
+
+// Find a quote in the policy text, tolerating whitespace, case and quote-mark differences
+export function locateQuote(policyText, quote) {
+  if (!policyText || !quote || typeof quote !== 'string') return null;
+
+  const exactOffset = policyText.indexOf(quote);
+  if (exactOffset !== -1) {
+    return { quote: truncateQuote(quote), offset: exactOffset };
+  }
+
+  const { normalized, offsets } = normalizeWithOffsets(policyText);
+  const needle = normalizeWithOffsets(quote).normalized.trim();
+  if (needle.length < 10) return null;
+
+  const index = normalized.indexOf(needle);
+  if (index === -1) return null;
+
+  const start = offsets[index];
+  const end = offsets[index + needle.length - 1] + 1;
+
+  return { quote: truncateQuote(policyText.slice(start, end)), offset: start };
+}
+
+// Pick the policy sentence sharing the most keywords with the claim
+export function findSupportingSentence(policyText, claim) {
+  if (!policyText || !claim || typeof claim !== 'string') return null;
+
+  const keywords = extractKeywords(claim);
+  if (keywords.length === 0) return null;
+
+  // Short claims ("email", "ip address") must match fully, longer ones by majority
+  const required = keywords.length <= 2 ? keywords.length : Math.ceil(keywords.length / 2);
+
+  let best = null;
+  const sentencePattern = /[^.!?\n]+[.!?]*/g;
+  let match;
+
+  while ((match = sentencePattern.exec(policyText)) !== null) {
+    const sentence = match[0];
+    const lowerSentence = sentence.toLowerCase();
+    const matched = keywords.filter(keyword =>
+      new RegExp(`\\b${escapeRegExp(keyword)}`, 'i').test(lowerSentence)
+    ).length;
+
+    if (matched >= required && (!best || matched > best.matched)) {
+      const leading = sentence.length - sentence.trimStart().length;
+      best = {
+        matched,
+        quote: truncateQuote(sentence.trim()),
+        offset: match.index + leading
+      };
+    }
+  }
+
+  return best ? { quote: best.quote, offset: best.offset } : null;
+}
+
+function extractKeywords(claim) {
+  return [...new Set(
+    claim
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 1 && !STOPWORDS.has(word))
+  )];
+}
+
+// Lowercase, unify quote marks and collapse whitespace, remembering where each
+// normalized character came from in the original text
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let previousWasSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i].toLowerCase();
+
+    if (/\s/.test(char)) {
+      if (previousWasSpace) continue;
+      char = ' ';
+      previousWasSpace = true;
+    } else {
+      previousWasSpace = false;
+    }
+
+    if (char === '“' || char === '”') char = '"';
+    if (char === '‘' || char === '’') char = "'";
+
+    normalized += char;
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+}
+
+function truncateQuote(quote) {
+  return quote.length > MAX_QUOTE_LENGTH ? quote.substring(0, MAX_QUOTE_LENGTH - 1) + '…' : quote;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
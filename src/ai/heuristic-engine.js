@@ -0,0 +1,75 @@
+// Heuristic Engine - Cookie and link based analysis used when AI is unavailable
+import { ANALYSIS_ENGINES } from './prompt-templates.js';
+import { buildCookieResult } from './clause-classifier.js';
+import { assessRisk } from './risk-scoring.js';
+import { formatNetworkReport } from '../utils/request-monitor.js';
+import { formatStorageReport } from '../utils/cookie-extractor.js';
+import { formatFingerprintReport, FINGERPRINT_LEVELS } from '../utils/fingerprint-detector.js';
+
+// Simple heuristic analysis based on cookies and policy presence
+export async function analyzeWithHeuristics(analysisData) {
+  console.log('Running heuristic analysis for:', analysisData.domain);
+  console.log('Privacy policy links received:', analysisData.privacyPolicyLinks);
+
+  const cookieCount = analysisData.cookies?.cookieCount || 0;
+  const thirdPartyCount = analysisData.cookies?.thirdPartyCookies || 0;
+  const thirdPartyDomains = analysisData.cookies?.thirdPartyDomains || [];
+  const trackers = analysisData.networkRequests?.trackers || [];
+  const hasPrivacyPolicy = (analysisData.privacyPolicyLinks && analysisData.privacyPolicyLinks.length > 0) ||
+    !!analysisData.policySource; // Found by discovery when the page links none
+
+  console.log('hasPrivacyPolicy determined as:', hasPrivacyPolicy, 'from links:', analysisData.privacyPolicyLinks);
+
+  // Score from cookies, trackers, fingerprinting and policy presence only; the policy
+  // text is not read here
+  const assessment = assessRisk({
+    hasPolicyLink: hasPrivacyPolicy,
+    cookies: buildCookieResult(analysisData.cookies, null, analysisData.networkRequests),
+    network: analysisData.networkRequests,
+    fingerprinting: analysisData.fingerprinting
+  });
+
+  const reasons = [];
+  if (thirdPartyCount > 5) reasons.push('High number of tracking cookies');
+  if (trackers.length > 0) reasons.push(`Loads ${trackers.length} known tracker(s)`);
+  if (analysisData.fingerprinting?.level === FINGERPRINT_LEVELS.FINGERPRINTING) reasons.push('Scripts fingerprint your browser');
+  if (!hasPrivacyPolicy) reasons.push('No privacy policy found');
+  if (analysisData.cookieBannerData?.hasBanner && !analysisData.cookieBannerData?.hasRejectButton) {
+    reasons.push('Cookie banner without reject option');
+  }
+
+  return {
+    domain: analysisData.domain,
+    url: analysisData.url,
+    summary: `This site has ${cookieCount} cookies (${thirdPartyCount} third-party). ${hasPrivacyPolicy ? 'Privacy policy found.' : 'No privacy policy detected.'}`,
+    data_use: [
+      { type: "cookies", purpose: "tracking and analytics", retention: "varies", shared_with: thirdPartyCount > 0 ? ["third parties"] : [] }
+    ],
+    deletion: {
+      can_user_delete: hasPrivacyPolicy ? "unknown" : "no",
+      how: hasPrivacyPolicy ? "Check privacy policy for details" : "No privacy policy available",
+      contacts_found: []
+    },
+    cookies: {
+      cookie_count: cookieCount,
+      third_party_cookies: thirdPartyCount,
+      thirdPartyDomains: thirdPartyDomains,
+      tracking_cookies_detected: thirdPartyCount > 0 || trackers.length > 0,
+      cookies_summary: [],
+      network: formatNetworkReport(analysisData.networkRequests),
+      storage: formatStorageReport(analysisData.storage)
+    },
+    fingerprinting: formatFingerprintReport(analysisData.fingerprinting),
+    risk_score: assessment.risk_score,
+    verdict: assessment.verdict,
+    risk_breakdown: assessment.breakdown,
+    reasons,
+    actions: [
+      thirdPartyCount > 0 ? "Consider blocking third-party cookies" : "Cookie usage appears minimal",
+      hasPrivacyPolicy ? "Review privacy policy manually" : "Request privacy information from site"
+    ],
+    confidence: 0.6,
+    engine: ANALYSIS_ENGINES.HEURISTIC,
+    timestamp: Date.now()
+  };
+}
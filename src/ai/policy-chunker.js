@@ -0,0 +1,95 @@
+// Policy Chunker - Splits long privacy policies into section-sized chunks
+// Each chunk keeps its character offset so results can be traced back to the policy
+
+// Lines that look like section headings ("3. Sharing Your Data", "## Retention", "COOKIES")
+const HEADING_PATTERN = /^\s*(#{1,6}\s+\S.*|(\d+(\.\d+)*\.?|[IVX]+\.)\s+[A-Z][^.!?]{0,80}|[A-Z][A-Z\s&,'-]{3,80})\s*$/;
+
+// Split policy text into chunks of at most maxChars characters
+export function splitPolicyIntoChunks(text, maxChars) {
+  if (!text) return [];
+
+  const units = splitIntoUnits(text, maxChars);
+  const chunks = [];
+  let current = null;
+
+  units.forEach(unit => {
+    const startsSection = HEADING_PATTERN.test(text.slice(unit.start, unit.end).split('\n')[0]);
+
+    // Start a new chunk when this unit would overflow it, or at a section heading
+    // once the current chunk is reasonably full
+    const overflows = current && (unit.end - current.start) > maxChars;
+    const sectionBreak = current && startsSection && (current.end - current.start) > maxChars / 2;
+
+    if (!current || overflows || sectionBreak) {
+      if (current) chunks.push(current);
+      current = { start: unit.start, end: unit.end };
+    } else {
+      current.end = unit.end;
+    }
+  });
+
+  if (current) chunks.push(current);
+
+  return chunks
+    .map((chunk, index) => ({
+      index,
+      start: chunk.start,
+      end: chunk.end,
+      text: text.slice(chunk.start, chunk.end)
+    }))
+    .filter(chunk => chunk.text.trim().length > 0);
+}
+
+// Break text into paragraphs, then sentences, then hard slices, so that every
+// unit fits within maxChars. Units are contiguous and cover the whole text.
+function splitIntoUnits(text, maxChars) {
+  const paragraphs = splitAtBoundaries(text, 0, text.length, /\n\s*\n/g);
+  const units = [];
+
+  paragraphs.forEach(paragraph => {
+    if (paragraph.end - paragraph.start <= maxChars) {
+      units.push(paragraph);
+      return;
+    }
+
+    const sentences = splitAtBoundaries(text, paragraph.start, paragraph.end, /[.!?]+["')\]]*\s+/g);
+
+    sentences.forEach(sentence => {
+      if (sentence.end - sentence.start <= maxChars) {
+        units.push(sentence);
+        return;
+      }
+
+      // No usable boundary: hard-split the run-on text
+      for (let start = sentence.start; start < sentence.end; start += maxChars) {
+        units.push({ start, end: Math.min(start + maxChars, sentence.end) });
+      }
+    });
+  });
+
+  return units;
+}
+
+// Split text[from, to) after each match of the boundary pattern
+function splitAtBoundaries(text, from, to, boundaryPattern) {
+  const segment = text.slice(from, to);
+  const ranges = [];
+  let start = 0;
+  let match;
+
+  boundaryPattern.lastIndex = 0;
+  while ((match = boundaryPattern.exec(segment)) !== null) {
+    const end = match.index + match[0].length;
+    if (end > start) {
+      ranges.push({ start: from + start, end: from + end });
+      start = end;
+    }
+    if (match[0].length === 0) boundaryPattern.lastIndex++;
+  }
+
+  if (start < segment.length) {
+    ranges.push({ start: from + start, end: to });
+  }
+
+  return ranges;
+}
@@ -1,6 +1,18 @@
 // AI Prompt Templates for Privacy Policy Analysis
 // Contains all prompt templates used with Chrome's built-in AI APIs
 
+import {
+  classifyPolicy,
+  buildSummarizerResult,
+  buildDeletionResult,
+  buildCookieResult
+} from './clause-classifier.js';
+import { validateAgainstSchema } from './schema-validator.js';
+import { assessRisk, describeBreakdown } from './risk-scoring.js';
+
+// Shortest policy text worth running the rule-based classifier on
+const MIN_CLASSIFIABLE_LENGTH = 100;
+
 export const PROMPT_TEMPLATES = {
 
   // 1. Short summarizer pass
@@ -10,6 +22,10 @@ export const PROMPT_TEMPLATES = {
 • A 2-sentence plain English summary of what this site does with user personal data.
 • A JSON array of the main categories of data collected (e.g., email, name, payment, device, location, IP).
 • Any explicit retention times mentioned.
+• Any clauses that materially limit user rights (e.g., mandatory arbitration, class-action waiver, sale of personal data).
+• For each category and clause, the exact sentence from the policy that supports it, copied verbatim.
+
+The policy may be in any language. Write the summary, retention and notable clauses in {responseLanguage}. Keep category names in English (as in the example) and copy quotes verbatim in the policy's own language.
 
 INPUT:
 {policyText}
@@ -18,23 +34,66 @@ OUTPUT FORMAT:
 {
 "summary": "…",
 "categories": ["email", "ip", …],
-"retention_clauses": ["…"]
+"retention_clauses": ["…"],
+"notable_clauses": ["…"],
+"quotes": { "email": "verbatim policy sentence", "<retention or notable clause>": "verbatim policy sentence" }
 }`,
+    schema: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string' },
+        categories: { type: 'array', items: { type: 'string' } },
+        retention_clauses: { type: 'array', items: { type: 'string' }, default: [] },
+        notable_clauses: { type: 'array', items: { type: 'string' }, default: [] },
+        quotes: { type: 'object', additionalProperties: { type: 'string' }, default: {} }
+      },
+      required: ['summary', 'categories']
+    },
     maxTokens: 500
   },
 
   // 2. Cookie analysis prompt
   COOKIE_ANALYZER: {
     name: 'cookie_analyzer',
-    template: `You are a cookie policy analyzer. Given cookies extracted from the site and any cookie table text from the policy, return:
+    template: `You are a cookie policy analyzer. Given cookies extracted from the site, the third-party requests the page made (known trackers are named) and any cookie table text from the policy, return:
 • Number of first-party and third-party cookies.
-• Whether cookies are used for tracking/advertising (yes/no/likely)
+• Whether cookies or trackers are used for tracking/advertising (true, false or "likely"; "unknown" if you cannot tell)
 • If cookie categories (strictly-necessary, preferences, statistics, marketing) are explicitly present and which cookies belong to which category.
 
 INPUT:
 {cookieData}
 
-OUTPUT FORMAT: JSON with fields { first_party: n, third_party: n, tracking: true|false|unknown, categories: {…} }`,
+THIRD-PARTY REQUESTS:
+{networkRequests}
+
+COOKIE POLICY TEXT:
+{cookiePolicyText}
+
+OUTPUT FORMAT: JSON with fields { first_party: n, third_party: n, tracking: true|false|"likely"|"unknown", categories: { "<category>": [{ "name": "…", "domain": "…" }] } }`,
+    schema: {
+      type: 'object',
+      properties: {
+        first_party: { type: 'integer', minimum: 0 },
+        third_party: { type: 'integer', minimum: 0 },
+        tracking: { type: ['boolean', 'string'], enum: [true, false, 'likely', 'unknown'], default: 'unknown' },
+        categories: {
+          type: 'object',
+          additionalProperties: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                domain: { type: 'string', default: '' }
+              },
+              required: ['name']
+            }
+          },
+          default: {}
+        }
+      },
+      required: ['first_party', 'third_party']
+    },
     maxTokens: 400
   },
 
@@ -45,11 +104,25 @@ OUTPUT FORMAT: JSON with fields { first_party: n, third_party: n, tracking: true
 • How a user can request deletion of data.
 • If a deletion process is described, provide step-by-step instructions and any links or emails.
 • If deletion is not described, return "no deletion info".
+• The exact sentence from the policy that describes deletion, copied verbatim.
+
+The policy may be in any language. Write the instructions in {responseLanguage} and copy the quote verbatim in the policy's own language. Keep can_delete as one of the English values below.
 
 INPUT:
 {policyText}
 
-OUTPUT FORMAT: JSON { can_delete: "yes|no|partial|unknown", instructions: "…" , links: ["…"], contacts: ["…"] }`,
+OUTPUT FORMAT: JSON { can_delete: "yes|no|partial|unknown", instructions: "…" , links: ["…"], contacts: ["…"], quote: "…" }`,
+    schema: {
+      type: 'object',
+      properties: {
+        can_delete: { type: 'string', enum: ['yes', 'no', 'partial', 'unknown'] },
+        instructions: { type: 'string', default: '' },
+        links: { type: 'array', items: { type: 'string' }, default: [] },
+        contacts: { type: 'array', items: { type: 'string' }, default: [] },
+        quote: { type: 'string', default: '' }
+      },
+      required: ['can_delete']
+    },
     maxTokens: 300
   },
 
@@ -57,11 +130,13 @@ OUTPUT FORMAT: JSON { can_delete: "yes|no|partial|unknown", instructions: "…"
   RISK_SCORER: {
     name: 'risk_scorer',
     template: `You are a privacy risk scoring agent. Given the summarizer output, cookie analysis, and deletion analysis, produce:
-• risk_score (0-100) where 0 = no known issues, 100 = high-risk (massive data sharing, no deletion, third-party trackers)
+• risk_score (0-100) where 0 = no known issues, 100 = high-risk (massive data sharing, no deletion, third-party trackers, sale of data, mandatory arbitration)
 • verdict: SAFE | CAUTION | UNSAFE
 • concise reasons (max 5 bullets)
 • recommended user actions (max 4)
 
+Write reasons and actions in {responseLanguage}. Keep the verdict as one of the English values above.
+
 INPUT:
 {
 "summarizer": {summarizerResult},
@@ -72,50 +147,22 @@ INPUT:
 }
 
 OUTPUT FORMAT: JSON { "risk_score": int, "verdict":"", "reasons":[…], "actions":[…] }`,
+    schema: {
+      type: 'object',
+      properties: {
+        risk_score: { type: 'integer', minimum: 0, maximum: 100 },
+        verdict: { type: 'string', enum: ['SAFE', 'CAUTION', 'UNSAFE'] },
+        reasons: { type: 'array', items: { type: 'string' }, maxItems: 5 },
+        actions: { type: 'array', items: { type: 'string' }, maxItems: 4, default: [] }
+      },
+      required: ['risk_score', 'verdict', 'reasons']
+    },
     maxTokens: 400
   }
 };
 
-// Scoring criteria for risk assessment
-export const RISK_FACTORS = {
-  HIGH_RISK: {
-    score: 30,
-    factors: [
-      'shares data with many third parties',
-      'no clear deletion process',
-      'extensive tracking cookies',
-      'unclear data retention',
-      'no user control over data'
-    ]
-  },
-  MEDIUM_RISK: {
-    score: 15,
-    factors: [
-      'limited third party sharing',
-      'complex deletion process',
-      'some tracking cookies',
-      'vague retention periods',
-      'limited user control'
-    ]
-  },
-  LOW_RISK: {
-    score: 5,
-    factors: [
-      'minimal data collection',
-      'clear deletion process',
-      'essential cookies only',
-      'transparent practices',
-      'strong user control'
-    ]
-  }
-};
-
-// Verdict thresholds
-export const VERDICT_THRESHOLDS = {
-  SAFE: { min: 0, max: 30 },
-  CAUTION: { min: 31, max: 70 },
-  UNSAFE: { min: 71, max: 100 }
-};
+// Scoring criteria and verdict thresholds live with the scoring code
+export { RISK_FACTORS, VERDICT_THRESHOLDS } from './risk-scoring.js';
 
 // Format prompt with variables
 export function formatPrompt(templateName, variables) {
@@ -127,8 +174,8 @@ export function formatPrompt(templateName, variables) {
 
   let formattedPrompt = template.template;
 
-  // Replace variables in the template
-  Object.entries(variables).forEach(([key, value]) => {
+  // Replace variables in the template (answers default to English)
+  Object.entries({ responseLanguage: 'English', ...variables }).forEach(([key, value]) => {
     const placeholder = `{${key}}`;
     const replacement = typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
     formattedPrompt = formattedPrompt.replace(new RegExp(placeholder, 'g'), replacement);
@@ -137,62 +184,65 @@ export function formatPrompt(templateName, variables) {
   return {
     prompt: formattedPrompt,
     maxTokens: template.maxTokens || 500,
-    name: template.name
+    name: template.name,
+    schema: template.schema || null
   };
 }
 
-// Validate AI response format
+// Validate AI response format (raw JSON text or an already parsed object)
 export function validateResponse(templateName, response) {
-  try {
-    const parsed = JSON.parse(response);
-
-    switch (templateName) {
-      case 'SUMMARIZER':
-        return parsed.summary && Array.isArray(parsed.categories);
-
-      case 'COOKIE_ANALYZER':
-        return typeof parsed.first_party === 'number' &&
-               typeof parsed.third_party === 'number';
-
-      case 'DELETION_ANALYZER':
-        return ['yes', 'no', 'partial', 'unknown'].includes(parsed.can_delete);
+  return coerceResponse(templateName, response).valid;
+}
 
-      case 'RISK_SCORER':
-        return typeof parsed.risk_score === 'number' &&
-               ['SAFE', 'CAUTION', 'UNSAFE'].includes(parsed.verdict) &&
-               Array.isArray(parsed.reasons);
+// Check a reply against its template's JSON Schema. Returns { valid, value, errors }
+// where value has near-miss types coerced and optional fields defaulted.
+export function coerceResponse(templateName, response) {
+  try {
+    const parsed = typeof response === 'string' ? JSON.parse(response) : response;
+    const schema = PROMPT_TEMPLATES[templateName]?.schema;
 
-      default:
-        return true;
+    if (!schema) {
+      return { valid: true, value: parsed, errors: [] };
     }
+
+    return validateAgainstSchema(parsed, schema);
   } catch (error) {
     console.error('Response validation failed:', error);
-    return false;
+    return { valid: false, value: null, errors: [error.message] };
   }
 }
 
 // Generate fallback response for failed AI calls
+// Uses the rule-based clause classifier whenever policy text is available
 export function generateFallbackResponse(templateName, inputData) {
+  const policyText = inputData?.policyText;
+  const hasPolicyText = typeof policyText === 'string' && policyText.length >= MIN_CLASSIFIABLE_LENGTH;
+
   switch (templateName) {
     case 'SUMMARIZER':
+      if (hasPolicyText) {
+        return buildSummarizerResult(classifyPolicy(policyText));
+      }
+
       return {
         summary: "Unable to analyze privacy policy automatically. Manual review recommended.",
         categories: ["unknown"],
-        retention_clauses: ["not specified"]
+        retention_clauses: ["not specified"],
+        notable_clauses: []
       };
 
     case 'COOKIE_ANALYZER':
-      const cookieCount = inputData.cookieData?.cookieCount || 0;
-      const thirdParty = inputData.cookieData?.thirdPartyCookies || 0;
-
-      return {
-        first_party: cookieCount - thirdParty,
-        third_party: thirdParty,
-        tracking: thirdParty > 0 ? "likely" : "unknown",
-        categories: {}
-      };
+      return buildCookieResult(
+        inputData.cookieData,
+        hasPolicyText ? classifyPolicy(policyText) : null,
+        inputData.networkRequests
+      );
 
     case 'DELETION_ANALYZER':
+      if (hasPolicyText) {
+        return buildDeletionResult(classifyPolicy(policyText));
+      }
+
       return {
         can_delete: "unknown",
         instructions: "Contact site support for data deletion requests",
@@ -200,22 +250,19 @@ export function generateFallbackResponse(templateName, inputData) {
         contacts: []
       };
 
-    case 'RISK_SCORER':
-      // Generate conservative risk score
-      let riskScore = 50; // Default medium risk
-
-      // Adjust based on available data
-      if (inputData.cookies?.third_party > 5) riskScore += 20;
-      if (inputData.deletion?.can_delete === 'no') riskScore += 15;
-
-      const verdict = riskScore < 30 ? 'SAFE' : riskScore < 70 ? 'CAUTION' : 'UNSAFE';
+    case 'RISK_SCORER': {
+      // Deterministic score from the detected risk factors
+      const assessment = assessRisk(inputData);
+      const reasons = describeBreakdown(assessment.breakdown);
 
       return {
-        risk_score: Math.min(riskScore, 100),
-        verdict,
-        reasons: ["AI analysis unavailable", "Manual review recommended"],
-        actions: ["Review privacy policy manually", "Contact site for data practices"]
+        risk_score: assessment.risk_score,
+        verdict: assessment.verdict,
+        reasons: reasons.length > 0 ? reasons : ["No significant risk factors detected"],
+        actions: ["Review privacy policy manually", "Contact site for data practices"],
+        breakdown: assessment.breakdown
       };
+    }
 
     default:
       return { error: "Unknown template for fallback" };
@@ -236,5 +283,26 @@ export const AI_CONFIG = {
   temperature: 0.1, // Low temperature for consistent analysis
   maxRetries: 2,
   timeoutMs: 30000,
-  fallbackEnabled: true
-};
\ No newline at end of file
+  availabilityTimeoutMs: 5000, // Limit for checking that a configured LLM endpoint answers
+  retryDelayMs: 500, // Backoff before the first retry, doubled for each further retry
+  fallbackEnabled: true,
+  maxChunkChars: 6000, // Upper bound for one policy chunk sent to the model
+  charsPerToken: 4 // Rough estimate used to convert the model's input quota to characters
+};
+
+// Engines that can produce an analysis result
+export const ANALYSIS_ENGINES = {
+  CHROME_AI: 'chrome-ai',
+  LLM_ENDPOINT: 'llm-endpoint', // OpenAI-compatible HTTP server, e.g. a local llama.cpp or Ollama
+  MOCK: 'mock',
+  RULES: 'rules',
+  HEURISTIC: 'heuristic'
+};
+
+// How an AI pipeline step produced its result
+export const STEP_OUTCOMES = {
+  SUCCESS: 'success',
+  REPAIRED: 'repaired',
+  RETRIED: 'retried',
+  FALLBACK: 'fallback'
+};
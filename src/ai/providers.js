@@ -0,0 +1,308 @@
+// AI Providers - Language model backends behind one interface
+// Every provider exposes:
+//   isAvailable(signal)        -> Promise<boolean>
+//   getInputQuota()            -> Promise<number> (tokens, 0 when unknown)
+//   prompt(prompt, options)    -> Promise<string>
+//   summarize(text, options)   -> Promise<string>
+//   engine                     -> ANALYSIS_ENGINES value recorded on results
+
+import { AI_CONFIG, ANALYSIS_ENGINES, SYSTEM_PROMPTS } from './prompt-templates.js';
+import { getLanguageName } from '../utils/language.js';
+
+export const AI_PROVIDERS = {
+  CHROME: 'chrome',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  MOCK: 'mock'
+};
+
+// Defaults for the provider settings kept in chrome.storage.local
+export const DEFAULT_PROVIDER_SETTINGS = {
+  aiProvider: AI_PROVIDERS.CHROME,
+  aiEndpoint: 'http://localhost:11434/v1', // Ollama; llama.cpp's server defaults to http://localhost:8080/v1
+  aiModel: ''
+};
+
+// Build the provider selected in settings
+export function createProvider(settings = {}) {
+  const { aiProvider, aiEndpoint, aiModel } = { ...DEFAULT_PROVIDER_SETTINGS, ...settings };
+
+  switch (aiProvider) {
+    case AI_PROVIDERS.OPENAI_COMPATIBLE:
+      return createOpenAICompatibleProvider(aiEndpoint, aiModel);
+
+    case AI_PROVIDERS.MOCK:
+      return createMockProvider();
+
+    case AI_PROVIDERS.CHROME:
+    default:
+      return createChromeProvider();
+  }
+}
+
+export function unavailableError(message = 'Chrome AI APIs not available') {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+// Chrome built-in AI (Gemini Nano via chrome.ai)
+function createChromeProvider() {
+  // Cleared the first time the model rejects a responseConstraint option
+  let responseConstraintSupported = true;
+
+  const hasLanguageModel = () =>
+    typeof chrome !== 'undefined' && chrome.ai && chrome.ai.languageModel;
+
+  const createSession = (options = {}) => chrome.ai.languageModel.create({
+    temperature: options.temperature || AI_CONFIG.temperature,
+    topK: options.topK || 3,
+    ...(options.signal ? { signal: options.signal } : {})
+  });
+
+  // Prompt with a JSON Schema response constraint when the model accepts one.
+  // Builds without structured output support reject the option; remember that and
+  // rely on validation alone from then on.
+  async function promptSession(session, prompt, responseConstraint, signal) {
+    if (responseConstraint && responseConstraintSupported) {
+      try {
+        return await session.prompt(prompt, { responseConstraint, signal });
+      } catch (error) {
+        if (error.name !== 'NotSupportedError' && error.name !== 'TypeError') throw error;
+
+        console.warn('Response constraints not supported, prompting without schema:', error.message);
+        responseConstraintSupported = false;
+      }
+    }
+
+    return await session.prompt(prompt, { signal });
+  }
+
+  const provider = {
+    id: AI_PROVIDERS.CHROME,
+    engine: ANALYSIS_ENGINES.CHROME_AI,
+
+    async isAvailable() {
+      if (!hasLanguageModel()) return false;
+
+      try {
+        const languageModel = chrome.ai.languageModel;
+
+        // Newer builds expose availability(), older ones capabilities()
+        if (typeof languageModel.availability === 'function') {
+          return (await languageModel.availability()) === 'available';
+        }
+
+        if (typeof languageModel.capabilities === 'function') {
+          const capabilities = await languageModel.capabilities();
+          return capabilities.available === 'readily';
+        }
+
+        return true;
+      } catch (error) {
+        console.warn('Chrome AI availability check failed:', error);
+        return false;
+      }
+    },
+
+    async getInputQuota() {
+      if (!hasLanguageModel()) return 0;
+
+      const session = await createSession();
+      try {
+        return session.inputQuota || session.maxTokens || 0;
+      } finally {
+        session.destroy();
+      }
+    },
+
+    async prompt(prompt, options = {}) {
+      if (!hasLanguageModel()) throw unavailableError();
+
+      let session;
+      try {
+        session = await createSession(options);
+        return await promptSession(session, prompt, options.responseConstraint, options.signal);
+      } catch (error) {
+        console.warn('Chrome AI prompt API failed:', error);
+        throw error;
+      } finally {
+        session?.destroy();
+      }
+    },
+
+    async summarize(text, options = {}) {
+      // Try Chrome's built-in summarizer API
+      if (typeof chrome !== 'undefined' && chrome.ai && chrome.ai.summarizer) {
+        let summarizer;
+
+        try {
+          summarizer = await chrome.ai.summarizer.create({
+            type: options.type || 'key-points',
+            format: options.format || 'markdown',
+            length: options.length || 'medium',
+            ...(options.outputLanguage ? { outputLanguage: options.outputLanguage } : {}),
+            ...(options.signal ? { signal: options.signal } : {})
+          });
+
+          return await summarizer.summarize(text, { signal: options.signal });
+        } catch (error) {
+          console.warn('Chrome AI summarizer failed:', error);
+          throw error;
+        } finally {
+          summarizer?.destroy();
+        }
+      }
+
+      // Fallback to the prompt API
+      return await provider.prompt(summaryPrompt(text, options.outputLanguage), options);
+    }
+  };
+
+  return provider;
+}
+
+// Any server implementing the OpenAI chat completions API
+// (llama.cpp server, Ollama, LM Studio, vLLM, ...)
+function createOpenAICompatibleProvider(endpoint, model) {
+  const baseUrl = (endpoint || '').replace(/\/+$/, '');
+
+  // Cleared the first time the server rejects response_format
+  let responseFormatSupported = true;
+
+  async function chatCompletion(prompt, options, responseConstraint) {
+    const body = {
+      model: model || undefined,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPTS.GENERAL },
+        { role: 'user', content: prompt }
+      ],
+      temperature: options.temperature ?? AI_CONFIG.temperature,
+      max_tokens: options.maxTokens,
+      stream: false
+    };
+
+    if (responseConstraint) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: responseConstraint }
+      };
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      // Give up on the request with the caller's timeout, so an abandoned generation
+      // does not keep the server busy under the retries
+      signal: AbortSignal.any([options.signal, AbortSignal.timeout(AI_CONFIG.timeoutMs)].filter(Boolean))
+    });
+
+    if (!response.ok) {
+      const error = new Error(`LLM endpoint returned HTTP ${response.status}`);
+      error.status = response.status;
+      // Client errors (bad model name, bad request) will not fix themselves on retry
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new Error('LLM endpoint returned no message content');
+    }
+
+    return content;
+  }
+
+  const provider = {
+    id: AI_PROVIDERS.OPENAI_COMPATIBLE,
+    engine: ANALYSIS_ENGINES.LLM_ENDPOINT,
+
+    // An endpoint that does not answer within AI_CONFIG.availabilityTimeoutMs counts
+    // as unavailable; a cancelled analysis rejects instead
+    async isAvailable(signal) {
+      if (!baseUrl) return false;
+
+      const timeout = AbortSignal.timeout(AI_CONFIG.availabilityTimeoutMs);
+
+      try {
+        const response = await fetch(`${baseUrl}/models`, {
+          signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+        });
+        return response.ok;
+      } catch (error) {
+        signal?.throwIfAborted();
+        console.warn(`LLM endpoint ${baseUrl} not reachable:`, error.message);
+        return false;
+      }
+    },
+
+    async getInputQuota() {
+      // The API does not report context size; the default chunk size is used
+      return 0;
+    },
+
+    async prompt(prompt, options = {}) {
+      if (!baseUrl) throw unavailableError('No LLM endpoint configured');
+
+      if (options.responseConstraint && responseFormatSupported) {
+        try {
+          return await chatCompletion(prompt, options, options.responseConstraint);
+        } catch (error) {
+          if (error.status !== 400) throw error;
+
+          console.warn('LLM endpoint rejected response_format, prompting without schema');
+          responseFormatSupported = false;
+        }
+      }
+
+      return await chatCompletion(prompt, options, null);
+    },
+
+    async summarize(text, options = {}) {
+      return await provider.prompt(summaryPrompt(text, options.outputLanguage), options);
+    }
+  };
+
+  return provider;
+}
+
+// Development/testing backend driven by globalThis.mockAI (see enableMockAI)
+function createMockProvider() {
+  const getMock = () => (typeof globalThis !== 'undefined' ? globalThis.mockAI : null);
+
+  return {
+    id: AI_PROVIDERS.MOCK,
+    engine: ANALYSIS_ENGINES.MOCK,
+
+    async isAvailable() {
+      return !!getMock();
+    },
+
+    async getInputQuota() {
+      return 0;
+    },
+
+    async prompt(prompt, options = {}) {
+      const mock = getMock();
+      if (!mock) throw unavailableError('Mock AI not enabled');
+
+      return await mock.prompt(prompt, options);
+    },
+
+    async summarize(text, options = {}) {
+      const mock = getMock();
+      if (!mock) throw unavailableError('Mock AI not enabled');
+
+      return typeof mock.summarize === 'function'
+        ? await mock.summarize(text, options)
+        : text.split('\n')[0];
+    }
+  };
+}
+
+// Prompt used when no dedicated summarizer API is available
+function summaryPrompt(text, outputLanguage) {
+  return `Summarize the following text in 2 plain ${getLanguageName(outputLanguage)} sentences:\n${text}`;
+}
@@ -0,0 +1,113 @@
+// Response Parser - Extracts and repairs JSON from language model replies
+// Models often wrap JSON in markdown fences, add prose around it, or emit
+// near-JSON (trailing commas, single quotes, unquoted keys, cut-off output)
+
+// Parse a model reply into a value. Returns { value, repaired } where repaired
+// is true when the reply needed extraction or fixing; throws when nothing parses.
+export function parseModelJSON(response) {
+  if (response !== null && typeof response === 'object') {
+    return { value: response, repaired: false };
+  }
+
+  if (typeof response !== 'string') {
+    throw new Error('Model response is not text');
+  }
+
+  const direct = tryParse(response);
+  if (direct.ok) return { value: direct.value, repaired: false };
+
+  const extracted = extractJSONText(response);
+  if (extracted) {
+    const parsed = tryParse(extracted);
+    if (parsed.ok) return { value: parsed.value, repaired: true };
+
+    const repaired = tryParse(repairJSONText(extracted));
+    if (repaired.ok) return { value: repaired.value, repaired: true };
+  }
+
+  throw new Error('Could not extract JSON from model response');
+}
+
+// Pull the JSON portion out of a reply: fenced block first, then the span from
+// the first opening bracket to the last matching closing bracket
+export function extractJSONText(text) {
+  const fenced = text.match(/```(?:json|JSON)?\s*([\s\S]*?)(```|$)/);
+  const candidate = fenced && /[{[]/.test(fenced[1]) ? fenced[1] : text;
+
+  const start = candidate.search(/[{[]/);
+  if (start === -1) return null;
+
+  const opener = candidate[start];
+  const closer = opener === '{' ? '}' : ']';
+  const end = candidate.lastIndexOf(closer);
+
+  // A missing closer usually means the output was cut off; keep the tail for repair
+  return (end > start ? candidate.slice(start, end + 1) : candidate.slice(start)).trim();
+}
+
+// Fix the most common near-JSON mistakes
+export function repairJSONText(text) {
+  let repaired = text
+    // Typographic quotes
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    // Line and block comments outside strings (models sometimes annotate fields)
+    .replace(/(^|[\s,{[])\/\/[^\n"]*$/gm, '$1')
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    // Single-quoted strings used as JSON delimiters (apostrophes inside text are left alone)
+    .replace(/([{[,:]\s*)'(.*?)'(?=\s*([,}\]:]|$))/g,
+      (match, before, inner) => `${before}"${inner.replace(/"/g, '\\"')}"`)
+    // Python/JS literals
+    .replace(/:\s*True\b/g, ': true')
+    .replace(/:\s*False\b/g, ': false')
+    .replace(/:\s*(None|undefined)\b/g, ': null')
+    // Trailing commas
+    .replace(/,\s*([}\]])/g, '$1');
+
+  // Unquoted object keys, only when the reply quotes no keys at all, so that
+  // "word: text" inside string values is never touched
+  if (!/"\s*:/.test(repaired)) {
+    repaired = repaired.replace(/([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)(\s*:)/g, '$1"$2"$3');
+  }
+
+  return closeOpenBrackets(repaired);
+}
+
+// Append the closing quotes and brackets a truncated reply is missing
+function closeOpenBrackets(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (escaped) {
+      escaped = false;
+      continue;
+    }
+    if (char === '\\') {
+      escaped = true;
+      continue;
+    }
+    if (char === '"') {
+      inString = !inString;
+      continue;
+    }
+    if (inString) continue;
+
+    if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    if (char === '}' || char === ']') stack.pop();
+  }
+
+  let closed = text.replace(/,\s*$/, '');
+  if (inString) closed += '"';
+
+  return closed + stack.reverse().join('');
+}
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false };
+  }
+}
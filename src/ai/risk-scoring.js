@@ -0,0 +1,290 @@
+// Risk Scoring - Deterministic 0-100 privacy risk score with a per-factor breakdown
+// Every point of the score comes from a detected RISK_FACTORS entry; the language
+// model can only move it by a bounded, recorded adjustment
+
+import { classifyPolicy, DURATION_PATTERN, NEGATION_PATTERN } from './clause-classifier.js';
+import { citeClaim } from './evidence.js';
+import { FINGERPRINT_LEVELS } from '../utils/fingerprint-detector.js';
+
+// Risk factors by tier. HIGH and MEDIUM factors add their tier's score, LOW factors
+// (good practices) subtract theirs.
+export const RISK_FACTORS = {
+  HIGH_RISK: {
+    score: 30,
+    factors: {
+      MANY_THIRD_PARTIES: 'shares data with many third parties',
+      NO_DELETION: 'no clear deletion process',
+      EXTENSIVE_TRACKING: 'extensive tracking cookies',
+      UNCLEAR_RETENTION: 'unclear data retention',
+      NO_USER_CONTROL: 'no user control over data',
+      NO_POLICY: 'no privacy policy found',
+      FINGERPRINTING: 'browser fingerprinting detected'
+    }
+  },
+  MEDIUM_RISK: {
+    score: 15,
+    factors: {
+      LIMITED_SHARING: 'limited third party sharing',
+      COMPLEX_DELETION: 'complex deletion process',
+      SOME_TRACKING: 'some tracking cookies',
+      VAGUE_RETENTION: 'vague retention periods',
+      LIMITED_CONTROL: 'limited user control',
+      POLICY_NOT_READ: 'privacy policy could not be read',
+      POSSIBLE_FINGERPRINTING: 'possible browser fingerprinting',
+      RIGHTS_WAIVER: 'mandatory arbitration or waiver of legal rights'
+    }
+  },
+  LOW_RISK: {
+    score: -5,
+    factors: {
+      MINIMAL_COLLECTION: 'minimal data collection',
+      CLEAR_DELETION: 'clear deletion process',
+      ESSENTIAL_COOKIES_ONLY: 'essential cookies only',
+      TRANSPARENT_PRACTICES: 'transparent practices',
+      STRONG_CONTROL: 'strong user control'
+    }
+  }
+};
+
+// Verdict thresholds (inclusive score ranges)
+export const VERDICT_THRESHOLDS = {
+  SAFE: { min: 0, max: 30 },
+  CAUTION: { min: 31, max: 70 },
+  UNSAFE: { min: 71, max: 100 }
+};
+
+// Largest change the model's own risk_score can make to the computed score
+export const MAX_MODEL_ADJUSTMENT = 15;
+
+// Bump when the detection logic below changes, so cached verdicts are recomputed
+export const SCORING_VERSION = 4;
+
+// Shortest policy text whose practices are scored
+const MIN_SCORABLE_LENGTH = 100;
+
+// Notable clauses (SUMMARIZER notable_clauses) that report a sale, sharing or a waiver of rights
+const SALE_CLAUSE_PATTERN = /\b(sell|sells|sale|sold)\b/i;
+const SHARING_CLAUSE_PATTERN = /\b(share[sd]?|sharing|disclose[sd]?)\b/i;
+const WAIVER_CLAUSE_PATTERN = /\b(arbitration|class[- ]action|jury trial|waive[sd]?|waiver)\b/i;
+
+// Score a site from its analysis results.
+//   policyText      - policy text the analysis ran on (may be empty)
+//   policyLanguage  - detected policy language; clause patterns only run on English
+//   hasPolicyLink   - whether a privacy policy link was found on the page
+//   summarizer      - SUMMARIZER result (categories, notable_clauses, quotes)
+//   cookies         - COOKIE_ANALYZER result
+//   network         - third-party requests seen on the page (utils/request-monitor.js summary)
+//   fingerprinting  - assessment of the fingerprinting APIs page scripts used
+//                     (assessFingerprinting in utils/fingerprint-detector.js)
+//   deletion        - DELETION_ANALYZER result
+//   modelAssessment - RISK_SCORER reply from the model, if any
+// Returns { risk_score, verdict, breakdown: [{ id, tier, label, points, evidence }] }
+export function assessRisk(input = {}) {
+  const { policyText, policyLanguage, hasPolicyLink, summarizer, cookies, network, fingerprinting, deletion, modelAssessment } = input;
+  const hasPolicyText = typeof policyText === 'string' && policyText.length >= MIN_SCORABLE_LENGTH;
+  const isEnglish = !policyLanguage || policyLanguage === 'en';
+  const classification = hasPolicyText && isEnglish ? classifyPolicy(policyText) : null;
+
+  const detected = [
+    detectPolicyPresence(hasPolicyText, hasPolicyLink),
+    hasPolicyText && detectSharing(classification, summarizer),
+    detectDeletion(deletion, hasPolicyText),
+    detectTracking(cookies, network),
+    detectFingerprinting(fingerprinting),
+    classification && detectRetention(classification),
+    classification && detectUserControl(classification),
+    hasPolicyText && detectRightsWaiver(classification, summarizer),
+    hasPolicyText && detectCollection(summarizer)
+  ].filter(Boolean);
+
+  const breakdown = detected.map(({ id, quote }) => {
+    const tier = findTier(id);
+    const label = RISK_FACTORS[tier].factors[id];
+
+    return {
+      id,
+      tier,
+      label,
+      points: RISK_FACTORS[tier].score,
+      evidence: quote ? citeClaim(policyText, label, quote) : null
+    };
+  });
+
+  // Keep the total within 0-100 with an explicit line, so the points always add up
+  const rawTotal = sumPoints(breakdown);
+  const computed = clampScore(rawTotal);
+  if (computed !== rawTotal) {
+    breakdown.push({
+      id: 'SCORE_LIMIT',
+      tier: 'LIMIT',
+      label: 'score limited to the 0-100 range',
+      points: computed - rawTotal,
+      evidence: null
+    });
+  }
+
+  // The model may nudge the score within MAX_MODEL_ADJUSTMENT, recorded as its own line
+  const modelScore = Number(modelAssessment?.risk_score);
+  if (modelAssessment && Number.isFinite(modelScore)) {
+    const adjustment = clampScore(computed + Math.max(-MAX_MODEL_ADJUSTMENT,
+      Math.min(MAX_MODEL_ADJUSTMENT, Math.round(modelScore - computed)))) - computed;
+
+    if (adjustment !== 0) {
+      breakdown.push({
+        id: 'MODEL_ADJUSTMENT',
+        tier: 'MODEL',
+        label: `model assessment (${modelScore}/100)`,
+        points: adjustment,
+        evidence: null
+      });
+    }
+  }
+
+  const riskScore = sumPoints(breakdown);
+
+  return {
+    risk_score: riskScore,
+    verdict: getVerdict(riskScore),
+    breakdown
+  };
+}
+
+// Map a 0-100 score to SAFE, CAUTION or UNSAFE using VERDICT_THRESHOLDS
+export function getVerdict(score) {
+  const clamped = clampScore(score);
+  const match = Object.entries(VERDICT_THRESHOLDS)
+    .find(([, range]) => clamped >= range.min && clamped <= range.max);
+
+  return match ? match[0] : 'CAUTION';
+}
+
+// Risk-raising factors as human-readable reasons, highest first
+export function describeBreakdown(breakdown) {
+  return breakdown
+    .filter(entry => entry.points > 0 && entry.tier in RISK_FACTORS)
+    .sort((a, b) => b.points - a.points)
+    .map(entry => entry.label.charAt(0).toUpperCase() + entry.label.slice(1));
+}
+
+function detectPolicyPresence(hasPolicyText, hasPolicyLink) {
+  if (hasPolicyText) return null;
+  return { id: hasPolicyLink ? 'POLICY_NOT_READ' : 'NO_POLICY' };
+}
+
+// Classifier sentences first; the summarizer's notable clauses also cover policies
+// the classifier cannot read (non-English)
+function detectSharing(classification, summarizer) {
+  if (classification) {
+    const { practices } = classification;
+
+    const sale = practices.DATA_SALE.find(s => !s.negated);
+    if (sale) return { id: 'MANY_THIRD_PARTIES', quote: sale.text };
+
+    const sharing = practices.THIRD_PARTY_SHARING.filter(s => !s.negated);
+    if (sharing.length >= 3) return { id: 'MANY_THIRD_PARTIES', quote: sharing[0].text };
+    if (sharing.length > 0) return { id: 'LIMITED_SHARING', quote: sharing[0].text };
+  }
+
+  const sale = findNotableClause(summarizer, SALE_CLAUSE_PATTERN);
+  if (sale) return { id: 'MANY_THIRD_PARTIES', quote: sale };
+
+  const sharing = findNotableClause(summarizer, SHARING_CLAUSE_PATTERN);
+  return sharing ? { id: 'LIMITED_SHARING', quote: sharing } : null;
+}
+
+function detectDeletion(deletion, hasPolicyText) {
+  const canDelete = deletion?.can_delete || 'unknown';
+
+  // Without policy text an unknown answer says nothing about the site
+  if (canDelete === 'unknown' && !hasPolicyText) return null;
+
+  switch (canDelete) {
+    case 'yes': return { id: 'CLEAR_DELETION', quote: deletion.quote };
+    case 'partial': return { id: 'COMPLEX_DELETION', quote: deletion.quote };
+    default: return { id: 'NO_DELETION', quote: deletion?.quote };
+  }
+}
+
+// Tracking cookies, and trackers that load without setting readable cookies
+function detectTracking(cookies, network) {
+  if (!cookies && !network) return null;
+
+  const thirdParty = cookies?.third_party || 0;
+  const advertising = Array.isArray(cookies?.categories?.advertising) ? cookies.categories.advertising.length : 0;
+  const trackers = network?.trackers?.length || 0;
+  const adTrackers = network?.byCategory?.advertising || 0;
+
+  if (thirdParty > 5 || advertising >= 3 || trackers > 5 || adTrackers >= 3) return { id: 'EXTENSIVE_TRACKING' };
+  if (thirdParty > 0 || advertising > 0 || trackers > 0 || cookies?.tracking === true || cookies?.tracking === 'likely') {
+    return { id: 'SOME_TRACKING' };
+  }
+
+  return { id: 'ESSENTIAL_COOKIES_ONLY' };
+}
+
+function detectFingerprinting(fingerprinting) {
+  switch (fingerprinting?.level) {
+    case FINGERPRINT_LEVELS.FINGERPRINTING: return { id: 'FINGERPRINTING' };
+    case FINGERPRINT_LEVELS.POSSIBLE: return { id: 'POSSIBLE_FINGERPRINTING' };
+    default: return null;
+  }
+}
+
+function detectRetention(classification) {
+  const retention = classification.practices.DATA_RETENTION;
+  if (retention.length === 0) return { id: 'UNCLEAR_RETENTION' };
+
+  const explicit = retention.find(s => DURATION_PATTERN.test(s.text));
+  return explicit
+    ? { id: 'TRANSPARENT_PRACTICES', quote: explicit.text }
+    : { id: 'VAGUE_RETENTION', quote: retention[0].text };
+}
+
+function detectUserControl(classification) {
+  const { practices } = classification;
+  const choices = practices.USER_CHOICE.filter(s => !s.negated);
+  const access = practices.USER_ACCESS.filter(s => !s.negated);
+
+  // Access, correction and deletion rights count as control alongside opt-outs
+  if (choices.length === 0 && access.length === 0) return { id: 'NO_USER_CONTROL' };
+
+  const quote = (choices[0] || access[0]).text;
+  if (choices.length > 0 && access.length > 0) return { id: 'STRONG_CONTROL', quote };
+
+  return { id: 'LIMITED_CONTROL', quote };
+}
+
+// Mandatory arbitration, class-action or jury-trial waivers
+function detectRightsWaiver(classification, summarizer) {
+  const dispute = classification?.practices.DISPUTE_RESOLUTION.find(s => !s.negated);
+  if (dispute) return { id: 'RIGHTS_WAIVER', quote: dispute.text };
+
+  const clause = findNotableClause(summarizer, WAIVER_CLAUSE_PATTERN);
+  return clause ? { id: 'RIGHTS_WAIVER', quote: clause } : null;
+}
+
+// First affirmative notable clause matching pattern, as the policy sentence quoted for it
+function findNotableClause(summarizer, pattern) {
+  const clauses = Array.isArray(summarizer?.notable_clauses) ? summarizer.notable_clauses : [];
+  const clause = clauses.find(c => typeof c === 'string' && pattern.test(c) && !NEGATION_PATTERN.test(c));
+  if (!clause) return null;
+
+  return typeof summarizer.quotes?.[clause] === 'string' ? summarizer.quotes[clause] : clause;
+}
+
+function detectCollection(summarizer) {
+  const categories = (summarizer?.categories || []).filter(c => c && c !== 'unknown');
+  return categories.length > 0 && categories.length <= 2 ? { id: 'MINIMAL_COLLECTION' } : null;
+}
+
+function findTier(factorId) {
+  return Object.keys(RISK_FACTORS).find(tier => factorId in RISK_FACTORS[tier].factors);
+}
+
+function sumPoints(breakdown) {
+  return breakdown.reduce((total, entry) => total + entry.points, 0);
+}
+
+function clampScore(score) {
+  return Math.max(0, Math.min(100, Math.round(score)));
+}
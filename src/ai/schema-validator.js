@@ -0,0 +1,186 @@
+// Schema Validator - Validates model replies against a JSON Schema subset and
+// coerces near-miss values ("42" -> 42, "Yes" -> "yes" or true, "email" -> ["email"]).
+// Null values of optional or additional properties count as absent.
+// Supported keywords: type, enum, properties, required, additionalProperties,
+// items, minimum, maximum, maxItems, default
+
+// Returns { valid, value, errors } where value is the coerced copy of the input
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  const coerced = validateNode(value, schema, path, errors);
+  return { valid: errors.length === 0, value: coerced, errors };
+}
+
+function validateNode(value, schema, path, errors) {
+  if (!schema) return value;
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  let result = value;
+
+  if (types && !types.some(type => matchesType(result, type))) {
+    const converted = coerceToTypes(result, types, schema);
+    if (converted.ok) {
+      result = converted.value;
+    } else {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${describeType(value)}`);
+      return value;
+    }
+  }
+
+  if (schema.enum) {
+    const matched = matchEnum(result, schema.enum);
+    if (matched.ok) {
+      result = matched.value;
+    } else {
+      errors.push(`${path}: ${JSON.stringify(result)} is not one of ${JSON.stringify(schema.enum)}`);
+      return result;
+    }
+  }
+
+  if (typeof result === 'number') {
+    // Out-of-range scores are clamped rather than rejected
+    if (schema.minimum !== undefined) result = Math.max(result, schema.minimum);
+    if (schema.maximum !== undefined) result = Math.min(result, schema.maximum);
+  }
+
+  if (Array.isArray(result)) {
+    result = result.map((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+    if (schema.maxItems !== undefined) result = result.slice(0, schema.maxItems);
+  } else if (isPlainObject(result) && (schema.properties || schema.additionalProperties !== undefined)) {
+    result = validateObject(result, schema, path, errors);
+  }
+
+  return result;
+}
+
+function validateObject(value, schema, path, errors) {
+  const properties = schema.properties || {};
+  const output = {};
+
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined || value[key] === null) {
+      errors.push(`${path}.${key}: required`);
+    }
+  });
+
+  Object.entries(properties).forEach(([key, propertySchema]) => {
+    if (value[key] === undefined || value[key] === null) {
+      if (propertySchema.default !== undefined) {
+        output[key] = structuredCloneValue(propertySchema.default);
+      }
+      return;
+    }
+    output[key] = validateNode(value[key], propertySchema, `${path}.${key}`, errors);
+  });
+
+  Object.entries(value).forEach(([key, propertyValue]) => {
+    if (key in properties) return;
+    if (propertyValue === undefined || propertyValue === null) return; // e.g. a quote the model left empty
+
+    if (schema.additionalProperties === false) return; // Drop unexpected fields
+    if (isPlainObject(schema.additionalProperties)) {
+      output[key] = validateNode(propertyValue, schema.additionalProperties, `${path}.${key}`, errors);
+    } else {
+      output[key] = propertyValue;
+    }
+  });
+
+  return output;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+// Try each allowed type in order; the first lossless conversion wins
+function coerceToTypes(value, types, schema) {
+  for (const type of types) {
+    const converted = coerceToType(value, type, schema);
+    if (converted.ok) return converted;
+  }
+  return { ok: false };
+}
+
+function coerceToType(value, type, schema) {
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        const number = Number(value);
+        return { ok: true, value: type === 'integer' ? Math.round(number) : number };
+      }
+      if (type === 'integer' && typeof value === 'number' && Number.isFinite(value)) {
+        return { ok: true, value: Math.round(value) };
+      }
+      return { ok: false };
+    }
+
+    case 'boolean': {
+      if (typeof value === 'string') {
+        const lower = value.trim().toLowerCase();
+        if (['true', 'yes'].includes(lower)) return { ok: true, value: true };
+        if (['false', 'no'].includes(lower)) return { ok: true, value: false };
+      }
+      return { ok: false };
+    }
+
+    case 'string':
+      return typeof value === 'number' || typeof value === 'boolean'
+        ? { ok: true, value: String(value) }
+        : { ok: false };
+
+    case 'array': {
+      // A lone scalar where a list was expected becomes a one-item list
+      if (value !== null && value !== undefined && !isPlainObject(value)) {
+        const itemTypes = schema.items?.type ? [].concat(schema.items.type) : null;
+        if (!itemTypes || itemTypes.some(itemType => matchesType(value, itemType))) {
+          return { ok: true, value: [value] };
+        }
+      }
+      return { ok: false };
+    }
+
+    default:
+      return { ok: false };
+  }
+}
+
+// Enum values match case-insensitively and across string/boolean spellings
+// ("Yes" and "true" match true, "no" and "false" match false)
+function matchEnum(value, allowed) {
+  if (allowed.includes(value)) return { ok: true, value };
+
+  const normalized = String(value).trim().toLowerCase();
+  const match = allowed.find(option => String(option).toLowerCase() === normalized);
+  if (match !== undefined) return { ok: true, value: match };
+
+  const booleans = { yes: true, true: true, no: false, false: false };
+  if (normalized in booleans && allowed.includes(booleans[normalized])) {
+    return { ok: true, value: booleans[normalized] };
+  }
+
+  return { ok: false };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function structuredCloneValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
@@ -2,6 +2,77 @@
 
 // Utility functions (inline to avoid import issues)
 
+// Localized privacy keywords for German, French, Spanish, Italian, Dutch, Portuguese,
+// Polish and Swedish pages. Mirrors LINK_KEYWORDS and BANNER_KEYWORDS in utils/language.js.
+const LOCALIZED_KEYWORDS = {
+  // Names of the policy itself
+  policyLinkText: [
+    'datenschutzerklärung', 'datenschutzhinweise', 'datenschutzrichtlinie',
+    'politique de confidentialité', 'déclaration de confidentialité', 'politique de protection des données',
+    'política de privacidad', 'aviso de privacidad', 'política de protección de datos',
+    'informativa sulla privacy', 'informativa privacy', 'politica sulla privacy',
+    'privacybeleid', 'privacyverklaring',
+    'política de privacidade', 'aviso de privacidade',
+    'polityka prywatności', 'polityka ochrony danych',
+    'integritetspolicy', 'dataskyddspolicy'
+  ],
+  // Broader privacy topics
+  privacyLinkText: [
+    'datenschutz', 'cookie-richtlinie', 'cookie-hinweise',
+    'confidentialité', 'données personnelles', 'protection des données', 'politique de cookies', 'gestion des cookies',
+    'privacidad', 'protección de datos', 'política de cookies',
+    'protezione dei dati', 'dati personali',
+    'gegevensbescherming', 'cookiebeleid', 'persoonsgegevens',
+    'privacidade', 'proteção de dados', 'dados pessoais',
+    'prywatność', 'ochrona danych', 'dane osobowe', 'polityka cookies',
+    'integritet', 'dataskydd', 'personuppgifter', 'cookiepolicy'
+  ],
+  urlPatterns: [
+    'datenschutz', 'datenschutzerklaerung',
+    'confidentialite', 'donnees-personnelles', 'protection-des-donnees', 'vie-privee',
+    'privacidad', 'proteccion-de-datos', 'politica-de-cookies',
+    'informativa-privacy', 'protezione-dati',
+    'privacybeleid', 'privacyverklaring', 'cookiebeleid',
+    'privacidade', 'protecao-de-dados',
+    'polityka-prywatnosci', 'prywatnosc', 'ochrona-danych',
+    'integritetspolicy', 'integritet', 'dataskydd', 'personuppgifter'
+  ],
+  bannerTopic: [
+    'einwilligung', 'datenschutz', 'consentement', 'confidentialité', 'traceurs',
+    'consentimiento', 'privacidad', 'consenso', 'toestemming', 'consentimento',
+    'privacidade', 'zgod', 'prywatno', 'samtycke', 'integritet'
+  ],
+  acceptButton: [
+    'akzeptieren', 'zustimmen', 'einverstanden', 'annehmen', 'erlauben',
+    'accepter', "j'accepte", 'autoriser', "d'accord",
+    'aceptar', 'acepto', 'permitir',
+    'accetta', 'accetto', 'consenti', 'acconsento',
+    'accepteren', 'akkoord', 'toestaan',
+    'aceitar', 'aceito', 'concordo',
+    'akceptuj', 'zgadzam', 'zezwól', 'zaakceptuj',
+    'acceptera', 'godkänn', 'tillåt'
+  ],
+  rejectButton: [
+    'ablehnen', 'verweigern', 'nicht zustimmen',
+    'refuser', 'rejeter', 'je refuse',
+    'rechazar', 'denegar', 'rechazo',
+    'rifiuta', 'rifiuto',
+    'weigeren', 'afwijzen',
+    'rejeitar', 'recusar',
+    'odrzuć', 'odrzucam', 'nie zgadzam',
+    'avvisa', 'avböj'
+  ]
+};
+
+// Language declared by the page (<html lang>, falling back to the content-language meta tag)
+function getDeclaredPageLanguage() {
+  const htmlLang = document.documentElement.getAttribute('lang');
+  if (htmlLang) return htmlLang.trim();
+
+  const meta = document.querySelector('meta[http-equiv="content-language" i]');
+  return meta?.getAttribute('content')?.split(',')[0].trim() || null;
+}
+
 // Find privacy policy links on the current page
 function findPrivacyPolicyLinks() {
   const links = [];
@@ -14,7 +85,8 @@ function findPrivacyPolicyLinks() {
     'terms', 'terms-of-service', 'terms-and-conditions', 'legal', 'gdpr', 'ccpa',
     // Fragment/anchor patterns
     '#privacy', '#privacy-policy', '#privacy_policy', '#data-protection',
-    '#developer_policy', '#user_privacy', '#privacy_notice'
+    '#developer_policy', '#user_privacy', '#privacy_notice',
+    ...LOCALIZED_KEYWORDS.urlPatterns
   ];
 
   // Privacy-related patterns for link text (more flexible)
@@ -25,13 +97,16 @@ function findPrivacyPolicyLinks() {
     'terms of service', 'terms and conditions', 'terms of use', 'terms',
     'legal', 'gdpr', 'ccpa', 'california privacy',
     // Developer/API specific
-    'developer policy', 'api privacy', 'user privacy'
+    'developer policy', 'api privacy', 'user privacy',
+    ...LOCALIZED_KEYWORDS.policyLinkText,
+    ...LOCALIZED_KEYWORDS.privacyLinkText
   ];
 
-  // Get all links on the page
-  const allLinks = document.querySelectorAll('a[href]');
+  // Links in the page, its open shadow roots and its same-origin frames
+  const allLinks = collectLinkRoots().flatMap(({ root, foundIn }) =>
+    Array.from(root.querySelectorAll('a[href]'), link => ({ link, foundIn })));
 
-  allLinks.forEach(link => {
+  allLinks.forEach(({ link, foundIn }) => {
     const href = link.getAttribute('href');
     if (!href) return;
 
@@ -71,23 +146,28 @@ function findPrivacyPolicyLinks() {
       // Convert relative URLs to absolute
       let absoluteUrl;
       try {
-        absoluteUrl = new URL(href, window.location.href).href;
+        // Relative to the link's own document (frames have their own URL)
+        absoluteUrl = new URL(href, link.baseURI || window.location.href).href;
       } catch (e) {
         return; // Skip invalid URLs
       }
 
       const linkDomain = new URL(absoluteUrl).hostname;
 
-      // Calculate priority for sorting
+      // Calculate priority for sorting (mirrors getLinkPriority in utils/privacy-scraper.js)
       let priority = 0;
 
-      // Higher priority for exact "privacy policy" matches
-      if (linkText.includes('privacy policy') || absoluteUrl.includes('privacy-policy')) {
+      // Higher priority for exact "privacy policy" matches (in any supported language)
+      if (linkText.includes('privacy policy') || absoluteUrl.includes('privacy-policy') ||
+          LOCALIZED_KEYWORDS.policyLinkText.some(term => linkText.includes(term))) {
         priority += 10;
       }
 
       // Medium priority for other privacy-related terms
-      if (linkText.includes('privacy') || absoluteUrl.includes('privacy')) {
+      const lowerUrl = absoluteUrl.toLowerCase();
+      if (linkText.includes('privacy') || absoluteUrl.includes('privacy') ||
+          LOCALIZED_KEYWORDS.privacyLinkText.some(term => linkText.includes(term)) ||
+          LOCALIZED_KEYWORDS.urlPatterns.some(pattern => lowerUrl.includes(pattern))) {
         priority += 5;
       }
 
@@ -96,20 +176,43 @@ function findPrivacyPolicyLinks() {
         priority += 1;
       }
 
-      // Bonus for same domain
-      if (linkDomain === currentDomain) {
+      // Bonus for same site
+      if (isSameSiteHost(linkDomain, currentDomain)) {
         priority += 3;
       }
 
       links.push({
         url: absoluteUrl,
         text: linkText,
-        isSameDomain: linkDomain === currentDomain,
-        priority: priority
+        isSameDomain: isSameSiteHost(linkDomain, currentDomain),
+        priority: priority,
+        foundIn
       });
     }
   });
 
+  // Policies the page declares in its head (<link rel="privacy-policy" href="...">)
+  document.querySelectorAll('link[rel~="privacy-policy" i][href], link[rel~="terms-of-service" i][href]').forEach(link => {
+    let absoluteUrl;
+    try {
+      absoluteUrl = new URL(link.getAttribute('href'), window.location.href).href;
+    } catch (e) {
+      return; // Skip invalid URLs
+    }
+
+    const isPolicy = /privacy-policy/i.test(link.getAttribute('rel'));
+    const linkDomain = new URL(absoluteUrl).hostname;
+
+    links.push({
+      url: absoluteUrl,
+      text: isPolicy ? 'privacy policy' : 'terms of service',
+      isSameDomain: isSameSiteHost(linkDomain, currentDomain),
+      // A declared policy outranks any guess from link text
+      priority: isPolicy ? 20 : 2,
+      foundIn: 'link rel'
+    });
+  });
+
   // Sort by priority (highest first)
   links.sort((a, b) => b.priority - a.priority);
 
@@ -124,13 +227,82 @@ function findPrivacyPolicyLinks() {
     }
   });
 
-  console.log('Found privacy policy links (objects):', uniqueLinks);
-  const urls = uniqueLinks.map(link => link.url);
-  console.log('Returning privacy policy URLs:', urls);
-  return urls;
+  console.log('Found privacy policy links:', uniqueLinks.map(link => `${link.url} (${link.foundIn})`));
+  return uniqueLinks;
+}
+
+// Where links can hide: the page, open shadow roots of web components and
+// same-origin frames such as consent managers. Mirrors collectLinkRoots in
+// utils/privacy-scraper.js (inline to avoid import issues).
+function collectLinkRoots() {
+  const maxFrameDepth = 3;
+  const roots = [];
+
+  const visit = (root, foundIn, frameDepth) => {
+    roots.push({ root, foundIn });
+
+    root.querySelectorAll('*').forEach(element => {
+      // Closed shadow roots report null and stay unreachable
+      if (element.shadowRoot) visit(element.shadowRoot, 'shadow DOM', frameDepth);
+
+      if ((element.tagName === 'IFRAME' || element.tagName === 'FRAME') && frameDepth < maxFrameDepth) {
+        try {
+          // Throws or returns null for cross-origin frames
+          const frameDocument = element.contentDocument;
+          if (frameDocument?.documentElement) visit(frameDocument, 'iframe', frameDepth + 1);
+        } catch (e) {
+          // Cross-origin frame
+        }
+      }
+    });
+  };
+
+  visit(document, 'page', 0);
+  return roots;
 }
 
-// Extract cookie data from the current page
+// Whether one host is the other or a subdomain of it ("shop.example.com" and
+// "example.com", but not "example.com.evil.net"). Approximates isSameSite in
+// utils/site-domain.js, whose Public Suffix List is too large to inline; the
+// service worker redoes link isSameDomain and priority against the full list.
+function isSameSiteHost(hostA, hostB) {
+  const a = (hostA || '').toLowerCase().replace(/^\./, '');
+  const b = (hostB || '').toLowerCase().replace(/^\./, '');
+  if (!a || !b) return false;
+
+  return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+}
+
+// Scroll to the bottom so footers loaded on scroll render, then scroll back
+async function revealLazyFooter() {
+  const { scrollX, scrollY } = window;
+
+  window.scrollTo({ top: document.documentElement.scrollHeight, behavior: 'instant' });
+
+  // Give the footer a moment to load, ending early once the DOM is quiet
+  await new Promise(resolve => {
+    let quietTimer = setTimeout(finish, 500);
+    const maxTimer = setTimeout(finish, 2000);
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(finish, 500);
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+
+    function finish() {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(maxTimer);
+      resolve();
+    }
+  });
+
+  window.scrollTo({ left: scrollX, top: scrollY, behavior: 'instant' });
+}
+
+// Extract cookie data from the current page. chrome.cookies is not available to
+// content scripts: the service worker reads the full cookie jar and replaces these
+// document.cookie based counts.
 async function extractCookieData() {
   const cookieData = {
     documentCookies: [],
@@ -162,67 +334,153 @@ async function extractCookieData() {
       });
     }
 
-    // Get all cookies for current URL using Chrome extension API
-    try {
-      const allCookies = await chrome.cookies.getAll({ url: window.location.href });
-      cookieData.allCookies = allCookies;
-      cookieData.cookieCount = allCookies.length;
-
-      // Identify third-party cookies by domain
-      const thirdPartyCookies = allCookies.filter(cookie => {
-        // Extract domain from cookie domain (remove leading dots)
-        const cookieDomain = cookie.domain.startsWith('.')
-          ? cookie.domain.substring(1)
-          : cookie.domain;
-
-        // Check if cookie domain is different from current domain
-        return !currentDomain.includes(cookieDomain) && !cookieDomain.includes(currentDomain);
-      });
+    // Heuristic third-party detection from cookie names
+    cookieData.cookieCount = cookieData.documentCookies.length;
 
-      cookieData.thirdPartyCookies = thirdPartyCookies.length;
+    const heuristicThirdParty = cookieData.documentCookies.filter(cookie => {
+      return cookie.name.startsWith('_ga') ||
+             cookie.name.startsWith('_fb') ||
+             cookie.name.includes('doubleclick') ||
+             cookie.name.includes('google') ||
+             cookie.name.includes('analytics');
+    });
 
-      // Get unique third-party domains
-      const uniqueDomains = [...new Set(thirdPartyCookies.map(cookie => {
-        const domain = cookie.domain.startsWith('.')
-          ? cookie.domain.substring(1)
-          : cookie.domain;
-        return domain;
-      }))];
+    cookieData.thirdPartyCookies = heuristicThirdParty.length;
 
-      cookieData.thirdPartyDomains = uniqueDomains;
+    // Estimate domains based on cookie names
+    const estimatedDomains = [];
+    heuristicThirdParty.forEach(cookie => {
+      if (cookie.name.startsWith('_ga')) estimatedDomains.push('google-analytics.com');
+      if (cookie.name.startsWith('_fb')) estimatedDomains.push('facebook.com');
+      if (cookie.name.includes('doubleclick')) estimatedDomains.push('doubleclick.net');
+    });
 
-    } catch (apiError) {
-      console.log('Chrome cookies API not available, falling back to heuristics');
+    cookieData.thirdPartyDomains = [...new Set(estimatedDomains)];
 
-      // Fallback to simple heuristic detection
-      cookieData.cookieCount = cookieData.documentCookies.length;
+  } catch (error) {
+    console.error('Error extracting cookies:', error);
+  }
 
-      const heuristicThirdParty = cookieData.documentCookies.filter(cookie => {
-        return cookie.name.startsWith('_ga') ||
-               cookie.name.startsWith('_fb') ||
-               cookie.name.includes('doubleclick') ||
-               cookie.name.includes('google') ||
-               cookie.name.includes('analytics');
-      });
+  return cookieData;
+}
 
-      cookieData.thirdPartyCookies = heuristicThirdParty.length;
+// List the page's localStorage, sessionStorage and IndexedDB databases, flagging
+// values that look like persistent IDs. Values themselves are never sent. Mirrors
+// extractStorageData in utils/cookie-extractor.js (inline to avoid import issues).
+async function extractStorageData() {
+  const maxItems = 200;
+  const storageData = { items: [], databases: [], totalBytes: 0, identifiers: 0 };
 
-      // Estimate domains based on cookie names
-      const estimatedDomains = [];
-      heuristicThirdParty.forEach(cookie => {
-        if (cookie.name.startsWith('_ga')) estimatedDomains.push('google-analytics.com');
-        if (cookie.name.startsWith('_fb')) estimatedDomains.push('facebook.com');
-        if (cookie.name.includes('doubleclick')) estimatedDomains.push('doubleclick.net');
+  ['localStorage', 'sessionStorage'].forEach(area => {
+    let storage;
+    try {
+      storage = window[area]; // Throws when storage is disabled for the site
+    } catch (error) {
+      return;
+    }
+    if (!storage) return;
+
+    for (let i = 0; i < storage.length && i < maxItems; i++) {
+      const key = storage.key(i);
+      const value = storage.getItem(key) || '';
+      const match = findIdentifier(value);
+
+      storageData.items.push({
+        area,
+        key,
+        size: (key.length + value.length) * 2, // UTF-16 bytes
+        identifier: match?.kind || null,
+        identifierField: match?.field || null
       });
+    }
+  });
 
-      cookieData.thirdPartyDomains = [...new Set(estimatedDomains)];
+  try {
+    if (window.indexedDB?.databases) {
+      const databases = await indexedDB.databases();
+      storageData.databases = databases.map(db => ({ name: db.name, version: db.version }));
     }
+  } catch (error) {
+    console.log('IndexedDB databases not available:', error);
+  }
+
+  storageData.totalBytes = storageData.items.reduce((total, item) => total + item.size, 0);
+  storageData.identifiers = storageData.items.filter(item => item.identifier).length;
 
+  return storageData;
+}
+
+// Kind of persistent identifier a stored value holds ('uuid' or 'random id'), also
+// one level inside JSON objects. Returns { kind, field } or null.
+function findIdentifier(value) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > 4096) return null;
+
+  let parsed = value;
+  try {
+    parsed = JSON.parse(value);
   } catch (error) {
-    console.error('Error extracting cookies:', error);
+    // Plain string
   }
 
-  return cookieData;
+  if (typeof parsed === 'string') {
+    const kind = classifyIdentifier(parsed);
+    return kind ? { kind, field: null } : null;
+  }
+
+  if (parsed && typeof parsed === 'object') {
+    for (const [field, fieldValue] of Object.entries(parsed)) {
+      const kind = typeof fieldValue === 'string' ? classifyIdentifier(fieldValue) : null;
+      if (kind) return { kind, field };
+    }
+  }
+
+  return null;
+}
+
+// UUIDs, and long letter-and-digit tokens with high entropy
+function classifyIdentifier(text) {
+  const value = text.trim();
+
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) return 'uuid';
+  if (!/^[A-Za-z0-9_\-.:+/=]{16,128}$/.test(value)) return null;
+  if (!/[a-z]/i.test(value) || !/\d/.test(value)) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) || /^https?:/i.test(value)) return null;
+
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  const entropy = Object.values(counts).reduce((total, count) => {
+    const p = count / value.length;
+    return total - p * Math.log2(p);
+  }, 0);
+
+  return entropy >= 3.5 ? 'random id' : null;
+}
+
+// Fingerprinting API calls recorded by fingerprint-monitor.js in the page's MAIN
+// world, per calling script origin: { scripts: [{ origin, canvas, audio, webgl,
+// plugins, fonts }] }, or null when the monitor does not answer (pages loaded
+// before the extension, or where it cannot run)
+function collectFingerprintReport(timeoutMs = 500) {
+  return new Promise(resolve => {
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    const finish = (report) => {
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      resolve(report);
+    };
+
+    const onMessage = (event) => {
+      if (event.source !== window || event.data?.source !== 'safemode-fingerprint' ||
+          event.data.type !== 'FINGERPRINT_REPORT' || event.data.requestId !== requestId) return;
+
+      finish({ scripts: Array.isArray(event.data.scripts) ? event.data.scripts : [] });
+    };
+
+    const timer = setTimeout(() => finish(null), timeoutMs);
+    window.addEventListener('message', onMessage);
+    window.postMessage({ source: 'safemode-content', type: 'GET_FINGERPRINT_REPORT', requestId }, '*');
+  });
 }
 
 // Analyze cookie banners and consent mechanisms
@@ -254,7 +512,8 @@ function analyzeCookieBanner() {
 
       // Check if element contains cookie/privacy related keywords
       if (text.includes('cookie') || text.includes('consent') ||
-          text.includes('privacy') || text.includes('gdpr')) {
+          text.includes('privacy') || text.includes('gdpr') ||
+          LOCALIZED_KEYWORDS.bannerTopic.some(word => text.includes(word))) {
         bannerElement = element;
         break;
       }
@@ -274,12 +533,14 @@ function analyzeCookieBanner() {
       const buttonText = button.textContent.toLowerCase();
 
       if (buttonText.includes('accept') || buttonText.includes('agree') ||
-          buttonText.includes('ok') || buttonText.includes('allow')) {
+          buttonText.includes('ok') || buttonText.includes('allow') ||
+          LOCALIZED_KEYWORDS.acceptButton.some(word => buttonText.includes(word))) {
         bannerData.hasAcceptButton = true;
       }
 
       if (buttonText.includes('reject') || buttonText.includes('decline') ||
-          buttonText.includes('deny') || buttonText.includes('refuse')) {
+          buttonText.includes('deny') || buttonText.includes('refuse') ||
+          LOCALIZED_KEYWORDS.rejectButton.some(word => buttonText.includes(word))) {
         bannerData.hasRejectButton = true;
       }
     });
@@ -304,11 +565,17 @@ function analyzeCookieBanner() {
         switch (message.type) {
           case 'SCRAPE_PAGE_DATA':
             console.log('Starting page data scraping...');
-            const pageData = await scrapePageData();
+            const pageData = await scrapePageData({ revealLazyContent: message.revealLazyContent });
             console.log('Page data scraped successfully:', pageData);
             sendResponse({ success: true, data: pageData });
             break;
 
+          case 'GET_RENDERED_HTML':
+            // Sent to a background tab opened to render a JavaScript-only policy page
+            await waitForContentToSettle(message.settleMs, message.maxWaitMs);
+            sendResponse({ success: true, data: { html: document.documentElement.outerHTML } });
+            break;
+
           case 'AUTO_ANALYZE':
             console.log('Starting auto analysis...');
             await performAutoAnalysis();
@@ -329,7 +596,9 @@ function analyzeCookieBanner() {
   });
 
   // Main function to scrape all page data
-  async function scrapePageData() {
+  // revealLazyContent scrolls the page once to load lazy footers when no policy
+  // link is found; only for analyses the user started
+  async function scrapePageData(options = {}) {
     const domain = window.location.hostname;
     const url = window.location.href;
 
@@ -339,24 +608,42 @@ function analyzeCookieBanner() {
     const pageContent = getCleanPageText();
 
     // Find privacy policy links
-    const privacyPolicyLinks = findPrivacyPolicyLinks();
+    let privacyPolicyLinks = findPrivacyPolicyLinks();
+
+    if (privacyPolicyLinks.length === 0 && options.revealLazyContent) {
+      console.log('No policy links found, loading lazy footer content');
+      await revealLazyFooter();
+      privacyPolicyLinks = findPrivacyPolicyLinks();
+    }
 
     // Extract cookie data
     const cookies = await extractCookieData();
 
+    // Identifiers kept in Web Storage and IndexedDB instead of cookies
+    const storage = await extractStorageData();
+
+    // Canvas, audio, WebGL, plugin and font APIs page scripts used
+    const fingerprinting = await collectFingerprintReport();
+
     // Analyze cookie banners
     const cookieBannerData = analyzeCookieBanner();
 
     // Get page title
     const pageTitle = document.title;
 
+    // Declared page language; the service worker confirms it from the text
+    const pageLanguage = getDeclaredPageLanguage();
+
     return {
       domain,
       url,
       pageTitle,
+      pageLanguage,
       pageContent,
       privacyPolicyLinks,
       cookies,
+      storage,
+      fingerprinting,
       cookieBannerData,
       timestamp: Date.now()
     };
@@ -405,6 +692,41 @@ function analyzeCookieBanner() {
       .substring(0, 10000); // Limit to prevent token overflow
   }
 
+  // Resolve once the DOM has not changed for settleMs and the page shows some
+  // text, or after maxWaitMs
+  function waitForContentToSettle(settleMs = 1000, maxWaitMs = 8000) {
+    const minTextLength = 500;
+
+    return new Promise(resolve => {
+      let settleTimer = null;
+
+      const finish = () => {
+        observer.disconnect();
+        clearTimeout(settleTimer);
+        clearTimeout(maxTimer);
+        resolve();
+      };
+
+      const check = () => {
+        // Data for the page may still be loading
+        if ((document.body?.innerText || '').trim().length < minTextLength) {
+          settleTimer = setTimeout(check, settleMs);
+          return;
+        }
+        finish();
+      };
+
+      const observer = new MutationObserver(() => {
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(check, settleMs);
+      });
+      observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+
+      settleTimer = setTimeout(check, settleMs);
+      const maxTimer = setTimeout(finish, maxWaitMs);
+    });
+  }
+
   // Perform automatic analysis when auto-scan is enabled
   async function performAutoAnalysis() {
     try {
@@ -0,0 +1,171 @@
+// Safemode Fingerprint Monitor - Records browser fingerprinting APIs used by page scripts
+// Runs in the page's MAIN world at document_start, before any page script, so the
+// APIs fingerprinting libraries read are wrapped before they are used. Calls are
+// counted per calling script origin; nothing about the page or the values read is
+// recorded. The content script (isolated world) asks for the counts over
+// window.postMessage. Page scripts can see and tamper with this channel, as they
+// can with the wrapped APIs themselves; the report is a detection aid, not proof.
+
+(function () {
+  'use strict';
+
+  const MESSAGE_SOURCE = 'safemode-fingerprint';
+  const REQUEST_SOURCE = 'safemode-content';
+
+  // Origins listed per page; more are folded into "other"
+  const MAX_ORIGINS = 50;
+
+  // Calls per technique whose caller is looked up from a stack trace. Later calls
+  // (getImageData in an animation loop) are counted for the last caller found, so
+  // hot paths do not pay for a stack trace each time.
+  const MAX_TRACED_CALLS = 50;
+
+  // WebGL parameters only readable through WEBGL_debug_renderer_info
+  const UNMASKED_VENDOR_WEBGL = 0x9245;
+  const UNMASKED_RENDERER_WEBGL = 0x9246;
+
+  // { <origin>: { canvas, audio, webgl, plugins, fonts: [<font>] } }
+  const calls = {};
+
+  // { <technique>: { traced: <count>, origin: <last caller> } }
+  const traces = {};
+
+  // Font families seen on the page; measuring one again records nothing new
+  const seenFonts = new Set();
+
+  // Origin of the page script that called into a wrapped API: the first stack
+  // frame outside this extension. Inline scripts report the page's own origin.
+  function getCallerOrigin() {
+    const stack = new Error().stack || '';
+    const urls = stack.match(/(https?:\/\/[^\s)]+)/g) || [];
+
+    for (const url of urls) {
+      try {
+        return new URL(url).origin;
+      } catch (error) {
+        // Not a URL after all
+      }
+    }
+
+    return 'unknown';
+  }
+
+  function record(technique, detail) {
+    try {
+      if (technique === 'fonts') {
+        if (!detail || seenFonts.has(detail)) return;
+        seenFonts.add(detail);
+      }
+
+      const trace = traces[technique] || (traces[technique] = { traced: 0, origin: 'unknown' });
+      if (trace.traced < MAX_TRACED_CALLS) {
+        trace.traced++;
+        trace.origin = getCallerOrigin();
+      }
+
+      let origin = trace.origin;
+      if (!calls[origin] && Object.keys(calls).length >= MAX_ORIGINS) origin = 'other';
+
+      const entry = calls[origin] || (calls[origin] = { canvas: 0, audio: 0, webgl: 0, plugins: 0, fonts: [] });
+
+      if (technique === 'fonts') {
+        if (entry.fonts.length < 200) entry.fonts.push(detail);
+      } else {
+        entry[technique]++;
+      }
+    } catch (error) {
+      // Recording must never break the page
+    }
+  }
+
+  // Replace proto[name] with a wrapper that records before calling the original
+  function wrapMethod(proto, name, onCall) {
+    const original = proto?.[name];
+    if (typeof original !== 'function') return;
+
+    Object.defineProperty(proto, name, {
+      configurable: true,
+      writable: true,
+      value: function (...args) {
+        onCall(this, args);
+        return Reflect.apply(original, this, args);
+      }
+    });
+  }
+
+  function wrapGetter(proto, name, onGet) {
+    const descriptor = proto && Object.getOwnPropertyDescriptor(proto, name);
+    if (!descriptor?.get) return;
+
+    Object.defineProperty(proto, name, {
+      ...descriptor,
+      get() {
+        onGet(this);
+        return descriptor.get.call(this);
+      }
+    });
+  }
+
+  // Canvas: reading back pixels is how a canvas fingerprint is taken
+  wrapMethod(window.HTMLCanvasElement?.prototype, 'toDataURL', () => record('canvas'));
+  wrapMethod(window.CanvasRenderingContext2D?.prototype, 'getImageData', () => record('canvas'));
+
+  // Audio: rendering a signal offline and hashing the samples
+  ['AudioContext', 'OfflineAudioContext', 'webkitAudioContext', 'webkitOfflineAudioContext'].forEach(name => {
+    const Original = window[name];
+    if (typeof Original !== 'function') return;
+
+    const Wrapped = new Proxy(Original, {
+      construct(target, args, newTarget) {
+        record('audio');
+        return Reflect.construct(target, args, newTarget === Wrapped ? target : newTarget);
+      }
+    });
+    window[name] = Wrapped;
+  });
+
+  // WebGL: the unmasked GPU vendor and renderer
+  [window.WebGLRenderingContext, window.WebGL2RenderingContext].forEach(Context => {
+    wrapMethod(Context?.prototype, 'getExtension', (context, [name]) => {
+      if (name === 'WEBGL_debug_renderer_info') record('webgl');
+    });
+    wrapMethod(Context?.prototype, 'getParameter', (context, [parameter]) => {
+      if (parameter === UNMASKED_VENDOR_WEBGL || parameter === UNMASKED_RENDERER_WEBGL) record('webgl');
+    });
+  });
+
+  // Plugins and MIME types: enumerated for the installed plugin list
+  wrapGetter(window.Navigator?.prototype, 'plugins', () => record('plugins'));
+  wrapGetter(window.Navigator?.prototype, 'mimeTypes', () => record('plugins'));
+
+  // Fonts: measuring text in many font families reveals which are installed.
+  // Each distinct family measured or checked is recorded, for the first script to use it.
+  wrapMethod(window.CanvasRenderingContext2D?.prototype, 'measureText', (context) => {
+    record('fonts', getFontFamily(context.font));
+  });
+  wrapMethod(window.FontFaceSet?.prototype, 'check', (fontSet, [font]) => {
+    record('fonts', getFontFamily(font));
+  });
+
+  function getFontFamily(font) {
+    // "italic 12px/1.5 'Courier New', monospace" -> "'courier new', monospace"
+    const match = String(font || '').match(/\d+(\.\d+)?(px|pt|em|rem|%)(\/\S+)?\s+(.+)$/i);
+    return (match ? match[4] : String(font || '')).trim().toLowerCase().slice(0, 100);
+  }
+
+  // Answer the content script with the counts so far
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.source !== REQUEST_SOURCE || event.data.type !== 'GET_FINGERPRINT_REPORT') return;
+
+    const scripts = Object.entries(calls).map(([origin, entry]) => ({
+      origin,
+      canvas: entry.canvas,
+      audio: entry.audio,
+      webgl: entry.webgl,
+      plugins: entry.plugins,
+      fonts: entry.fonts.length
+    }));
+
+    window.postMessage({ source: MESSAGE_SOURCE, type: 'FINGERPRINT_REPORT', requestId: event.data.requestId, scripts }, '*');
+  });
+})();
@@ -0,0 +1,17 @@
+// Safemode Offscreen Document
+// Service workers have no DOMParser; the worker sends fetched policy HTML here to
+// be parsed with the same main-content extraction the scraper uses
+
+import { extractTextFromHTML } from './utils/privacy-scraper.js';
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen' || message.type !== 'EXTRACT_POLICY_TEXT') return;
+
+  try {
+    const text = extractTextFromHTML(message.html);
+    sendResponse({ success: true, text });
+  } catch (error) {
+    console.error(`Policy extraction failed for ${message.url}:`, error);
+    sendResponse({ success: false, error: error.message });
+  }
+});
@@ -0,0 +1,133 @@
+// Safemode Options Script
+// Lets the user choose the language model provider used for analysis
+
+// Mirrors DEFAULT_PROVIDER_SETTINGS in ai/providers.js (inline to avoid import issues)
+const DEFAULT_PROVIDER_SETTINGS = {
+  aiProvider: 'chrome',
+  aiEndpoint: 'http://localhost:11434/v1',
+  aiModel: ''
+};
+
+class SafemodeOptions {
+  constructor() {
+    this.init();
+  }
+
+  async init() {
+    await this.loadSettings();
+    this.bindEvents();
+  }
+
+  async loadSettings() {
+    try {
+      const stored = await chrome.storage.local.get(Object.keys(DEFAULT_PROVIDER_SETTINGS));
+      const settings = { ...DEFAULT_PROVIDER_SETTINGS, ...stored };
+
+      // Providers not offered here (the mock used by tests) show as the default
+      const providerSelect = document.getElementById('aiProvider');
+      const offered = Array.from(providerSelect.options).some(option => option.value === settings.aiProvider);
+      providerSelect.value = offered ? settings.aiProvider : DEFAULT_PROVIDER_SETTINGS.aiProvider;
+      document.getElementById('aiEndpoint').value = settings.aiEndpoint;
+      document.getElementById('aiModel').value = settings.aiModel;
+      this.updateEndpointFields();
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      this.showStatus('Failed to load settings', 'error');
+    }
+  }
+
+  bindEvents() {
+    document.getElementById('aiProvider').addEventListener('change', () => {
+      this.updateEndpointFields();
+    });
+
+    document.getElementById('testBtn').addEventListener('click', () => {
+      this.testConnection();
+    });
+
+    document.getElementById('saveBtn').addEventListener('click', () => {
+      this.saveSettings();
+    });
+  }
+
+  // Endpoint and model only apply to the OpenAI-compatible provider
+  updateEndpointFields() {
+    const provider = document.getElementById('aiProvider').value;
+    document.getElementById('endpointFields').style.display =
+      provider === 'openai-compatible' ? 'block' : 'none';
+  }
+
+  readForm() {
+    return {
+      aiProvider: document.getElementById('aiProvider').value,
+      aiEndpoint: document.getElementById('aiEndpoint').value.trim(),
+      aiModel: document.getElementById('aiModel').value.trim()
+    };
+  }
+
+  validate(settings) {
+    if (settings.aiProvider !== 'openai-compatible') return null;
+
+    try {
+      const url = new URL(settings.aiEndpoint);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'Endpoint must be an http(s) URL';
+      }
+    } catch (error) {
+      return 'Endpoint is not a valid URL';
+    }
+
+    return null;
+  }
+
+  async testConnection() {
+    const settings = this.readForm();
+    const validationError = this.validate(settings);
+    if (validationError) {
+      this.showStatus(validationError, 'error');
+      return;
+    }
+
+    this.showStatus('Testing...', '');
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'TEST_AI_PROVIDER', settings });
+
+      if (response?.success && response.available) {
+        this.showStatus('Model is available', 'success');
+      } else {
+        this.showStatus(response?.error || 'Model is not available; the offline classifier will be used', 'error');
+      }
+    } catch (error) {
+      console.error('Provider test failed:', error);
+      this.showStatus('Could not reach the extension service worker', 'error');
+    }
+  }
+
+  async saveSettings() {
+    const settings = this.readForm();
+    const validationError = this.validate(settings);
+    if (validationError) {
+      this.showStatus(validationError, 'error');
+      return;
+    }
+
+    try {
+      await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings });
+      this.showStatus('Settings saved', 'success');
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      this.showStatus('Failed to save settings', 'error');
+    }
+  }
+
+  showStatus(message, type) {
+    const status = document.getElementById('statusMessage');
+    status.textContent = message;
+    status.className = `status ${type}`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new SafemodeOptions();
+});
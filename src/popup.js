@@ -1,12 +1,25 @@
 // Safemode Popup Script
 // Handles the extension popup UI and interactions
 
+// Mirrors ANALYSIS_STEPS in ai/ai-client.js (inline to avoid import issues)
+const ANALYSIS_STEP_LABELS = {
+  scrape: 'Scanning page',
+  policy: 'Fetching privacy policy',
+  summary: 'Summarizing policy',
+  cookies: 'Analyzing cookies',
+  deletion: 'Checking deletion rights',
+  score: 'Scoring privacy risk'
+};
+
 class SafemodePopup {
   constructor() {
     console.log('SafemodePopup constructor called');
     this.currentTab = null;
     this.analysisResult = null;
     this.isAnalyzing = false;
+    this.analysisPort = null;
+    this.cancelRequested = false;
+    this.resumeWaiter = null;
 
     this.init();
   }
@@ -123,6 +136,15 @@ class SafemodePopup {
       this.hideModal();
     });
 
+    document.getElementById('cancelBtn').addEventListener('click', () => {
+      this.cancelAnalysis();
+    });
+
+    // Analyses resumed by a restarted service worker report over runtime messages
+    chrome.runtime.onMessage.addListener((message) => {
+      this.handleResumedAnalysis(message);
+    });
+
     // Close modal on backdrop click
     document.getElementById('reportModal').addEventListener('click', (e) => {
       if (e.target.id === 'reportModal') {
@@ -150,6 +172,12 @@ class SafemodePopup {
         const timestamp = new Date(response.data.timestamp);
         document.getElementById('analysisTime').textContent =
           `Analyzed ${this.formatTimeAgo(timestamp)}`;
+
+        // Produced by older prompts or scoring rules; analyzing again refreshes it
+        if (response.data.stale) {
+          document.getElementById('analysisTime').textContent +=
+            ' · outdated, re-analyze for the current rules';
+        }
       }
     } catch (error) {
       console.log('No cached result available');
@@ -162,6 +190,9 @@ class SafemodePopup {
 
     console.log('Starting analysis for tab:', this.currentTab);
     this.isAnalyzing = true;
+    this.cancelRequested = false;
+    document.getElementById('cancelBtn').disabled = false;
+    this.resetProgress();
     this.showState('loading');
 
     try {
@@ -171,7 +202,8 @@ class SafemodePopup {
       try {
         console.log('Sending SCRAPE_PAGE_DATA message to tab:', this.currentTab.id);
         pageDataResponse = await chrome.tabs.sendMessage(this.currentTab.id, {
-          type: 'SCRAPE_PAGE_DATA'
+          type: 'SCRAPE_PAGE_DATA',
+          revealLazyContent: true // The user asked; a brief scroll to load the footer is fine
         });
         console.log('Received page data response:', pageDataResponse);
       } catch (error) {
@@ -190,7 +222,8 @@ class SafemodePopup {
 
           // Try again
           pageDataResponse = await chrome.tabs.sendMessage(this.currentTab.id, {
-            type: 'SCRAPE_PAGE_DATA'
+            type: 'SCRAPE_PAGE_DATA',
+            revealLazyContent: true
           });
         } catch (injectionError) {
           throw new Error('Cannot analyze this page. The page may not allow content scripts or you may need to refresh and try again.');
@@ -205,11 +238,14 @@ class SafemodePopup {
         throw new Error(pageDataResponse.error || 'Failed to scrape page data');
       }
 
-      // Send data to service worker for analysis
-      const analysisResponse = await chrome.runtime.sendMessage({
-        type: 'ANALYZE_SITE',
-        data: pageDataResponse.data
-      });
+      if (this.cancelRequested) {
+        this.showState('main');
+        return;
+      }
+
+      // Send data to service worker for analysis, following its progress. The tab id
+      // lets it look up the third-party requests the page made.
+      const analysisResponse = await this.requestAnalysis({ ...pageDataResponse.data, tabId: this.currentTab.id });
 
       console.log('Popup received analysis response:', analysisResponse);
 
@@ -217,6 +253,12 @@ class SafemodePopup {
         throw new Error('Service worker not responding. Try reloading the extension.');
       }
 
+      if (analysisResponse.cancelled) {
+        console.log('Analysis cancelled');
+        this.showState('main');
+        return;
+      }
+
       if (!analysisResponse.success) {
         throw new Error(analysisResponse.error || 'Analysis failed');
       }
@@ -237,6 +279,153 @@ class SafemodePopup {
     }
   }
 
+  // Run ANALYZE_SITE over a port so progress events arrive while the analysis runs.
+  // Resolves with the same { success, data, error } shape as a one-off message.
+  requestAnalysis(pageData) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: 'analysis' });
+      let settled = false;
+      this.analysisPort = port;
+
+      port.onMessage.addListener((message) => {
+        if (message.type === 'PROGRESS') {
+          this.updateProgress(message);
+        } else if (message.type === 'RESULT') {
+          settled = true;
+          this.analysisPort = null;
+          port.disconnect();
+          resolve(message);
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        this.analysisPort = null;
+        if (!settled) {
+          // The worker stopped mid-analysis; its job resumes when the worker restarts
+          console.log('Service worker disconnected, waiting for the analysis to resume');
+          resolve(this.waitForResumedAnalysis());
+        }
+      });
+
+      port.postMessage({ type: 'ANALYZE_SITE', data: pageData });
+    });
+  }
+
+  // Wake the service worker, which resumes unfinished jobs on start, and wait for
+  // it to report the result
+  waitForResumedAnalysis() {
+    return new Promise((resolve) => {
+      this.resumeWaiter = (message) => {
+        this.resumeWaiter = null;
+        resolve(message);
+      };
+
+      chrome.runtime.sendMessage({ type: 'PING' }).catch(() => {});
+    });
+  }
+
+  handleResumedAnalysis(message) {
+    if (!this.currentTab || message.domain !== new URL(this.currentTab.url).hostname) return;
+
+    if (message.type === 'ANALYSIS_PROGRESS') {
+      if (this.isAnalyzing) this.updateProgress(message);
+      return;
+    }
+
+    if (message.type !== 'ANALYSIS_COMPLETE') return;
+
+    if (this.resumeWaiter) {
+      this.resumeWaiter(message);
+    } else if (message.success && !this.isAnalyzing) {
+      this.analysisResult = message.data;
+      this.displayAnalysisResult();
+      this.showState('main');
+      document.getElementById('analysisTime').textContent = 'Just analyzed';
+    }
+  }
+
+  // Abort the running analysis; the service worker answers with a cancelled RESULT
+  cancelAnalysis() {
+    if (!this.currentTab) return;
+
+    const domain = new URL(this.currentTab.url).hostname;
+    document.getElementById('cancelBtn').disabled = true;
+
+    if (this.analysisPort) {
+      this.analysisPort.postMessage({ type: 'CANCEL', domain });
+    } else if (this.resumeWaiter) {
+      // Waiting on a resumed job, which may not exist any more
+      chrome.runtime.sendMessage({ type: 'CANCEL_ANALYSIS', domain }).catch(() => {});
+      this.resumeWaiter({ success: false, cancelled: true });
+    } else {
+      // Still scraping the page: stop before the analysis starts
+      this.cancelRequested = true;
+    }
+  }
+
+  // Show every step as pending, with page scanning under way
+  resetProgress() {
+    const list = document.getElementById('progressSteps');
+
+    list.innerHTML = Object.entries(ANALYSIS_STEP_LABELS).map(([step, label]) => `
+      <li class="progress-step" data-step="${step}" data-status="pending">
+        <span class="progress-step-label">${label}</span>
+        <span class="progress-step-detail"></span>
+      </li>
+    `).join('');
+
+    this.updateProgress({ step: 'scrape', status: 'running' });
+  }
+
+  updateProgress({ step, status, result }) {
+    const item = document.querySelector(`#progressSteps [data-step="${step}"]`);
+    if (!item) return;
+
+    item.dataset.status = status;
+
+    // Earlier steps skipped by the engine (e.g. a cached result) count as finished
+    if (status === 'done') {
+      let previous = item.previousElementSibling;
+      while (previous) {
+        if (previous.dataset.status !== 'done') previous.dataset.status = 'done';
+        previous = previous.previousElementSibling;
+      }
+    }
+
+    let detail = '';
+    if (status === 'done') {
+      detail = this.describeStepResult(step, result);
+    } else if (status === 'queued') {
+      // Other analyses are using the model; this one starts when one finishes
+      detail = `Waiting for ${result?.ahead || 1} other analysis(es) to finish`;
+    }
+    item.querySelector('.progress-step-detail').textContent = detail;
+  }
+
+  // One-line partial result shown next to a finished step
+  describeStepResult(step, result) {
+    if (!result) return '';
+
+    switch (step) {
+      case 'scrape':
+        return `${result.policyLinks} policy link(s), ${result.cookies} cookie(s)`;
+      case 'policy':
+        return result.characters > 0
+          ? `${result.characters.toLocaleString()} characters from ${result.pages || 1} page(s) (${this.getLanguageLabel(result.language)})`
+          : 'No policy text found';
+      case 'summary':
+        return result.summary || '';
+      case 'cookies':
+        return `${result.first_party || 0} first-party, ${result.third_party || 0} third-party`;
+      case 'deletion':
+        return `Deletion: ${result.can_delete || 'unknown'}`;
+      case 'score':
+        return Number.isFinite(result.risk_score) ? `${result.risk_score}/100 ${result.verdict}` : '';
+      default:
+        return '';
+    }
+  }
+
   displayAnalysisResult() {
     if (!this.analysisResult) return;
 
@@ -333,7 +522,10 @@ class SafemodePopup {
       'complex deletion process': 'Complex deletion',
       'some tracking cookies': 'Some tracking',
       'vague retention periods': 'Vague retention',
-      'limited user control': 'Limited control'
+      'limited user control': 'Limited control',
+      'possible browser fingerprinting': 'Possible fingerprinting',
+      'browser fingerprinting detected': 'Fingerprinting',
+      'mandatory arbitration or waiver of legal rights': 'Rights waived'
     };
 
     // Try to find a shorter version
@@ -371,6 +563,27 @@ class SafemodePopup {
         <p><strong>Risk Score:</strong> ${result.risk_score}/100</p>
         <p><strong>Verdict:</strong> <span style="color: ${this.getVerdictColor(result.verdict)}">${result.verdict}</span></p>
         <p><strong>Confidence:</strong> ${Math.round(result.confidence * 100)}%</p>
+        <p><strong>Analysis Engine:</strong> ${this.getEngineLabel(result.engine)}</p>
+        ${result.policy_source !== undefined ? `
+          <p><strong>Policy Analyzed:</strong> ${result.policy_source ?
+            this.renderLink(result.policy_source, result.policy_source) :
+            'No policy page found, the site\'s own page text was used'}</p>
+        ` : ''}
+        ${result.policy_language ? `
+          <p><strong>Policy Language:</strong> ${this.getLanguageLabel(result.policy_language)}</p>
+        ` : ''}
+        ${result.policy_documents && result.policy_documents.length > 0 ? `
+          <p><strong>Policy Pages:</strong></p>
+          <ul>
+            ${result.policy_documents.map(doc => `
+              <li>${this.getDocumentTypeLabel(doc.type)}: ${this.renderLink(doc.url, doc.url)}</li>
+            `).join('')}
+          </ul>
+        ` : ''}
+        ${result.step_outcomes ? `
+          <p><strong>AI Steps:</strong> ${Object.entries(result.step_outcomes)
+            .map(([step, outcome]) => `${step} (${outcome})`).join(', ')}</p>
+        ` : ''}
       </div>
 
       <!-- Data Collection Section -->
@@ -393,10 +606,23 @@ class SafemodePopup {
                   <td>${item.purpose}</td>
                   <td>${item.retention}</td>
                 </tr>
+                ${item.evidence ? `
+                  <tr class="evidence-row">
+                    <td colspan="3">${this.renderEvidence(item.evidence)}</td>
+                  </tr>
+                ` : ''}
               `).join('')}
             </tbody>
           </table>
         ` : '<p>No specific data collection details found.</p>'}
+        ${result.retention_clauses && result.retention_clauses.length > 0 ? `
+          <h4>Retention:</h4>
+          <ul class="evidence-list">
+            ${result.retention_clauses.map(item => `
+              <li>${this.escapeHTML(item.clause)}${this.renderEvidence(item.evidence)}</li>
+            `).join('')}
+          </ul>
+        ` : ''}
       </div>
 
       <!-- Cookies Section -->
@@ -416,38 +642,49 @@ class SafemodePopup {
                 <th>Category</th>
                 <th>Count</th>
                 <th>Examples</th>
+                <th>Vendors</th>
               </tr>
             </thead>
             <tbody>
               ${result.cookies.cookies_summary.map(category => `
                 <tr>
-                  <td>${category.category}</td>
+                  <td>${this.escapeHTML(category.category)}</td>
                   <td>${category.count}</td>
-                  <td>${category.examples?.map(e => e.name).join(', ') || 'N/A'}</td>
+                  <td>${category.examples?.map(e => this.escapeHTML(e.lifetime ? `${e.name} (${e.lifetime})` : e.name)).join(', ') || 'N/A'}</td>
+                  <td>${category.vendors?.length > 0 ? category.vendors.map(vendor => vendor.policy_url
+                    ? this.renderLink(vendor.policy_url, vendor.name)
+                    : this.escapeHTML(vendor.name)).join(', ') : 'Unknown'}</td>
                 </tr>
               `).join('')}
             </tbody>
           </table>
         ` : ''}
+        ${this.renderStorage(result.cookies.storage)}
+        ${this.renderNetworkRequests(result.cookies.network)}
+        ${this.renderFingerprinting(result.fingerprinting)}
       </div>
 
       <!-- Data Deletion Section -->
       <div class="report-section">
         <h3><span class="report-section-icon">🗑️</span>Data Deletion Rights</h3>
-        <p><strong>Can Delete Data:</strong> ${result.deletion.can_user_delete}</p>
-        ${result.deletion.how ? `<p><strong>How:</strong> ${result.deletion.how}</p>` : ''}
+        <p><strong>Can Delete Data:</strong> ${this.escapeHTML(result.deletion.can_user_delete)}</p>
+        ${result.deletion.how ? `<p><strong>How:</strong> ${this.escapeHTML(result.deletion.how)}</p>` : ''}
+        ${this.renderEvidence(result.deletion.evidence)}
         ${result.deletion.contacts_found && result.deletion.contacts_found.length > 0 ? `
-          <p><strong>Contacts:</strong> ${result.deletion.contacts_found.join(', ')}</p>
+          <p><strong>Contacts:</strong> ${result.deletion.contacts_found.map(contact => this.escapeHTML(contact)).join(', ')}</p>
         ` : ''}
       </div>
 
       <!-- Risk Analysis Section -->
       <div class="report-section">
         <h3><span class="report-section-icon">⚠️</span>Risk Analysis</h3>
+        ${this.renderRiskBreakdown(result)}
         ${result.reasons && result.reasons.length > 0 ? `
           <h4>Reasons for ${result.verdict} rating:</h4>
           <ul class="reasons-list">
-            ${result.reasons.map(reason => `<li>${reason}</li>`).join('')}
+            ${result.reasons.map((reason, index) => `
+              <li>${reason}${this.renderEvidence(result.reason_evidence?.[index])}</li>
+            `).join('')}
           </ul>
         ` : ''}
 
@@ -461,6 +698,185 @@ class SafemodePopup {
     `;
   }
 
+  // Web Storage keys and IndexedDB databases, known SDKs and identifiers first
+  renderStorage(storage) {
+    if (!storage || (storage.items.length === 0 && storage.databases.length === 0)) return '';
+
+    const maxRows = 15;
+    const formatSize = bytes => (bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`);
+    const formatVendor = entry => (entry.policy_url
+      ? this.renderLink(entry.policy_url, entry.vendor)
+      : this.escapeHTML(entry.vendor || ''));
+
+    return `
+      <p><strong>Web Storage:</strong> ${storage.items.length} key(s), ${formatSize(storage.total_bytes)}, ${storage.identifiers} identifier-like value(s)</p>
+      ${storage.items.length > 0 ? `
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Key</th>
+              <th>Storage</th>
+              <th>Size</th>
+              <th>Vendor</th>
+              <th>Identifier</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${storage.items.slice(0, maxRows).map(item => `
+              <tr>
+                <td>${this.escapeHTML(item.key)}</td>
+                <td>${item.area}</td>
+                <td>${formatSize(item.size)}</td>
+                <td>${formatVendor(item)}</td>
+                <td>${item.identifier ? `${item.identifier}${item.identifier_field ? ` (${this.escapeHTML(item.identifier_field)})` : ''}` : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${storage.items.length > maxRows ? `<p>…and ${storage.items.length - maxRows} more key(s)</p>` : ''}
+      ` : ''}
+      ${storage.databases.length > 0 ? `
+        <p><strong>IndexedDB:</strong> ${storage.databases.map(db =>
+          `${this.escapeHTML(db.name)}${db.vendor ? ` (${formatVendor(db)})` : ''}`).join(', ')}</p>
+      ` : ''}
+    `;
+  }
+
+  // Third-party requests the page made, known trackers first
+  renderNetworkRequests(network) {
+    if (!network) return '';
+
+    const formatTypes = types => Object.entries(types || {})
+      .map(([type, count]) => `${type.replace('_', ' ')} ${count}`)
+      .join(', ');
+
+    return `
+      <p><strong>Third-party Requests:</strong> ${network.third_party_requests} to ${network.third_party_domains} domain(s)</p>
+      ${network.trackers.length > 0 ? `
+        <h4>Known trackers:</h4>
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Domain</th>
+              <th>Company</th>
+              <th>Category</th>
+              <th>Requests</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${network.trackers.map(tracker => `
+              <tr>
+                <td>${this.escapeHTML(tracker.domain)}</td>
+                <td>${this.escapeHTML(tracker.company)}</td>
+                <td>${tracker.category}</td>
+                <td>${tracker.requests}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+      ${network.domains.length > network.trackers.length ? `
+        <p><strong>Other third-party domains:</strong> ${network.domains
+          .filter(entry => !network.trackers.some(tracker => tracker.domain === entry.domain))
+          .map(entry => `${this.escapeHTML(entry.domain)} (${formatTypes(entry.types)})`)
+          .join('; ')}</p>
+      ` : ''}
+    `;
+  }
+
+  // Scripts that read canvas, audio, WebGL, plugin or font details, most techniques first
+  renderFingerprinting(fingerprinting) {
+    if (!fingerprinting || fingerprinting.scripts.length === 0) return '';
+
+    const levelLabels = { fingerprinting: 'Fingerprinting', possible: 'Possible', none: 'Unlikely' };
+
+    return `
+      <h4>Fingerprinting scripts:</h4>
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Script origin</th>
+            <th>Party</th>
+            <th>Techniques</th>
+            <th>Assessment</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${fingerprinting.scripts.map(script => `
+            <tr>
+              <td>${this.escapeHTML(script.origin)}</td>
+              <td>${script.third_party === null ? 'Unknown' : script.third_party ? 'Third party' : 'First party'}</td>
+              <td>${script.techniques.join(', ')}</td>
+              <td>${levelLabels[script.level] || script.level}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  // Table of the factors behind the risk score, each with its points
+  renderRiskBreakdown(result) {
+    const breakdown = result.risk_breakdown;
+    if (!breakdown || breakdown.length === 0) return '';
+
+    const formatPoints = points => (points > 0 ? `+${points}` : `${points}`);
+
+    return `
+      <h4>Score breakdown:</h4>
+      <table class="data-table breakdown-table">
+        <thead>
+          <tr>
+            <th>Factor</th>
+            <th>Points</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${breakdown.map(entry => `
+            <tr class="breakdown-${entry.tier.toLowerCase().replace('_', '-')}">
+              <td>${this.escapeHTML(entry.label.charAt(0).toUpperCase() + entry.label.slice(1))}${this.renderEvidence(entry.evidence)}</td>
+              <td>${formatPoints(entry.points)}</td>
+            </tr>
+          `).join('')}
+          <tr class="breakdown-total">
+            <td><strong>Total (0-100)</strong></td>
+            <td><strong>${result.risk_score}</strong></td>
+          </tr>
+        </tbody>
+      </table>
+    `;
+  }
+
+  // Render the policy quote supporting a claim, with its character offset
+  renderEvidence(evidence) {
+    if (!evidence || !evidence.quote) return '';
+
+    return `
+      <blockquote class="evidence-quote">
+        “${this.escapeHTML(evidence.quote)}”
+        <span class="evidence-offset">policy text, char ${evidence.offset}</span>
+      </blockquote>
+    `;
+  }
+
+  // Escaped link opening in a new tab; anything but an http(s) URL is shown as text
+  renderLink(url, text) {
+    const label = this.escapeHTML(text);
+    return /^https?:\/\//i.test(url || '')
+      ? `<a href="${this.escapeHTML(url)}" target="_blank" rel="noopener">${label}</a>`
+      : label;
+  }
+
+  // Policy quotes come from arbitrary websites and must not be injected as HTML
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   getVerdictColor(verdict) {
     switch (verdict) {
       case 'SAFE': return '#22c55e';
@@ -470,6 +886,37 @@ class SafemodePopup {
     }
   }
 
+  getEngineLabel(engine) {
+    switch (engine) {
+      case 'chrome-ai': return 'Chrome built-in AI';
+      case 'llm-endpoint': return 'Configured LLM endpoint';
+      case 'mock': return 'Mock AI (development)';
+      case 'rules': return 'Rule-based clause classifier (offline)';
+      case 'heuristic': return 'Heuristic fallback (AI unavailable)';
+      default: return 'Unknown';
+    }
+  }
+
+  // Language name in the browser's own language ("de" -> "Deutsch" or "German")
+  getLanguageLabel(code) {
+    try {
+      return new Intl.DisplayNames([chrome.i18n.getUILanguage()], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  // Matches DOCUMENT_LABELS in utils/policy-crawler.js (inline to avoid import issues)
+  getDocumentTypeLabel(type) {
+    switch (type) {
+      case 'privacy': return 'Privacy policy';
+      case 'cookie': return 'Cookie policy';
+      case 'ccpa': return 'US state privacy notice (CCPA)';
+      case 'terms': return 'Terms of service';
+      default: return 'Legal page';
+    }
+  }
+
   hideModal() {
     document.getElementById('reportModal').style.display = 'none';
   }
@@ -1,78 +1,79 @@
 // Safemode Service Worker - Main background script for Chrome extension
 
-// Simple fallback analysis function (inline to avoid import issues)
-async function analyzePrivacyPolicy(analysisData) {
-  console.log('Running fallback analysis for:', analysisData.domain);
-  console.log('Privacy policy links received:', analysisData.privacyPolicyLinks);
-
-  const cookieCount = analysisData.cookies?.cookieCount || 0;
-  const thirdPartyCount = analysisData.cookies?.thirdPartyCookies || 0;
-  const thirdPartyDomains = analysisData.cookies?.thirdPartyDomains || [];
-  const hasPrivacyPolicy = analysisData.privacyPolicyLinks && analysisData.privacyPolicyLinks.length > 0;
-
-  console.log('hasPrivacyPolicy determined as:', hasPrivacyPolicy, 'from links:', analysisData.privacyPolicyLinks);
-
-  // Simple heuristic-based risk assessment
-  let riskScore = 30; // Base risk
-  if (thirdPartyCount > 5) riskScore += 30;
-  if (thirdPartyCount > 10) riskScore += 20;
-  if (!hasPrivacyPolicy) riskScore += 20;
-  if (!analysisData.privacyPolicyText || analysisData.privacyPolicyText.length < 100) riskScore += 15;
-
-  const verdict = riskScore < 40 ? 'SAFE' : riskScore < 70 ? 'CAUTION' : 'UNSAFE';
-
-  const reasons = [];
-  if (thirdPartyCount > 5) reasons.push('High number of tracking cookies');
-  if (!hasPrivacyPolicy) reasons.push('No privacy policy found');
-  if (analysisData.cookieBannerData?.hasBanner && !analysisData.cookieBannerData?.hasRejectButton) {
-    reasons.push('Cookie banner without reject option');
-  }
-
-  return {
-    domain: analysisData.domain,
-    url: analysisData.url,
-    summary: `This site has ${cookieCount} cookies (${thirdPartyCount} third-party). ${hasPrivacyPolicy ? 'Privacy policy found.' : 'No privacy policy detected.'}`,
-    data_use: [
-      { type: "cookies", purpose: "tracking and analytics", retention: "varies", shared_with: thirdPartyCount > 0 ? ["third parties"] : [] }
-    ],
-    deletion: {
-      can_user_delete: hasPrivacyPolicy ? "unknown" : "no",
-      how: hasPrivacyPolicy ? "Check privacy policy for details" : "No privacy policy available",
-      contacts_found: []
-    },
-    cookies: {
-      cookie_count: cookieCount,
-      third_party_cookies: thirdPartyCount,
-      thirdPartyDomains: thirdPartyDomains,
-      tracking_cookies_detected: thirdPartyCount > 0,
-      cookies_summary: []
-    },
-    risk_score: Math.min(riskScore, 100),
-    verdict,
-    reasons,
-    actions: [
-      thirdPartyCount > 0 ? "Consider blocking third-party cookies" : "Cookie usage appears minimal",
-      hasPrivacyPolicy ? "Review privacy policy manually" : "Request privacy information from site"
-    ],
-    confidence: 0.6,
-    timestamp: Date.now()
-  };
-}
+import {
+  analyzePrivacyPolicy,
+  analyzeWithRules,
+  checkAIAvailability,
+  configureAIProvider,
+  reportProgress,
+  isAbortError,
+  ANALYSIS_STEPS
+} from './ai/ai-client.js';
+import { createProvider, DEFAULT_PROVIDER_SETTINGS } from './ai/providers.js';
+import { detectLanguage, getPolicyTextKeywords } from './utils/language.js';
+import { getAnalysisVersion, isCurrentVersion } from './ai/analysis-version.js';
+import { createJobStore, JOB_STATUS, MAX_JOB_ATTEMPTS } from './utils/job-store.js';
+import { createScheduler, ANALYSIS_PRIORITY } from './utils/analysis-scheduler.js';
+import { crawlPolicyPages, buildPolicyText, getPolicySource } from './utils/policy-crawler.js';
+import { extractTextOffscreen } from './utils/offscreen-parser.js';
+import { renderPolicyPage, isRenderTab } from './utils/page-renderer.js';
+import { discoverPolicyLinks } from './utils/policy-discovery.js';
+import { getSiteKey, matchesSiteList } from './utils/site-domain.js';
+import { summarizeCookieJar } from './utils/cookie-extractor.js';
+import { recheckSameSiteLinks } from './utils/privacy-scraper.js';
+import { createRequestMonitor } from './utils/request-monitor.js';
+import { assessFingerprinting, FINGERPRINT_LEVELS } from './utils/fingerprint-detector.js';
 
 const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
-const RATE_LIMIT_DELAY = 10 * 1000; // 10 seconds between AI calls per domain
+const MAX_CONCURRENT_ANALYSES = 2; // Analyses sharing the language model at once
+const MAX_POLICY_LENGTH = 300000; // Long policies are chunked by the AI client, not truncated
+const MAX_CHECKPOINTED_POLICY_LENGTH = 100000; // Longer policy text is fetched again on resume
+const ANALYSIS_PORT_NAME = 'analysis'; // chrome.runtime port used for progress events
+
+// Analyses currently running, by site (getSiteKey, like the cache): { promise, controller, listeners, events }
+const inFlightAnalyses = new Map();
+
+// Steps whose results are checkpointed in the job store
+const CHECKPOINTED_STEPS = [ANALYSIS_STEPS.SUMMARY, ANALYSIS_STEPS.COOKIES, ANALYSIS_STEPS.DELETION];
+
+// Persistent record of every queued and running analysis (see utils/job-store.js)
+const jobStore = createJobStore();
+
+// Queues analyses beyond MAX_CONCURRENT_ANALYSES, popup requests first
+const scheduler = createScheduler({ concurrency: MAX_CONCURRENT_ANALYSES });
+
+// Third-party requests made by each tab's page (see utils/request-monitor.js)
+const requestMonitor = createRequestMonitor();
+requestMonitor.restore().catch(error => console.warn('Failed to restore recorded requests:', error));
+
+// Listeners are registered at startup so requests wake the worker
+chrome.webRequest.onBeforeRequest.addListener((details) => {
+  // Tabs opened to render a policy page are not sites the user visited
+  if (isRenderTab(details.tabId)) return;
+  requestMonitor.recordRequest(details);
+}, { urls: ['<all_urls>'] });
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  requestMonitor.removeTab(tabId).catch(() => {});
+});
 
 // Initialize extension
-chrome.runtime.onInstalled.addListener(async () => {
-  console.log('Safemode extension installed');
+chrome.runtime.onInstalled.addListener(async (details) => {
+  console.log(`Safemode extension ${details.reason}`);
 
-  // Set default settings
-  await chrome.storage.local.set({
+  // Set default settings, keeping any the user already has (updates run this too)
+  const defaults = {
     autoScan: false,
     allowlist: [],
     blocklist: [],
-    lastAnalysis: {}
-  });
+    ...DEFAULT_PROVIDER_SETTINGS
+  };
+  const stored = await chrome.storage.local.get(Object.keys(defaults));
+  const missing = Object.fromEntries(Object.entries(defaults).filter(([key]) => stored[key] === undefined));
+
+  if (Object.keys(missing).length > 0) {
+    await chrome.storage.local.set(missing);
+  }
 });
 
 // Handle messages from content scripts and popup
@@ -87,14 +88,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           console.log('Service worker received ANALYZE_SITE message');
           console.log('Message data:', message.data);
           console.log('Starting site analysis...');
-          const result = await analyzeSite(message.data);
+          // Sent by auto-scan; the tab the user is looking at goes first
+          const result = await runAnalysis({ ...message.data, tabId: sender.tab?.id }, null, sender.tab?.active === false
+            ? ANALYSIS_PRIORITY.BACKGROUND_TAB
+            : ANALYSIS_PRIORITY.ACTIVE_TAB);
           console.log('Site analysis completed:', result);
           sendResponse({ success: true, data: result });
           break;
 
+        case 'CANCEL_ANALYSIS':
+          sendResponse({ success: true, cancelled: cancelAnalysis(message.domain) });
+          break;
+
         case 'GET_CACHED_RESULT':
           const cached = await getCachedResult(message.domain);
-          sendResponse({ success: true, data: cached });
+          // Results from older prompts or scoring rules are shown, but flagged
+          sendResponse({ success: true, data: cached && { ...cached, stale: !isCurrentVersion(cached) } });
           break;
 
         case 'CLEAR_CACHE':
@@ -107,6 +116,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ success: true });
           break;
 
+        case 'TEST_AI_PROVIDER':
+          // Check settings from the options page before they are saved
+          const available = await createProvider(message.settings).isAvailable();
+          sendResponse({ success: true, available });
+          break;
+
         case 'PING':
           console.log('Service worker received PING, responding...');
           sendResponse({ success: true, message: 'Service worker is awake' });
@@ -116,6 +131,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ success: false, error: 'Unknown message type' });
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        sendResponse({ success: false, cancelled: true, error: 'Analysis cancelled' });
+        return;
+      }
       console.error('Service worker error:', error);
       sendResponse({ success: false, error: error.message });
     }
@@ -124,102 +143,362 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // Keep message channel open for async response
 });
 
-// Analyze a website's privacy policy and cookies
-async function analyzeSite(siteData) {
-  const { domain, url, pageContent, privacyPolicyLinks, cookies, cookieBannerData } = siteData;
+// Long-lived connection used by the popup to follow an analysis step by step.
+// The popup posts { type: 'ANALYZE_SITE', data } and receives PROGRESS events
+// followed by one RESULT message; { type: 'CANCEL', domain } aborts the analysis.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== ANALYSIS_PORT_NAME) return;
 
-  console.log('Service worker analyzeSite called for:', domain);
-  console.log('Received privacyPolicyLinks:', privacyPolicyLinks);
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+  });
+
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (message.type === 'CANCEL') {
+      cancelAnalysis(message.domain);
+      return;
+    }
 
-  // Check rate limiting
-  const lastAnalysis = await getLastAnalysisTime(domain);
-  const now = Date.now();
+    if (message.type !== 'ANALYZE_SITE') return;
 
-  if (lastAnalysis && (now - lastAnalysis) < RATE_LIMIT_DELAY) {
-    throw new Error(`Rate limited. Please wait ${Math.ceil((RATE_LIMIT_DELAY - (now - lastAnalysis)) / 1000)} seconds.`);
+    try {
+      const result = await runAnalysis(message.data, (event) => post({ type: 'PROGRESS', ...event }), ANALYSIS_PRIORITY.POPUP);
+      post({ type: 'RESULT', success: true, data: result });
+    } catch (error) {
+      if (isAbortError(error)) {
+        post({ type: 'RESULT', success: false, cancelled: true, error: 'Analysis cancelled' });
+        return;
+      }
+      console.error('Service worker error:', error);
+      post({ type: 'RESULT', success: false, error: error.message });
+    }
+  });
+});
+
+// Queue an analysis, or join the one already queued or running for the same site
+// (two tabs, www and bare domain, or auto-scan and the popup). Late joiners first receive the progress
+// they missed, and a higher-priority joiner moves a queued analysis forward.
+function runAnalysis(siteData, onProgress, priority = ANALYSIS_PRIORITY.POPUP) {
+  const { domain } = siteData;
+  const siteKey = getSiteKey(domain);
+  let job = inFlightAnalyses.get(siteKey);
+
+  if (job) {
+    console.log(`Analysis of ${siteKey} already requested, waiting for it`);
+    scheduler.promote(siteKey, priority);
+    job.persisted.then(stored => stored && jobStore.setPriority(domain, priority))
+      .catch(error => console.warn(`Failed to save priority of ${domain}:`, error));
+  } else {
+    job = { controller: new AbortController(), listeners: new Set(), events: [] };
+
+    const broadcast = (event) => {
+      job.events.push(event);
+      job.listeners.forEach(listener => forwardProgress(listener, event));
+    };
+
+    // Persisted before it waits in the queue, so a stopped worker resumes queued
+    // analyses as well as running ones
+    job.persisted = persistJob(siteData, priority);
+    let started = false;
+
+    inFlightAnalyses.set(siteKey, job);
+    job.promise = scheduler.schedule(siteKey, priority,
+      () => {
+        started = true;
+        return runJob(siteData, job.persisted, broadcast, job.controller.signal);
+      },
+      { signal: job.controller.signal }
+    ).catch(async (error) => {
+      // Cancelled while queued: runJob never ran to remove the record
+      if (!started) {
+        await job.persisted;
+        await jobStore.remove(domain).catch(() => {});
+      }
+      throw error;
+    }).finally(() => inFlightAnalyses.delete(siteKey));
+
+    const position = scheduler.position(siteKey);
+    if (position !== -1) {
+      console.log(`Analysis of ${domain} queued behind ${position + scheduler.running} other(s)`);
+      broadcast({ step: ANALYSIS_STEPS.SCRAPE, status: 'queued', result: { ahead: position + scheduler.running } });
+    }
   }
 
+  if (onProgress) {
+    job.events.forEach(event => forwardProgress(onProgress, event));
+    job.listeners.add(onProgress);
+  }
+
+  return job.promise.finally(() => job.listeners.delete(onProgress));
+}
+
+function forwardProgress(listener, event) {
+  reportProgress(listener, event.step, event.status, event.result, event.outcome);
+}
+
+// Record the job for siteData, or keep the one a stopped worker left behind with
+// its checkpoints. Resolves with the stored job, or null when it could not be saved.
+async function persistJob(siteData, priority) {
+  try {
+    const existing = await jobStore.get(siteData.domain);
+    return existing || await jobStore.create(siteData, await loadProviderSettings(), priority);
+  } catch (error) {
+    console.warn(`Failed to persist analysis job for ${siteData.domain}:`, error);
+    return null;
+  }
+}
+
+// Run an analysis as a persisted job (persisted: the persistJob promise). A job left
+// behind by a stopped worker is picked up with its checkpoints; the record is
+// removed once the analysis ends (the result itself is cached).
+async function runJob(siteData, persisted, onProgress, signal) {
+  const { domain } = siteData;
+  const settings = await loadProviderSettings();
+
+  let job = await persisted;
+  if (!job) {
+    job = await jobStore.create(siteData, settings);
+  } else if (JSON.stringify(job.settings) !== JSON.stringify(settings)) {
+    // Checkpoints from another model would mix two models' answers
+    console.log(`Model settings changed since ${domain} was checkpointed, starting over`);
+    job = await jobStore.resetCheckpoints(domain, settings);
+  }
+
+  // null when storage is full: the analysis runs without checkpoints
+  job = await jobStore.start(domain);
+  if (job && job.attempts > MAX_JOB_ATTEMPTS) {
+    await jobStore.remove(domain);
+    throw new Error(`Analysis of ${domain} was interrupted ${MAX_JOB_ATTEMPTS} times and has been stopped`);
+  }
+
+  try {
+    return await analyzeSite(siteData, onProgress, signal, {
+      checkpoints: job?.checkpoints || {},
+      save: (step, value) => jobStore.saveCheckpoint(domain, step, value)
+    });
+  } finally {
+    // Finished, failed or cancelled; only a stopped worker leaves the job behind
+    await jobStore.remove(domain);
+  }
+}
+
+// Resume jobs a stopped service worker left unfinished, whether they were running
+// or still queued. They are scheduled in their old queue order with their saved
+// priority, so the rebuilt queue matches the lost one. Runs each time the worker
+// starts; popups that are open are told about progress and the final result.
+async function resumeInterruptedJobs() {
+  const jobs = await jobStore.listUnfinished();
+
+  jobs.forEach(job => {
+    const { domain } = job;
+    if (inFlightAnalyses.has(getSiteKey(domain))) return;
+
+    console.log(job.status === JOB_STATUS.PENDING
+      ? `Requeueing analysis of ${domain} that had not started`
+      : `Resuming interrupted analysis of ${domain} (attempt ${job.attempts + 1})`);
+
+    runAnalysis(job.siteData, (event) => notifyPopup({ type: 'ANALYSIS_PROGRESS', domain, ...event }),
+      job.priority ?? ANALYSIS_PRIORITY.ACTIVE_TAB)
+      .then(result => notifyPopup({ type: 'ANALYSIS_COMPLETE', domain, success: true, data: result }))
+      .catch(error => notifyPopup({
+        type: 'ANALYSIS_COMPLETE',
+        domain,
+        success: false,
+        cancelled: isAbortError(error),
+        error: error.message
+      }));
+  });
+}
+
+// Message any open extension page; having no listener is normal
+function notifyPopup(message) {
+  chrome.runtime.sendMessage(message).catch(() => {});
+}
+
+resumeInterruptedJobs().catch(error => console.error('Failed to resume analysis jobs:', error));
+
+// Abort the running analysis of a domain's site; every caller waiting on it is
+// rejected with an AbortError. Returns whether an analysis was running.
+function cancelAnalysis(domain) {
+  const job = inFlightAnalyses.get(getSiteKey(domain));
+  if (!job) return false;
+
+  console.log(`Cancelling analysis of ${domain}`);
+  job.controller.abort();
+  return true;
+}
+
+// Analyze a website's privacy policy and cookies. onProgress receives an event
+// ({ step, status, result, outcome }) as each ANALYSIS_STEPS entry starts and finishes;
+// signal aborts the policy fetch and the model calls. job ({ checkpoints, save })
+// holds the steps an interrupted run already finished and persists new ones.
+async function analyzeSite(siteData, onProgress, signal, job = { checkpoints: {}, save: async () => {} }) {
+  const { domain, url, pageContent, cookieBannerData } = siteData;
+
+  // Trackers and other third-party requests the page made, when its tab was recorded
+  const networkRequests = await requestMonitor.getSummary(siteData.tabId, domain);
+  if (networkRequests) {
+    console.log(`${networkRequests.thirdPartyRequests} third-party request(s), ${networkRequests.trackers.length} known tracker(s)`);
+  }
+
+  const cookies = await collectCookies(siteData.cookies, url, domain, networkRequests);
+  const privacyPolicyLinks = recheckSameSiteLinks(siteData.privacyPolicyLinks, domain);
+
+  // The content script has already scraped the page by the time data arrives here
+  reportProgress(onProgress, ANALYSIS_STEPS.SCRAPE, 'done', {
+    policyLinks: privacyPolicyLinks?.length || 0,
+    cookies: cookies?.cookieCount || 0
+  });
+
+  // The declared <html lang> breaks ties when the page text is inconclusive
+  const pageLanguage = detectLanguage(pageContent, siteData.pageLanguage);
+
+  console.log('Service worker analyzeSite called for:', domain);
+  console.log('Received privacyPolicyLinks:', privacyPolicyLinks);
+
   // Check cache first
   const cached = await getCachedResult(domain);
   if (cached && !isExpired(cached.timestamp)) {
-    return cached.result;
+    if (isCurrentVersion(cached)) {
+      return cached.result;
+    }
+    console.log(`Cached result for ${domain} is from an older analysis version, re-analyzing`);
   }
 
   // Perform analysis
   console.log(`Analyzing ${domain}...`);
 
-  // Fetch privacy policy content if links were found
+  // Fetch the policy pages (privacy notice, cookie policy, ...) if links were found
+  reportProgress(onProgress, ANALYSIS_STEPS.POLICY, 'running');
   let privacyPolicyText = '';
-  if (privacyPolicyLinks && privacyPolicyLinks.length > 0) {
-    try {
-      privacyPolicyText = await fetchPrivacyPolicyContent(privacyPolicyLinks[0]);
-      console.log('Successfully fetched privacy policy content');
-    } catch (error) {
-      console.log('Privacy policy fetch failed (this is normal due to browser security), analyzing page content instead');
+  let policyDocuments = [];
+  const policyCheckpoint = job.checkpoints.policy;
+  if (policyCheckpoint && !policyCheckpoint.policyUrls) {
+    policyDocuments = policyCheckpoint.policyDocuments || [];
+    privacyPolicyText = policyCheckpoint.privacyPolicyText ??
+      buildPolicyText(policyDocuments).substring(0, MAX_POLICY_LENGTH);
+    console.log('Resuming with the saved privacy policy text');
+  } else {
+    const crawlOptions = {
+      signal,
+      extractText: extractTextOffscreen, // Main content and headings, parsed with a real DOM
+      renderPage: renderPolicyPage // JavaScript-only policy pages, loaded in a background tab
+    };
+    // A resumed job whose policy text was too long to save fetches the same pages
+    const pageLinks = policyCheckpoint?.policyUrls || privacyPolicyLinks || [];
+
+    if (pageLinks.length > 0) {
+      ({ documents: policyDocuments } = await crawlPolicyPages(pageLinks, crawlOptions));
+    }
+
+    // No link on the page led to a policy: look where sites usually keep one
+    if (policyDocuments.length === 0) {
+      console.log('No policy page linked from this page, probing common locations');
+      const discoveredLinks = await discoverPolicyLinks(url, { signal, exclude: pageLinks });
+      if (discoveredLinks.length > 0) {
+        ({ documents: policyDocuments } = await crawlPolicyPages(discoveredLinks, crawlOptions));
+      }
+    }
+    console.log(`Kept ${policyDocuments.length} policy page(s):`, policyDocuments.map(doc => `${doc.type} ${doc.url}`));
+
+    if (policyDocuments.length > 0) {
+      privacyPolicyText = buildPolicyText(policyDocuments).substring(0, MAX_POLICY_LENGTH);
+    } else {
+      console.log('No privacy policy could be fetched, analyzing page content instead');
       // Fall back to analyzing page content
-      privacyPolicyText = extractPrivacyTextFromPage(pageContent);
+      privacyPolicyText = extractPrivacyTextFromPage(pageContent, pageLanguage);
     }
-  } else {
-    console.log('No privacy policy links found, analyzing page content');
-    privacyPolicyText = extractPrivacyTextFromPage(pageContent);
   }
 
+  // Fingerprinting APIs the page's scripts called, judged per script origin
+  const fingerprinting = assessFingerprinting(siteData.fingerprinting, domain);
+  if (fingerprinting && fingerprinting.level !== FINGERPRINT_LEVELS.NONE) {
+    console.log(`Fingerprinting ${fingerprinting.level}:`, fingerprinting.scripts.map(s => `${s.origin} (${s.techniques.join(', ')})`));
+  }
+
+  // Page the verdict is based on; null when the site's own page text was used
+  const policySource = getPolicySource(policyDocuments);
+
+  // Policies are often in a different language than the page linking to them
+  const policyLanguage = detectLanguage(privacyPolicyText, pageLanguage);
+  console.log(`Page language: ${pageLanguage}, policy language: ${policyLanguage}`);
+  reportProgress(onProgress, ANALYSIS_STEPS.POLICY, 'done', {
+    characters: privacyPolicyText.length,
+    language: policyLanguage,
+    pages: policyDocuments.length,
+    source: policySource
+  });
+  await job.save('policy', getPolicyCheckpoint(privacyPolicyText, policyDocuments));
+
   // Prepare data for AI analysis
   const analysisData = {
     domain,
     url,
     privacyPolicyText,
+    policyDocuments, // The fetched pages, labeled by type (privacy, cookie, ccpa, terms)
+    policySource,
     privacyPolicyLinks, // Include the links array for analysis
     cookies,
+    storage: siteData.storage, // Web Storage keys and IndexedDB databases, shown next to cookies
+    networkRequests,
+    fingerprinting,
     cookieBannerData,
+    pageLanguage,
+    policyLanguage,
+    outputLanguage: chrome.i18n.getUILanguage(), // Answer in the browser's language
     pageContent: pageContent.substring(0, 5000) // Limit page content to avoid token limits
   };
 
-  // Call AI analysis
-  const analysisResult = await analyzePrivacyPolicy(analysisData);
+  // Run the AI pipeline when the configured model is available, the rule-based
+  // classifier otherwise (both fall back to heuristics if they fail)
+  configureAIProvider(await loadProviderSettings());
+  const aiAvailable = await checkAIAvailability(signal);
+  console.log(`AI available: ${aiAvailable}`);
+
+  // Model steps are checkpointed as they finish; the rules engine is fast enough to rerun
+  const checkpointProgress = (event) => {
+    if (event.status === 'done' && CHECKPOINTED_STEPS.includes(event.step)) {
+      job.save(event.step, { result: event.result, outcome: event.outcome })
+        .catch(error => console.warn(`Failed to checkpoint ${event.step}:`, error));
+    }
+    forwardProgress(onProgress, event);
+  };
+
+  const analysisResult = aiAvailable
+    ? await analyzePrivacyPolicy({ ...analysisData, completedSteps: job.checkpoints }, checkpointProgress, signal)
+    : await analyzeWithRules(analysisData, onProgress, signal);
+
+  // A cancelled analysis is never cached, even if its last step ignored the signal
+  signal?.throwIfAborted();
 
   // Cache the result
   await cacheResult(domain, analysisResult);
 
-  // Update last analysis time
-  await updateLastAnalysisTime(domain, now);
-
   return analysisResult;
 }
 
-// Fetch privacy policy content from URL
-async function fetchPrivacyPolicyContent(url) {
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-
-    const html = await response.text();
-
-    // Basic HTML to text conversion (without DOMParser)
-    // Remove script and style tags
-    let cleanHtml = html
-      .replace(/<script[^>]*>.*?<\/script>/gis, '')
-      .replace(/<style[^>]*>.*?<\/style>/gis, '')
-      .replace(/<[^>]*>/g, ' ') // Remove all HTML tags
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .trim();
-
-    return cleanHtml;
-  } catch (error) {
-    console.error('Error fetching privacy policy:', error);
-    throw error;
+// Extract privacy-related text from page content
+// What a resumed job needs to skip the policy step: the fetched pages (the policy
+// text is rebuilt from them), or only their URLs when the text is too long to keep
+// in storage. Text taken from the page itself is kept, or the step reruns.
+function getPolicyCheckpoint(privacyPolicyText, policyDocuments) {
+  if (policyDocuments.length === 0) {
+    return privacyPolicyText.length <= MAX_CHECKPOINTED_POLICY_LENGTH ? { privacyPolicyText } : null;
   }
+
+  const textLength = policyDocuments.reduce((total, doc) => total + doc.text.length, 0);
+  return textLength <= MAX_CHECKPOINTED_POLICY_LENGTH
+    ? { policyDocuments }
+    : { policyUrls: policyDocuments.map(doc => doc.url) };
 }
 
-// Extract privacy-related text from page content
-function extractPrivacyTextFromPage(pageContent) {
-  const privacyKeywords = [
-    'privacy policy', 'data protection', 'personal information',
-    'cookies', 'tracking', 'data collection', 'third party',
-    'gdpr', 'ccpa', 'personal data', 'data processing'
-  ];
+function extractPrivacyTextFromPage(pageContent, language = 'en') {
+  const privacyKeywords = getPolicyTextKeywords(language);
 
   const sentences = pageContent.split(/[.!?]+/);
   const privacySentences = sentences.filter(sentence =>
@@ -228,29 +507,56 @@ function extractPrivacyTextFromPage(pageContent) {
     )
   );
 
-  return privacySentences.join('. ').substring(0, 2000);
+  return privacySentences.join('. ').substring(0, MAX_POLICY_LENGTH);
+}
+
+// chrome.cookies is not available to content scripts, which only see
+// document.cookie. Read the cookies sent with the page and those of the third-party
+// sites it made requests to, counted by registrable domain. Keeps the content
+// script's data when the API fails.
+async function collectCookies(pageCookies, url, domain, networkRequests) {
+  try {
+    const thirdPartySites = (networkRequests?.domains || []).map(entry => entry.domain);
+    const jars = await Promise.all([
+      chrome.cookies.getAll({ url }),
+      ...thirdPartySites.map(site => chrome.cookies.getAll({ domain: site }))
+    ]);
+
+    return { ...pageCookies, ...summarizeCookieJar(jars.flat(), domain) };
+  } catch (error) {
+    console.warn('Failed to read cookies, using the page\'s document.cookie:', error);
+    return pageCookies;
+  }
+}
+
+// Cache management functions. Results are kept per site (registrable domain), so
+// "www.example.com" and "shop.example.com" share one entry.
+function getCacheKey(domain) {
+  return `cache_${getSiteKey(domain)}`;
 }
 
-// Cache management functions
 async function getCachedResult(domain) {
-  const cache = await chrome.storage.local.get(`cache_${domain}`);
-  return cache[`cache_${domain}`] || null;
+  const key = getCacheKey(domain);
+  const cache = await chrome.storage.local.get(key);
+  return cache[key] || null;
 }
 
 async function cacheResult(domain, result) {
   const cacheData = {
     result,
+    engine: result.engine,
+    version: getAnalysisVersion(result.engine),
     timestamp: Date.now()
   };
 
   await chrome.storage.local.set({
-    [`cache_${domain}`]: cacheData
+    [getCacheKey(domain)]: cacheData
   });
 }
 
 async function clearCache(domain) {
   if (domain) {
-    await chrome.storage.local.remove(`cache_${domain}`);
+    await chrome.storage.local.remove(getCacheKey(domain));
   } else {
     // Clear all cache
     const items = await chrome.storage.local.get();
@@ -263,20 +569,6 @@ function isExpired(timestamp) {
   return Date.now() - timestamp > CACHE_TTL;
 }
 
-// Rate limiting functions
-async function getLastAnalysisTime(domain) {
-  const data = await chrome.storage.local.get('lastAnalysis');
-  return data.lastAnalysis?.[domain] || null;
-}
-
-async function updateLastAnalysisTime(domain, timestamp) {
-  const data = await chrome.storage.local.get('lastAnalysis');
-  const lastAnalysis = data.lastAnalysis || {};
-  lastAnalysis[domain] = timestamp;
-
-  await chrome.storage.local.set({ lastAnalysis });
-}
-
 // Settings management
 async function updateSettings(newSettings) {
   const currentSettings = await chrome.storage.local.get(['autoScan', 'allowlist', 'blocklist']);
@@ -285,20 +577,29 @@ async function updateSettings(newSettings) {
   await chrome.storage.local.set(updatedSettings);
 }
 
+// Language model provider chosen on the options page
+async function loadProviderSettings() {
+  const settings = await chrome.storage.local.get(Object.keys(DEFAULT_PROVIDER_SETTINGS));
+  return { ...DEFAULT_PROVIDER_SETTINGS, ...settings };
+}
+
 // Tab update listener for auto-scan functionality
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  // Tabs opened to render a policy page are not sites the user visited
+  if (isRenderTab(tabId)) return;
+
   if (changeInfo.status === 'complete' && tab.url && !tab.url.startsWith('chrome://')) {
     const settings = await chrome.storage.local.get(['autoScan', 'allowlist', 'blocklist']);
 
     if (settings.autoScan) {
       const domain = new URL(tab.url).hostname;
 
-      // Check allowlist/blocklist
-      if (settings.blocklist?.includes(domain)) {
+      // Check allowlist/blocklist (an entry such as "example.com" covers the whole site)
+      if (matchesSiteList(domain, settings.blocklist)) {
         return;
       }
 
-      if (settings.allowlist?.length > 0 && !settings.allowlist.includes(domain)) {
+      if (settings.allowlist?.length > 0 && !matchesSiteList(domain, settings.allowlist)) {
         return;
       }
 
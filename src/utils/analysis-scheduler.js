@@ -0,0 +1,79 @@
+// Analysis Scheduler - Bounds how many analyses run at once
+// Tasks wait in a queue ordered by priority (lower runs first, then oldest first)
+// and start as running tasks finish. The queue lives in memory; the service worker
+// rebuilds it from the job store (utils/job-store.js) when it restarts.
+
+export const ANALYSIS_PRIORITY = {
+  POPUP: 0,          // The user asked for this analysis
+  ACTIVE_TAB: 1,     // Auto-scan of the tab the user is looking at
+  BACKGROUND_TAB: 2  // Auto-scan of any other tab
+};
+
+// Queue order: priority first, then first come first served
+const byPriority = (a, b) => a.priority - b.priority || a.sequence - b.sequence;
+
+export function createScheduler({ concurrency = 1 } = {}) {
+  const queue = [];
+  let running = 0;
+  let sequence = 0;
+
+  function drain() {
+    while (running < concurrency && queue.length > 0) {
+      queue.sort(byPriority);
+      const entry = queue.shift();
+
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      running++;
+
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          running--;
+          drain();
+        });
+    }
+  }
+
+  return {
+    // Queue task (a function returning a promise) under key. Resolves or rejects
+    // with the task's outcome; an abort while still queued rejects with the
+    // signal's reason and the task never starts.
+    schedule(key, priority, task, { signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(signal.reason);
+          return;
+        }
+
+        const entry = { key, priority, task, signal, resolve, reject, sequence: sequence++ };
+
+        entry.onAbort = () => {
+          const index = queue.indexOf(entry);
+          if (index !== -1) queue.splice(index, 1);
+          reject(signal.reason);
+        };
+        signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+        queue.push(entry);
+        drain();
+      });
+    },
+
+    // Move a queued task forward, e.g. when the popup asks for a domain that
+    // auto-scan already queued
+    promote(key, priority) {
+      const entry = queue.find(e => e.key === key);
+      if (entry && priority < entry.priority) entry.priority = priority;
+    },
+
+    // Number of tasks that will start before key (-1 when key is not queued)
+    position(key) {
+      return queue.slice().sort(byPriority).findIndex(e => e.key === key);
+    },
+
+    get running() {
+      return running;
+    }
+  };
+}
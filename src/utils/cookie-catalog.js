@@ -0,0 +1,221 @@
+// Cookie Catalog - Known cookies and the vendors that set them
+// Looked up before the name-prefix guesses in categorizeCookies. Exact names are
+// checked first, then wildcard patterns ("_ga_*"). Categories match the ones
+// categorizeCookies uses: essential, analytics, advertising, preferences, social.
+// SDKs that keep their IDs in Web Storage or IndexedDB instead are listed too.
+
+// Vendors and their privacy policies (null when there is no single vendor policy)
+export const COOKIE_VENDORS = {
+  google: { name: 'Google', policyUrl: 'https://policies.google.com/privacy' },
+  googleAnalytics: { name: 'Google Analytics', policyUrl: 'https://policies.google.com/privacy' },
+  googleAds: { name: 'Google Ads', policyUrl: 'https://policies.google.com/privacy' },
+  youtube: { name: 'YouTube', policyUrl: 'https://policies.google.com/privacy' },
+  meta: { name: 'Meta (Facebook)', policyUrl: 'https://www.facebook.com/privacy/policy/' },
+  microsoft: { name: 'Microsoft Advertising', policyUrl: 'https://privacy.microsoft.com/privacystatement' },
+  clarity: { name: 'Microsoft Clarity', policyUrl: 'https://privacy.microsoft.com/privacystatement' },
+  linkedin: { name: 'LinkedIn', policyUrl: 'https://www.linkedin.com/legal/privacy-policy' },
+  x: { name: 'X (Twitter)', policyUrl: 'https://x.com/privacy' },
+  tiktok: { name: 'TikTok', policyUrl: 'https://www.tiktok.com/legal/privacy-policy' },
+  pinterest: { name: 'Pinterest', policyUrl: 'https://policy.pinterest.com/privacy-policy' },
+  snap: { name: 'Snapchat', policyUrl: 'https://values.snap.com/privacy/privacy-policy' },
+  reddit: { name: 'Reddit', policyUrl: 'https://www.reddit.com/policies/privacy-policy' },
+  quantcast: { name: 'Quantcast', policyUrl: 'https://www.quantcast.com/privacy/' },
+  hotjar: { name: 'Hotjar', policyUrl: 'https://www.hotjar.com/legal/policies/privacy/' },
+  mixpanel: { name: 'Mixpanel', policyUrl: 'https://mixpanel.com/legal/privacy-policy/' },
+  amplitude: { name: 'Amplitude', policyUrl: 'https://amplitude.com/privacy' },
+  posthog: { name: 'PostHog', policyUrl: 'https://posthog.com/privacy' },
+  firebase: { name: 'Google Firebase', policyUrl: 'https://policies.google.com/privacy' },
+  braze: { name: 'Braze', policyUrl: 'https://www.braze.com/company/legal/privacy' },
+  optimizely: { name: 'Optimizely', policyUrl: 'https://www.optimizely.com/legal/privacy-notice/' },
+  launchdarkly: { name: 'LaunchDarkly', policyUrl: 'https://launchdarkly.com/policies/privacy/' },
+  onesignal: { name: 'OneSignal', policyUrl: 'https://onesignal.com/privacy_policy' },
+  segment: { name: 'Segment', policyUrl: 'https://www.twilio.com/en-us/legal/privacy' },
+  hubspot: { name: 'HubSpot', policyUrl: 'https://legal.hubspot.com/privacy-policy' },
+  intercom: { name: 'Intercom', policyUrl: 'https://www.intercom.com/legal/privacy' },
+  yandex: { name: 'Yandex Metrica', policyUrl: 'https://yandex.com/legal/confidential/' },
+  matomo: { name: 'Matomo (self-hosted)', policyUrl: null },
+  shopify: { name: 'Shopify', policyUrl: 'https://www.shopify.com/legal/privacy' },
+  stripe: { name: 'Stripe', policyUrl: 'https://stripe.com/privacy' },
+  cloudflare: { name: 'Cloudflare', policyUrl: 'https://www.cloudflare.com/privacypolicy/' },
+  onetrust: { name: 'OneTrust', policyUrl: 'https://www.onetrust.com/privacy-notice/' },
+  cookiebot: { name: 'Cookiebot', policyUrl: 'https://www.cookiebot.com/en/privacy-policy/' },
+  iabTcf: { name: 'IAB Transparency & Consent Framework', policyUrl: null },
+  wordpress: { name: 'WordPress', policyUrl: null },
+  server: { name: 'Site server (session)', policyUrl: null }
+};
+
+// Cookies known by exact name: [vendor, category, typical lifetime]
+const EXACT_COOKIES = {
+  _ga: ['googleAnalytics', 'analytics', '2 years'],
+  _gid: ['googleAnalytics', 'analytics', '24 hours'],
+  _gat: ['googleAnalytics', 'analytics', '1 minute'],
+  __utma: ['googleAnalytics', 'analytics', '2 years'],
+  __utmb: ['googleAnalytics', 'analytics', '30 minutes'],
+  __utmz: ['googleAnalytics', 'analytics', '6 months'],
+  _gcl_au: ['googleAds', 'advertising', '3 months'],
+  __gads: ['googleAds', 'advertising', '13 months'],
+  __gpi: ['googleAds', 'advertising', '13 months'],
+  IDE: ['googleAds', 'advertising', '13 months'],
+  test_cookie: ['googleAds', 'advertising', '15 minutes'],
+  NID: ['google', 'advertising', '6 months'],
+  '1P_JAR': ['google', 'advertising', '1 month'],
+  VISITOR_INFO1_LIVE: ['youtube', 'advertising', '6 months'],
+  YSC: ['youtube', 'social', 'Session'],
+  _fbp: ['meta', 'advertising', '3 months'],
+  _fbc: ['meta', 'advertising', '3 months'],
+  fr: ['meta', 'advertising', '3 months'],
+  MUID: ['microsoft', 'advertising', '13 months'],
+  _uetsid: ['microsoft', 'advertising', '1 day'],
+  _uetvid: ['microsoft', 'advertising', '13 months'],
+  _clck: ['clarity', 'analytics', '1 year'],
+  _clsk: ['clarity', 'analytics', '1 day'],
+  bcookie: ['linkedin', 'social', '1 year'],
+  lidc: ['linkedin', 'social', '1 day'],
+  li_sugr: ['linkedin', 'advertising', '3 months'],
+  UserMatchHistory: ['linkedin', 'advertising', '1 month'],
+  personalization_id: ['x', 'advertising', '13 months'],
+  guest_id: ['x', 'social', '13 months'],
+  _ttp: ['tiktok', 'advertising', '13 months'],
+  _pin_unauth: ['pinterest', 'advertising', '1 year'],
+  _derived_epik: ['pinterest', 'advertising', '1 year'],
+  _scid: ['snap', 'advertising', '13 months'],
+  _rdt_uuid: ['reddit', 'advertising', '3 months'],
+  __qca: ['quantcast', 'advertising', '13 months'],
+  _hjid: ['hotjar', 'analytics', '1 year'],
+  ajs_anonymous_id: ['segment', 'analytics', '1 year'],
+  ajs_user_id: ['segment', 'analytics', '1 year'],
+  __hstc: ['hubspot', 'analytics', '6 months'],
+  __hssc: ['hubspot', 'analytics', '30 minutes'],
+  hubspotutk: ['hubspot', 'analytics', '6 months'],
+  _ym_uid: ['yandex', 'analytics', '1 year'],
+  _shopify_y: ['shopify', 'analytics', '1 year'],
+  _shopify_s: ['shopify', 'analytics', '30 minutes'],
+  __stripe_mid: ['stripe', 'essential', '1 year'],
+  __stripe_sid: ['stripe', 'essential', '30 minutes'],
+  __cf_bm: ['cloudflare', 'essential', '30 minutes'],
+  cf_clearance: ['cloudflare', 'essential', '1 year'],
+  _cfuvid: ['cloudflare', 'essential', 'Session'],
+  OptanonConsent: ['onetrust', 'essential', '1 year'],
+  OptanonAlertBoxClosed: ['onetrust', 'essential', '1 year'],
+  CookieConsent: ['cookiebot', 'essential', '1 year'],
+  'euconsent-v2': ['iabTcf', 'essential', '13 months'],
+  PHPSESSID: ['server', 'essential', 'Session'],
+  JSESSIONID: ['server', 'essential', 'Session'],
+  'ASP.NET_SessionId': ['server', 'essential', 'Session']
+};
+
+// Cookies with variable names, most specific first: [pattern, vendor, category, lifetime]
+const PATTERN_COOKIES = [
+  ['_ga_*', 'googleAnalytics', 'analytics', '2 years'],
+  ['_gac_*', 'googleAds', 'advertising', '3 months'],
+  ['_hjSessionUser_*', 'hotjar', 'analytics', '1 year'],
+  ['_hjSession_*', 'hotjar', 'analytics', '30 minutes'],
+  ['_hj*', 'hotjar', 'analytics', '1 year'],
+  ['mp_*_mixpanel', 'mixpanel', 'analytics', '1 year'],
+  ['amplitude_id_*', 'amplitude', 'analytics', '1 year'],
+  ['AMP_*', 'amplitude', 'analytics', '1 year'],
+  ['intercom-*', 'intercom', 'preferences', '9 months'],
+  ['_pk_id.*', 'matomo', 'analytics', '13 months'],
+  ['_pk_ses.*', 'matomo', 'analytics', '30 minutes'],
+  ['wordpress_logged_in_*', 'wordpress', 'essential', 'Session'],
+  ['wp-settings-*', 'wordpress', 'preferences', '1 year']
+].map(([pattern, ...entry]) => [pattern, wildcardToRegExp(pattern), ...entry]);
+
+// localStorage / sessionStorage keys of analytics and marketing SDKs, most specific
+// first: [pattern, vendor, category, typical lifetime]
+const STORAGE_KEYS = [
+  ['ajs_anonymous_id', 'segment', 'analytics', 'Persistent'],
+  ['ajs_user_id', 'segment', 'analytics', 'Persistent'],
+  ['ajs_user_traits', 'segment', 'analytics', 'Persistent'],
+  ['ajs_group_*', 'segment', 'analytics', 'Persistent'],
+  ['AMP_*', 'amplitude', 'analytics', 'Persistent'],
+  ['amplitude_unsent_*', 'amplitude', 'analytics', 'Persistent'],
+  ['amplitude_id_*', 'amplitude', 'analytics', 'Persistent'],
+  ['mp_*_mixpanel', 'mixpanel', 'analytics', 'Persistent'],
+  ['ph_*_posthog', 'posthog', 'analytics', 'Persistent'],
+  ['_hjid', 'hotjar', 'analytics', 'Persistent'],
+  ['_hjSessionUser_*', 'hotjar', 'analytics', 'Persistent'],
+  ['_hj*', 'hotjar', 'analytics', 'Persistent'],
+  ['_ym_uid', 'yandex', 'analytics', 'Persistent'],
+  ['_ym*', 'yandex', 'analytics', 'Persistent'],
+  ['firebase:*', 'firebase', 'analytics', 'Persistent'],
+  ['ab.storage.*', 'braze', 'advertising', 'Persistent'],
+  ['optimizely_data$$*', 'optimizely', 'analytics', 'Persistent'],
+  ['ld:*', 'launchdarkly', 'preferences', 'Persistent'],
+  ['intercom.*', 'intercom', 'preferences', 'Persistent'],
+  ['_gcl_ls', 'googleAds', 'advertising', 'Persistent'],
+  ['__tea_cache_tokens_*', 'tiktok', 'advertising', 'Persistent']
+].map(([pattern, ...entry]) => [pattern, wildcardToRegExp(pattern), ...entry]);
+
+// IndexedDB databases of the same SDKs: [pattern, vendor, category, typical lifetime]
+const STORAGE_DATABASES = [
+  ['firebase-installations-database', 'firebase', 'analytics', 'Persistent'],
+  ['firebase-heartbeat-database', 'firebase', 'analytics', 'Persistent'],
+  ['firebaseLocalStorageDb', 'firebase', 'essential', 'Persistent'],
+  ['ONE_SIGNAL_SDK_DB', 'onesignal', 'advertising', 'Persistent'],
+  ['ab.storage.*', 'braze', 'advertising', 'Persistent'],
+  ['amplitude*', 'amplitude', 'analytics', 'Persistent']
+].map(([pattern, ...entry]) => [pattern, wildcardToRegExp(pattern), ...entry]);
+
+// Catalog entry for a cookie name: { vendor, category, lifetime, policyUrl, match },
+// or null when the cookie is not known
+export function lookupCookie(name) {
+  if (!name) return null;
+
+  if (Object.prototype.hasOwnProperty.call(EXACT_COOKIES, name)) {
+    return toEntry(EXACT_COOKIES[name], 'exact');
+  }
+
+  return findPattern(PATTERN_COOKIES, name);
+}
+
+// Catalog entry for a localStorage / sessionStorage key, or null when not known
+export function lookupStorageKey(key) {
+  return findPattern(STORAGE_KEYS, key);
+}
+
+// Catalog entry for an IndexedDB database name, or null when not known
+export function lookupDatabase(name) {
+  return findPattern(STORAGE_DATABASES, name);
+}
+
+// Everything a lookup can return, for versioning analyses that depend on it
+export function getCatalogData() {
+  const withoutRegExp = (patterns) => patterns.map(([pattern, , ...entry]) => [pattern, ...entry]);
+
+  return {
+    vendors: COOKIE_VENDORS,
+    exact: EXACT_COOKIES,
+    patterns: withoutRegExp(PATTERN_COOKIES),
+    storageKeys: withoutRegExp(STORAGE_KEYS),
+    databases: withoutRegExp(STORAGE_DATABASES)
+  };
+}
+
+function findPattern(patterns, name) {
+  if (!name) return null;
+
+  const pattern = patterns.find(([, regex]) => regex.test(name));
+  return pattern ? toEntry(pattern.slice(2), pattern[0]) : null;
+}
+
+function toEntry([vendorKey, category, lifetime], match) {
+  const vendor = COOKIE_VENDORS[vendorKey];
+
+  return {
+    vendor: vendor.name,
+    category,
+    lifetime,
+    policyUrl: vendor.policyUrl,
+    match
+  };
+}
+
+function wildcardToRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}$`);
+}
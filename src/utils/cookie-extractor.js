@@ -1,6 +1,13 @@
 // Cookie Extraction Utilities
 // Extracts and analyzes cookies and cookie banner information
 
+import { getAllBannerKeywords } from './language.js';
+import { lookupCookie, lookupStorageKey, lookupDatabase } from './cookie-catalog.js';
+import { isThirdPartyDomain, normalizeHostname } from './site-domain.js';
+
+// Banner and button wording in every supported language
+const BANNER_WORDS = getAllBannerKeywords();
+
 // Extract cookie data from the current page
 export async function extractCookieData() {
   const cookieData = {
@@ -34,7 +41,7 @@ export async function extractCookieData() {
           httpOnly: cookie.httpOnly,
           sameSite: cookie.sameSite,
           expirationDate: cookie.expirationDate,
-          isThirdParty: !cookie.domain.includes(currentDomain)
+          isThirdParty: isThirdPartyDomain(cookie.domain, currentDomain)
         }));
       }
     } catch (error) {
@@ -45,9 +52,9 @@ export async function extractCookieData() {
     const allCookies = [...cookieData.documentCookies, ...cookieData.chromeCookies];
     cookieData.cookieCount = allCookies.length;
 
-    // Count third-party cookies
+    // Count third-party cookies (set for a different registrable domain)
     cookieData.thirdPartyCookies = allCookies.filter(cookie =>
-      cookie.isThirdParty || !cookie.domain.includes(currentDomain)
+      cookie.isThirdParty || isThirdPartyDomain(cookie.domain, currentDomain)
     ).length;
 
     // Create summary with categorized cookies
@@ -62,6 +69,48 @@ export async function extractCookieData() {
   return cookieData;
 }
 
+// Cookies set for a registrable domain other than the page's, and those domains
+// ("example.com" cookies on "shop.example.com" are first party; ".co.uk" and
+// "example.com.evil.net" cookies are not)
+export function findThirdPartyCookies(cookies, pageHostname) {
+  const thirdParty = (cookies || []).filter(cookie => isThirdPartyDomain(cookie.domain, pageHostname));
+  const domains = [...new Set(thirdParty.map(cookie => normalizeHostname(cookie.domain)))];
+
+  return { cookies: thirdParty, domains };
+}
+
+// Cookie data for the analysis from chrome.cookies results (the page's own cookies
+// and those of third-party sites it requested), counted by registrable domain.
+// Values are left out; only names and attributes are analyzed.
+export function summarizeCookieJar(cookies, pageHostname) {
+  const seen = new Set();
+  const allCookies = (cookies || [])
+    .filter(cookie => {
+      const key = `${cookie.name}|${normalizeHostname(cookie.domain)}|${cookie.path}`;
+      return !seen.has(key) && seen.add(key);
+    })
+    .map(cookie => ({
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite,
+      session: cookie.session,
+      expirationDate: cookie.expirationDate,
+      isThirdParty: isThirdPartyDomain(cookie.domain, pageHostname)
+    }));
+
+  const thirdParty = findThirdPartyCookies(allCookies, pageHostname);
+
+  return {
+    allCookies,
+    cookieCount: allCookies.length,
+    thirdPartyCookies: thirdParty.cookies.length,
+    thirdPartyDomains: thirdParty.domains
+  };
+}
+
 // Parse document.cookie string into structured data
 function parseCookieString(cookieString, currentDomain) {
   const cookies = [];
@@ -91,8 +140,9 @@ function parseCookieString(cookieString, currentDomain) {
   return cookies;
 }
 
-// Categorize cookies by their likely purpose
-function categorizeCookies(cookies) {
+// Categorize cookies by their purpose: from the cookie catalog when the cookie is
+// known, otherwise guessed from its name
+export function categorizeCookies(cookies) {
   const categories = {
     essential: [],
     analytics: [],
@@ -115,7 +165,7 @@ function categorizeCookies(cookies) {
     advertising: [
       /^_fbp/i, /^_fbc/i, /^facebook/i, /^fb/i,
       /^doubleclick/i, /^googleads/i, /^adsystem/i,
-      /^ad/i, /^marketing/i, /^retargeting/i, /^conversion/i
+      /^ads?([_-]|$)/i, /^marketing/i, /^retargeting/i, /^conversion/i
     ],
     preferences: [
       /^pref/i, /^settings/i, /^theme/i, /^language/i,
@@ -128,35 +178,23 @@ function categorizeCookies(cookies) {
   };
 
   cookies.forEach(cookie => {
-    let categorized = false;
-
-    for (const [category, categoryPatterns] of Object.entries(patterns)) {
-      if (categoryPatterns.some(pattern => pattern.test(cookie.name))) {
-        categories[category].push({
-          name: cookie.name,
-          domain: cookie.domain,
-          type: category,
-          expires: formatExpiration(cookie.expirationDate),
-          secure: cookie.secure,
-          httpOnly: cookie.httpOnly,
-          isThirdParty: cookie.isThirdParty
-        });
-        categorized = true;
-        break;
-      }
-    }
-
-    if (!categorized) {
-      categories.unknown.push({
-        name: cookie.name,
-        domain: cookie.domain,
-        type: 'unknown',
-        expires: formatExpiration(cookie.expirationDate),
-        secure: cookie.secure,
-        httpOnly: cookie.httpOnly,
-        isThirdParty: cookie.isThirdParty
-      });
-    }
+    const known = lookupCookie(cookie.name);
+    const category = known?.category ||
+      Object.keys(patterns).find(key => patterns[key].some(pattern => pattern.test(cookie.name))) ||
+      'unknown';
+
+    categories[category].push({
+      name: cookie.name,
+      domain: cookie.domain,
+      type: category,
+      expires: formatExpiration(cookie.expirationDate),
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      isThirdParty: cookie.isThirdParty,
+      vendor: known?.vendor || null,
+      lifetime: known?.lifetime || null,
+      vendorPolicyUrl: known?.policyUrl || null
+    });
   });
 
   return categories;
@@ -181,6 +219,157 @@ function formatExpiration(expirationDate) {
   return `${Math.ceil(diffDays / 365)} years`;
 }
 
+// Web Storage entries listed per area; large single-page apps keep hundreds
+const MAX_STORAGE_ITEMS = 200;
+
+// Longer values are measured but not searched for identifiers
+const MAX_INSPECTED_VALUE_LENGTH = 4096;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TOKEN_PATTERN = /^[A-Za-z0-9_\-.:+/=]{16,128}$/;
+
+// List the page's localStorage, sessionStorage and IndexedDB databases. Values are
+// never returned, only their size and whether they look like a persistent ID:
+// { items: [{ area, key, size, identifier, identifierField }], databases: [{ name, version }],
+//   totalBytes, identifiers }
+export async function extractStorageData() {
+  const storageData = { items: [], databases: [], totalBytes: 0, identifiers: 0 };
+
+  ['localStorage', 'sessionStorage'].forEach(area => {
+    let storage;
+    try {
+      storage = window[area]; // Throws when storage is disabled for the site
+    } catch (error) {
+      return;
+    }
+    if (!storage) return;
+
+    for (let i = 0; i < storage.length && i < MAX_STORAGE_ITEMS; i++) {
+      const key = storage.key(i);
+      const value = storage.getItem(key) || '';
+      const match = findIdentifier(value);
+
+      storageData.items.push({
+        area,
+        key,
+        size: (key.length + value.length) * 2, // UTF-16 bytes
+        identifier: match?.kind || null,
+        identifierField: match?.field || null
+      });
+    }
+  });
+
+  try {
+    if (typeof indexedDB !== 'undefined' && indexedDB.databases) {
+      const databases = await indexedDB.databases();
+      storageData.databases = databases.map(db => ({ name: db.name, version: db.version }));
+    }
+  } catch (error) {
+    console.log('IndexedDB databases not available:', error);
+  }
+
+  storageData.totalBytes = storageData.items.reduce((total, item) => total + item.size, 0);
+  storageData.identifiers = storageData.items.filter(item => item.identifier).length;
+
+  console.log(`Found ${storageData.items.length} storage entries (${storageData.identifiers} identifier-like) and ${storageData.databases.length} IndexedDB database(s)`);
+  return storageData;
+}
+
+// Kind of persistent identifier a stored value holds ('uuid' or 'random id'), also
+// inside JSON ("{ \"deviceId\": \"...\" }"), or null. Returns { kind, field }.
+export function findIdentifier(value) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > MAX_INSPECTED_VALUE_LENGTH) return null;
+
+  let parsed = value;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    // Plain string
+  }
+
+  if (typeof parsed === 'string') {
+    const kind = classifyIdentifier(parsed);
+    return kind ? { kind, field: null } : null;
+  }
+
+  // SDKs keep state objects such as { deviceId, sessionId, optOut }; one level deep
+  if (parsed && typeof parsed === 'object') {
+    for (const [field, fieldValue] of Object.entries(parsed)) {
+      const kind = typeof fieldValue === 'string' ? classifyIdentifier(fieldValue) : null;
+      if (kind) return { kind, field };
+    }
+  }
+
+  return null;
+}
+
+// Report rows for extracted storage, with known SDK keys and databases matched to
+// their vendor in the cookie catalog; null when nothing was extracted
+export function formatStorageReport(storageData) {
+  if (!storageData) return null;
+
+  const items = (storageData.items || []).map(item => {
+    const known = lookupStorageKey(item.key);
+    return {
+      area: item.area,
+      key: item.key,
+      size: item.size,
+      identifier: item.identifier,
+      identifier_field: item.identifierField,
+      vendor: known?.vendor || null,
+      category: known?.category || null,
+      policy_url: known?.policyUrl || null
+    };
+  });
+
+  const databases = (storageData.databases || []).map(db => {
+    const known = lookupDatabase(db.name);
+    return {
+      name: db.name,
+      version: db.version,
+      vendor: known?.vendor || null,
+      category: known?.category || null,
+      policy_url: known?.policyUrl || null
+    };
+  });
+
+  // Known SDKs and identifiers first
+  const rank = (entry) => (entry.vendor ? 2 : 0) + (entry.identifier ? 1 : 0);
+  items.sort((a, b) => rank(b) - rank(a) || b.size - a.size);
+
+  return {
+    items,
+    databases,
+    total_bytes: storageData.totalBytes || 0,
+    identifiers: items.filter(item => item.identifier).length,
+    vendors: [...new Set([...items, ...databases].map(entry => entry.vendor).filter(Boolean))]
+  };
+}
+
+// UUIDs, and long tokens mixing letters and digits that are not words, dates or
+// version strings
+function classifyIdentifier(text) {
+  const value = text.trim();
+
+  if (UUID_PATTERN.test(value)) return 'uuid';
+  if (!TOKEN_PATTERN.test(value)) return null;
+  if (!/[a-z]/i.test(value) || !/\d/.test(value)) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) || /^https?:/i.test(value)) return null;
+
+  return getEntropy(value) >= 3.5 ? 'random id' : null;
+}
+
+// Shannon entropy in bits per character
+function getEntropy(text) {
+  const counts = {};
+  for (const char of text) counts[char] = (counts[char] || 0) + 1;
+
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / text.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
 // Analyze cookie banners and consent mechanisms
 export function analyzeCookieBanner() {
   const bannerData = {
@@ -217,10 +406,8 @@ export function analyzeCookieBanner() {
     for (const element of elements) {
       const text = element.textContent.toLowerCase();
 
-      // Check if element contains cookie/privacy related keywords
-      if (text.includes('cookie') || text.includes('consent') ||
-          text.includes('privacy') || text.includes('gdpr') ||
-          text.includes('tracking')) {
+      // Check if element contains cookie/privacy related keywords (any supported language)
+      if (BANNER_WORDS.topic.some(word => text.includes(word))) {
         bannerElement = element;
         break;
       }
@@ -240,18 +427,15 @@ export function analyzeCookieBanner() {
     buttons.forEach(button => {
       const buttonText = button.textContent.toLowerCase();
 
-      if (buttonText.includes('accept') || buttonText.includes('agree') ||
-          buttonText.includes('ok') || buttonText.includes('allow')) {
+      if (BANNER_WORDS.accept.some(word => buttonText.includes(word))) {
         bannerData.hasAcceptButton = true;
       }
 
-      if (buttonText.includes('reject') || buttonText.includes('decline') ||
-          buttonText.includes('deny') || buttonText.includes('refuse')) {
+      if (BANNER_WORDS.reject.some(word => buttonText.includes(word))) {
         bannerData.hasRejectButton = true;
       }
 
-      if (buttonText.includes('setting') || buttonText.includes('option') ||
-          buttonText.includes('preference') || buttonText.includes('customize')) {
+      if (BANNER_WORDS.settings.some(word => buttonText.includes(word))) {
         bannerData.hasSettingsButton = true;
       }
     });
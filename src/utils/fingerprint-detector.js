@@ -0,0 +1,84 @@
+// Fingerprint Detector - Judges the API calls recorded by fingerprint-monitor.js
+// Each API on its own has ordinary uses (image export, audio players, GPU feature
+// checks), so a script counts as fingerprinting when it combines techniques. WebGL
+// renderer reads and probing many fonts stand out even alone.
+
+import { isSameSite } from './site-domain.js';
+
+export const FINGERPRINT_TECHNIQUES = {
+  canvas: 'canvas readback',
+  audio: 'audio context',
+  webgl: 'WebGL renderer info',
+  plugins: 'plugin enumeration',
+  fonts: 'font probing'
+};
+
+export const FINGERPRINT_LEVELS = {
+  NONE: 'none',
+  POSSIBLE: 'possible',
+  FINGERPRINTING: 'fingerprinting'
+};
+
+// Distinct font families a script must measure to count as probing
+export const FONT_PROBE_THRESHOLD = 10;
+
+// Techniques a script using only one of them is still suspected for
+const SUSPICIOUS_ALONE = ['webgl', 'fonts'];
+
+// Assess the content script's report ({ scripts: [{ origin, canvas, audio, webgl,
+// plugins, fonts }] }). Returns { level, scripts: [{ origin, techniques, level,
+// thirdParty }] } with the most suspicious scripts first; null without a report.
+export function assessFingerprinting(report, pageHostname = null) {
+  if (!report || !Array.isArray(report.scripts)) return null;
+
+  const scripts = report.scripts
+    .map(script => {
+      const techniques = Object.keys(FINGERPRINT_TECHNIQUES).filter(technique =>
+        technique === 'fonts' ? script.fonts >= FONT_PROBE_THRESHOLD : script[technique] > 0);
+
+      return {
+        origin: script.origin,
+        techniques,
+        level: getScriptLevel(techniques),
+        thirdParty: pageHostname ? isThirdPartyOrigin(script.origin, pageHostname) : null
+      };
+    })
+    .filter(script => script.techniques.length > 0)
+    .sort((a, b) => b.techniques.length - a.techniques.length);
+
+  const levels = scripts.map(script => script.level);
+  const level = levels.includes(FINGERPRINT_LEVELS.FINGERPRINTING) ? FINGERPRINT_LEVELS.FINGERPRINTING
+    : levels.includes(FINGERPRINT_LEVELS.POSSIBLE) ? FINGERPRINT_LEVELS.POSSIBLE
+      : FINGERPRINT_LEVELS.NONE;
+
+  return { level, scripts };
+}
+
+// Report shape of an assessment (the fingerprinting field of a result)
+export function formatFingerprintReport(assessment) {
+  if (!assessment) return null;
+
+  return {
+    level: assessment.level,
+    scripts: assessment.scripts.map(script => ({
+      origin: script.origin,
+      level: script.level,
+      third_party: script.thirdParty,
+      techniques: script.techniques.map(technique => FINGERPRINT_TECHNIQUES[technique])
+    }))
+  };
+}
+
+function getScriptLevel(techniques) {
+  if (techniques.length >= 2) return FINGERPRINT_LEVELS.FINGERPRINTING;
+  if (techniques.some(technique => SUSPICIOUS_ALONE.includes(technique))) return FINGERPRINT_LEVELS.POSSIBLE;
+  return FINGERPRINT_LEVELS.NONE;
+}
+
+function isThirdPartyOrigin(origin, pageHostname) {
+  try {
+    return !isSameSite(new URL(origin).hostname, pageHostname);
+  } catch (error) {
+    return null; // "unknown" or "other"
+  }
+}
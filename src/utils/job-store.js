@@ -0,0 +1,156 @@
+// Job Store - Persistent analysis jobs that outlive the service worker
+// MV3 service workers can be stopped mid-analysis. Each analysis is recorded under
+// job_<site> (getSiteKey, like the result cache) when it is queued, with a checkpoint
+// per finished step, so a restarted worker can resume it instead of losing it.
+
+import { getSiteKey } from './site-domain.js';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running'
+};
+
+// Starts after which an interrupted job is given up (e.g. a step that keeps
+// crashing the worker)
+export const MAX_JOB_ATTEMPTS = 3;
+
+const JOB_KEY_PREFIX = 'job_';
+
+// Page text kept with a job: enough for language detection, the prompt's page
+// excerpt and the fallback when no policy page is found. Jobs share
+// chrome.storage.local (10 MB) with the result cache.
+export const MAX_STORED_PAGE_TEXT = 20000;
+
+// Jobs without a recorded priority (saved by older versions) sort last
+const byQueueOrder = (a, b) =>
+  (b.status === JOB_STATUS.RUNNING) - (a.status === JOB_STATUS.RUNNING) ||
+  (a.priority ?? Infinity) - (b.priority ?? Infinity) ||
+  a.createdAt - b.createdAt;
+
+// Create a store on a chrome.storage area (chrome.storage.local by default)
+export function createJobStore(storage = chrome.storage.local) {
+  // Any hostname of a site finds its job
+  const keyFor = (domain) => `${JOB_KEY_PREFIX}${getSiteKey(domain)}`;
+
+  async function get(domain) {
+    const items = await storage.get(keyFor(domain));
+    return items[keyFor(domain)] || null;
+  }
+
+  // Resolves with the job, or null when storage is full: the analysis goes on
+  // unpersisted rather than failing
+  async function put(job) {
+    job.updatedAt = Date.now();
+
+    try {
+      await storage.set({ [keyFor(job.domain)]: job });
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      console.warn(`Storage is full, analysis job for ${job.domain} not saved:`, error.message);
+      return null;
+    }
+    return job;
+  }
+
+  // Writes run one at a time, so checkpoints saved in quick succession do not
+  // overwrite each other's read-modify-write
+  let writes = Promise.resolve();
+
+  function enqueue(operation) {
+    const next = writes.then(operation);
+    writes = next.catch(() => {});
+    return next;
+  }
+
+  function update(domain, mutate) {
+    return enqueue(async () => {
+      const job = await get(domain);
+      if (!job) return null;
+
+      mutate(job);
+      return put(job);
+    });
+  }
+
+  return {
+    get,
+
+    // Record a new job for siteData, replacing any previous job for the site.
+    // priority is its scheduler priority (ANALYSIS_PRIORITY), kept for requeueing.
+    // Resolves with the job, or null when storage is full.
+    create(siteData, settings = {}, priority = null) {
+      const now = Date.now();
+
+      return enqueue(() => put({
+        domain: siteData.domain,
+        siteData: {
+          ...siteData,
+          pageContent: typeof siteData.pageContent === 'string'
+            ? siteData.pageContent.substring(0, MAX_STORED_PAGE_TEXT)
+            : siteData.pageContent
+        },
+        settings,
+        priority,
+        status: JOB_STATUS.PENDING,
+        attempts: 0,
+        checkpoints: {},
+        createdAt: now,
+        updatedAt: now
+      }));
+    },
+
+    // Mark a job as running and count the attempt
+    start(domain) {
+      return update(domain, job => {
+        job.status = JOB_STATUS.RUNNING;
+        job.attempts++;
+      });
+    },
+
+    // Raise a job's priority (lower value), e.g. when the popup joins an auto-scan
+    setPriority(domain, priority) {
+      return update(domain, job => {
+        if (job.priority === null || job.priority === undefined || priority < job.priority) {
+          job.priority = priority;
+        }
+      });
+    },
+
+    // Store the result of a finished step ({ result, outcome } for model steps).
+    // A checkpoint that does not fit is dropped and the step reruns on resume.
+    saveCheckpoint(domain, step, value) {
+      return update(domain, job => {
+        job.checkpoints[step] = value;
+      });
+    },
+
+    // Drop the checkpoints, e.g. after the model provider changed
+    resetCheckpoints(domain, settings) {
+      return update(domain, job => {
+        job.checkpoints = {};
+        job.settings = settings;
+      });
+    },
+
+    remove(domain) {
+      return enqueue(() => storage.remove(keyFor(domain)));
+    },
+
+    // Jobs left unfinished by a previous service worker, in the order they would
+    // have run: started jobs first, then by priority, then oldest first
+    async listUnfinished() {
+      const items = await storage.get(null);
+
+      return Object.entries(items)
+        .filter(([key]) => key.startsWith(JOB_KEY_PREFIX))
+        .map(([, job]) => job)
+        .filter(job => job && Object.values(JOB_STATUS).includes(job.status))
+        .sort(byQueueOrder);
+    }
+  };
+}
+
+// chrome.storage rejects writes over its quota with "QUOTA_BYTES quota exceeded"
+function isQuotaError(error) {
+  return /quota/i.test(error?.message || '');
+}
@@ -0,0 +1,231 @@
+// Language Utilities - Language detection and localized privacy keywords
+// Covers English plus the major EU languages: German, French, Spanish, Italian,
+// Dutch, Portuguese, Polish and Swedish
+
+export const SUPPORTED_LANGUAGES = ['en', 'de', 'fr', 'es', 'it', 'nl', 'pt', 'pl', 'sv'];
+
+// Frequent function words used to guess the language of a text
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'we', 'you', 'your', 'with', 'that', 'this', 'for', 'are'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'wir', 'sie', 'mit', 'von', 'zu', 'den', 'ihre', 'auf', 'für'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'nous', 'vous', 'vos', 'pour', 'que', 'une', 'du', 'dans', 'sur'],
+  es: ['el', 'los', 'las', 'y', 'que', 'en', 'para', 'con', 'sus', 'una', 'por', 'del', 'nosotros', 'su', 'se'],
+  it: ['il', 'gli', 'e', 'di', 'che', 'per', 'con', 'sono', 'una', 'dei', 'della', 'nel', 'non', 'tuoi', 'delle'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'wij', 'u', 'uw', 'met', 'voor', 'zijn', 'niet', 'op', 'worden', 'dat'],
+  pt: ['o', 'os', 'e', 'que', 'para', 'com', 'não', 'uma', 'seus', 'nós', 'do', 'da', 'dos', 'em', 'seu'],
+  pl: ['i', 'w', 'na', 'z', 'do', 'że', 'się', 'nie', 'jest', 'oraz', 'dla', 'przez', 'są', 'lub', 'twoje'],
+  sv: ['och', 'att', 'det', 'som', 'en', 'på', 'är', 'för', 'med', 'vi', 'du', 'inte', 'av', 'dina', 'till']
+};
+
+// Link text and URL fragments that point to a privacy policy
+// policy: names of the policy itself (highest priority), general: privacy topics
+export const LINK_KEYWORDS = {
+  en: {
+    policy: ['privacy policy', 'privacy statement', 'privacy notice'],
+    general: ['privacy', 'data protection', 'data policy', 'cookie policy', 'cookie notice'],
+    url: ['privacy', 'data-protection', 'data-policy', 'cookie-policy']
+  },
+  de: {
+    policy: ['datenschutzerklärung', 'datenschutzhinweise', 'datenschutzrichtlinie'],
+    general: ['datenschutz', 'cookie-richtlinie', 'cookie-hinweise'],
+    url: ['datenschutz', 'datenschutzerklaerung']
+  },
+  fr: {
+    policy: ['politique de confidentialité', 'déclaration de confidentialité', 'politique de protection des données'],
+    general: ['confidentialité', 'données personnelles', 'protection des données', 'politique de cookies', 'gestion des cookies'],
+    url: ['confidentialite', 'donnees-personnelles', 'protection-des-donnees', 'vie-privee']
+  },
+  es: {
+    policy: ['política de privacidad', 'aviso de privacidad', 'política de protección de datos'],
+    general: ['privacidad', 'protección de datos', 'política de cookies'],
+    url: ['privacidad', 'proteccion-de-datos', 'politica-de-cookies']
+  },
+  it: {
+    policy: ['informativa sulla privacy', 'informativa privacy', 'politica sulla privacy'],
+    general: ['protezione dei dati', 'dati personali', 'cookie policy'],
+    url: ['informativa-privacy', 'protezione-dati']
+  },
+  nl: {
+    policy: ['privacybeleid', 'privacyverklaring'],
+    general: ['gegevensbescherming', 'cookiebeleid', 'persoonsgegevens'],
+    url: ['privacybeleid', 'privacyverklaring', 'cookiebeleid']
+  },
+  pt: {
+    policy: ['política de privacidade', 'aviso de privacidade'],
+    general: ['privacidade', 'proteção de dados', 'dados pessoais', 'política de cookies'],
+    url: ['privacidade', 'protecao-de-dados']
+  },
+  pl: {
+    policy: ['polityka prywatności', 'polityka ochrony danych'],
+    general: ['prywatność', 'ochrona danych', 'dane osobowe', 'polityka cookies'],
+    url: ['polityka-prywatnosci', 'prywatnosc', 'ochrona-danych']
+  },
+  sv: {
+    policy: ['integritetspolicy', 'dataskyddspolicy'],
+    general: ['integritet', 'dataskydd', 'personuppgifter', 'cookiepolicy'],
+    url: ['integritetspolicy', 'integritet', 'dataskydd', 'personuppgifter']
+  }
+};
+
+// Cookie banner wording: topic words identify the banner, the rest its buttons
+export const BANNER_KEYWORDS = {
+  en: {
+    topic: ['cookie', 'consent', 'privacy', 'gdpr', 'tracking'],
+    accept: ['accept', 'agree', 'allow', 'ok'],
+    reject: ['reject', 'decline', 'deny', 'refuse'],
+    settings: ['setting', 'option', 'preference', 'customize']
+  },
+  de: {
+    topic: ['einwilligung', 'datenschutz'],
+    accept: ['akzeptieren', 'zustimmen', 'einverstanden', 'annehmen', 'erlauben'],
+    reject: ['ablehnen', 'verweigern', 'nicht zustimmen'],
+    settings: ['einstellungen', 'anpassen']
+  },
+  fr: {
+    topic: ['consentement', 'confidentialité', 'traceurs'],
+    accept: ['accepter', "j'accepte", 'autoriser', "d'accord"],
+    reject: ['refuser', 'rejeter', 'je refuse'],
+    settings: ['paramètres', 'personnaliser', 'préférences']
+  },
+  es: {
+    topic: ['consentimiento', 'privacidad'],
+    accept: ['aceptar', 'acepto', 'permitir'],
+    reject: ['rechazar', 'denegar', 'rechazo'],
+    settings: ['configurar', 'configuración', 'preferencias']
+  },
+  it: {
+    topic: ['consenso'],
+    accept: ['accetta', 'accetto', 'consenti', 'acconsento'],
+    reject: ['rifiuta', 'rifiuto'],
+    settings: ['impostazioni', 'personalizza', 'preferenze']
+  },
+  nl: {
+    topic: ['toestemming'],
+    accept: ['accepteren', 'akkoord', 'toestaan'],
+    reject: ['weigeren', 'afwijzen'],
+    settings: ['instellingen', 'voorkeuren']
+  },
+  pt: {
+    topic: ['consentimento', 'privacidade'],
+    accept: ['aceitar', 'aceito', 'concordo', 'permitir'],
+    reject: ['rejeitar', 'recusar'],
+    settings: ['configurações', 'definições', 'preferências']
+  },
+  pl: {
+    topic: ['zgod', 'prywatno'],
+    accept: ['akceptuj', 'zgadzam', 'zezwól', 'zaakceptuj'],
+    reject: ['odrzuć', 'odrzucam', 'nie zgadzam'],
+    settings: ['ustawienia', 'dostosuj']
+  },
+  sv: {
+    topic: ['samtycke', 'integritet'],
+    accept: ['acceptera', 'godkänn', 'tillåt'],
+    reject: ['avvisa', 'avböj'],
+    settings: ['inställningar', 'anpassa']
+  }
+};
+
+// Words that mark a sentence as being about privacy practices
+export const POLICY_TEXT_KEYWORDS = {
+  en: ['privacy policy', 'data protection', 'personal information', 'cookies', 'tracking', 'data collection', 'third party', 'gdpr', 'ccpa', 'personal data', 'data processing'],
+  de: ['datenschutz', 'personenbezogene daten', 'cookies', 'tracking', 'dritte', 'verarbeitung', 'dsgvo'],
+  fr: ['confidentialité', 'données personnelles', 'cookies', 'traceurs', 'tiers', 'traitement', 'rgpd'],
+  es: ['privacidad', 'datos personales', 'cookies', 'terceros', 'tratamiento', 'rgpd'],
+  it: ['privacy', 'dati personali', 'cookie', 'terze parti', 'trattamento', 'gdpr'],
+  nl: ['privacy', 'persoonsgegevens', 'cookies', 'derden', 'verwerking', 'avg'],
+  pt: ['privacidade', 'dados pessoais', 'cookies', 'terceiros', 'tratamento', 'rgpd'],
+  pl: ['prywatności', 'dane osobowe', 'danych osobowych', 'cookies', 'podmiotom trzecim', 'przetwarzanie', 'rodo'],
+  sv: ['integritet', 'personuppgifter', 'cookies', 'tredje part', 'behandling', 'gdpr']
+};
+
+// Fewest stopword hits before a text-based guess is trusted
+const MIN_STOPWORD_HITS = 3;
+
+// Normalize a BCP 47 tag ("de-AT", "pt_BR") to a supported base language, or null
+export function normalizeLanguageCode(tag) {
+  if (!tag || typeof tag !== 'string') return null;
+
+  const base = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(base) ? base : null;
+}
+
+// Guess the language of a text by counting stopwords; a declared language
+// (e.g. <html lang>) wins when the text gives no clear answer
+export function detectLanguage(text, declaredLanguage) {
+  const declared = normalizeLanguageCode(declaredLanguage);
+  if (!text) return declared || 'en';
+
+  const words = text.toLowerCase().slice(0, 20000).split(/[^\p{L}']+/u);
+  const counts = {};
+
+  SUPPORTED_LANGUAGES.forEach(language => { counts[language] = 0; });
+
+  const lookup = new Map();
+  Object.entries(STOPWORDS).forEach(([language, list]) => {
+    list.forEach(word => {
+      if (!lookup.has(word)) lookup.set(word, []);
+      lookup.get(word).push(language);
+    });
+  });
+
+  words.forEach(word => {
+    (lookup.get(word) || []).forEach(language => { counts[language]++; });
+  });
+
+  const [best, hits] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+
+  if (hits < MIN_STOPWORD_HITS) return declared || 'en';
+  return best;
+}
+
+// Keywords for a language, always including English (many sites mix languages)
+export function getPolicyTextKeywords(language) {
+  return mergeWithEnglish(POLICY_TEXT_KEYWORDS, language);
+}
+
+// Policy text keywords of every language, for checks that run before the
+// language is known
+export function getAllPolicyTextKeywords() {
+  return [...new Set(Object.values(POLICY_TEXT_KEYWORDS).flat())];
+}
+
+// All banner keywords across languages; banners often ignore the page language
+export function getAllBannerKeywords() {
+  return mergeAllLanguages(BANNER_KEYWORDS);
+}
+
+// All link keywords across languages; a page's links are often in a different
+// language than its content (e.g. an English page on a German site)
+export function getAllLinkKeywords() {
+  return mergeAllLanguages(LINK_KEYWORDS);
+}
+
+// English name of a language code ("de" -> "German"), for prompts. Works for any
+// language the browser UI may use, not only the supported keyword languages.
+export function getLanguageName(code) {
+  const language = (typeof code === 'string' && code.trim() ? code.trim() : 'en').split(/[-_]/)[0];
+
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch (error) {
+    return language;
+  }
+}
+
+function mergeWithEnglish(table, language) {
+  const localized = table[normalizeLanguageCode(language)] || [];
+  return [...new Set([...table.en, ...localized])];
+}
+
+// Union of each keyword list across all languages
+function mergeAllLanguages(table) {
+  const all = {};
+
+  Object.values(table).forEach(keywords => {
+    Object.entries(keywords).forEach(([key, list]) => {
+      all[key] = [...new Set([...(all[key] || []), ...list])];
+    });
+  });
+
+  return all;
+}
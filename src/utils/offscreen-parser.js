@@ -0,0 +1,55 @@
+// Offscreen Parser - DOM-based policy text extraction for the service worker
+// Creates the offscreen document (src/offscreen.html) on first use and keeps it
+// open for later policies.
+
+const OFFSCREEN_PATH = 'src/offscreen.html';
+
+// Pending createDocument call, so concurrent analyses create only one document
+let creatingDocument = null;
+
+// Main text of a fetched policy page, with its heading structure
+export async function extractTextOffscreen(html, url) {
+  if (typeof chrome === 'undefined' || !chrome.offscreen) {
+    throw new Error('Offscreen documents not supported');
+  }
+
+  await ensureOffscreenDocument();
+
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type: 'EXTRACT_POLICY_TEXT',
+    html,
+    url
+  });
+
+  if (!response?.success) {
+    throw new Error(response?.error || 'No response from offscreen document');
+  }
+
+  return response.text;
+}
+
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+
+  if (!creatingDocument) {
+    creatingDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_PATH,
+      reasons: [chrome.offscreen.Reason.DOM_PARSER],
+      justification: 'Extract the main text of fetched privacy policies'
+    }).finally(() => {
+      creatingDocument = null;
+    });
+  }
+
+  await creatingDocument;
+}
+
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_PATH)]
+  });
+
+  return contexts.length > 0;
+}
@@ -0,0 +1,110 @@
+// Page Renderer - Loads JavaScript-only policy pages in a background tab
+// Single-page apps serve an empty shell to fetch(). Such pages are opened in a
+// non-focused tab; once the content script sees the DOM settle it returns the
+// rendered HTML and the tab is closed.
+
+export const RENDER_LIMITS = {
+  loadTimeoutMs: 15000, // Tab load, when the caller's signal has no earlier deadline
+  settleMs: 1000,       // DOM quiet period that counts as rendered
+  maxWaitMs: 8000       // Longest wait for the DOM to settle after load
+};
+
+// Shells carry almost no text of their own
+const MAX_SHELL_TEXT_LENGTH = 500;
+
+// Mount points and hints of client-side rendering frameworks
+const SHELL_MARKERS = /<div[^>]+id=["'](root|app|__next|__nuxt|svelte)["'][^>]*>\s*<\/div>|ng-app|ng-version|data-reactroot|__NEXT_DATA__|enable javascript|requires javascript/i;
+
+// Tabs opened for rendering; auto-scan and the request monitor leave them alone
+const renderTabs = new Set();
+
+// Whether fetched HTML is a client-rendered shell: little text, and scripts that
+// build the page
+export function looksLikeScriptShell(html, text) {
+  if (!html || (text || '').trim().length >= MAX_SHELL_TEXT_LENGTH) return false;
+
+  return /<script\b/i.test(html) || SHELL_MARKERS.test(html);
+}
+
+export function isRenderTab(tabId) {
+  return renderTabs.has(tabId);
+}
+
+// Rendered HTML of url. Aborting signal closes the tab and rejects.
+export async function renderPolicyPage(url, signal) {
+  signal?.throwIfAborted();
+
+  // The tab is registered before it navigates, so none of the page's requests
+  // are taken for a tab the user opened
+  const tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+  renderTabs.add(tab.id);
+
+  const closeTab = () => chrome.tabs.remove(tab.id).catch(() => {});
+  signal?.addEventListener('abort', closeTab, { once: true });
+
+  try {
+    const loaded = waitForTabLoad(tab.id, signal);
+    await chrome.tabs.update(tab.id, { url });
+    await loaded;
+
+    const response = await sendWhenReady(tab.id, {
+      type: 'GET_RENDERED_HTML',
+      settleMs: RENDER_LIMITS.settleMs,
+      maxWaitMs: RENDER_LIMITS.maxWaitMs
+    });
+    signal?.throwIfAborted();
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from rendered page');
+    }
+
+    console.log(`Rendered ${url} (${response.data.html.length} characters of HTML)`);
+    return response.data.html;
+
+  } finally {
+    signal?.removeEventListener('abort', closeTab);
+    await closeTab();
+    renderTabs.delete(tab.id);
+  }
+}
+
+function waitForTabLoad(tabId, signal) {
+  return new Promise((resolve, reject) => {
+    const done = (error) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      signal?.removeEventListener('abort', onAbort);
+      error ? reject(error) : resolve();
+    };
+
+    // The blank page the tab was created with does not count
+    const isLoaded = (tab) => tab.status === 'complete' && tab.url !== 'about:blank';
+
+    const onUpdated = (updatedId, changeInfo, tab) => {
+      if (updatedId === tabId && changeInfo.status === 'complete' && isLoaded(tab)) done();
+    };
+    const onAbort = () => done(signal.reason);
+    const timer = setTimeout(() => done(new Error('Rendered page did not load in time')), RENDER_LIMITS.loadTimeoutMs);
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    // The tab may have finished loading before the listener was added
+    chrome.tabs.get(tabId).then(tab => {
+      if (isLoaded(tab)) done();
+    }, done);
+  });
+}
+
+// The content script is injected at document_idle, which can come after the
+// tab reports complete; retry briefly until it answers
+async function sendWhenReady(tabId, message, attempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+      if (attempt >= attempts || !/receiving end does not exist/i.test(error.message)) throw error;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+}
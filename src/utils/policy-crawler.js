@@ -0,0 +1,302 @@
+// Policy Crawler - Fetches the policy pages a site links to
+// Sites often split their policy into a privacy notice, a cookie policy, a US state
+// (CCPA) supplement and terms of service. The top candidate links are fetched within
+// a page, byte and time budget, checked to really be policies, labeled by type and
+// stripped of repeated text.
+
+import { getAllLinkKeywords } from './language.js';
+import { scorePolicyText } from './policy-verifier.js';
+import { looksLikeScriptShell } from './page-renderer.js';
+
+export const POLICY_DOCUMENT_TYPES = {
+  PRIVACY: 'privacy',
+  COOKIE: 'cookie',
+  CCPA: 'ccpa',
+  TERMS: 'terms',
+  OTHER: 'other'
+};
+
+export const DOCUMENT_LABELS = {
+  privacy: 'Privacy policy',
+  cookie: 'Cookie policy',
+  ccpa: 'US state privacy notice (CCPA)',
+  terms: 'Terms of service',
+  other: 'Legal page'
+};
+
+export const CRAWL_LIMITS = {
+  maxPages: 4,          // Policy pages kept, highest priority first
+  maxAttempts: 8,       // Candidate links fetched, including pages rejected as non-policies
+  maxBytes: 1500000,    // Total HTML downloaded; a page that would cross the limit is cut off and skipped
+  timeoutMs: 30000      // Whole crawl, including pages rendered in a tab; pages fetched by then are kept
+};
+
+// Repeated sentences shorter than this (headings, "Contact us") are kept
+const MIN_DEDUP_LENGTH = 40;
+
+// Documents with less unique text than this are dropped as duplicates
+const MIN_DOCUMENT_LENGTH = 100;
+
+const LINK_KEYWORDS = getAllLinkKeywords();
+
+// Names of the policy itself ("privacy policy", "Datenschutzerklärung"), which win
+// over cookie and terms words in the same label ("Privacy and Cookie Policy")
+const POLICY_NAMES = [...LINK_KEYWORDS.policy, 'privacy-policy', 'privacy_policy'];
+const PRIVACY_WORDS = [...LINK_KEYWORDS.general, ...LINK_KEYWORDS.url];
+
+const CCPA_PATTERN = /ccpa|cpra|california|do[- ]not[- ]sell|privacy[- ]choices|us[- ]state|state[- ]privacy/i;
+const COOKIE_PATTERN = /cookie/i;
+const TERMS_PATTERN = /terms|conditions|\btos\b|nutzungsbedingungen|\bagb\b|conditions[- ]g[ée]n[ée]rales|t[ée]rminos|condizioni|voorwaarden|villkor|regulamin/i;
+
+// Type of a fetched page from its link text and URL, then from the start of its text
+export function classifyDocument(url, linkText = '', text = '') {
+  const linkLabel = `${linkText} ${safePathname(url)}`;
+  const fromLink = matchDocumentType(linkLabel);
+  if (fromLink) return fromLink;
+
+  return matchDocumentType(text.slice(0, 300)) || POLICY_DOCUMENT_TYPES.OTHER;
+}
+
+// Fetch candidate links ({ url, text, priority } from the content script) until
+// limits.maxPages of them turn out to be policy pages; a login wall or error page
+// is skipped for the next candidate. options.extractText(html, url) turns a page
+// into text (the worker passes the offscreen DOM extractor); without it, or when it
+// fails, the regex conversion is used. options.fetchPage(url, signal, maxBytes) resolves
+// with the HTML, or { text, bytes } with the bytes downloaded, and rejects pages larger
+// than the byte budget left. options.renderPage(url, signal) loads pages
+// that turn out to be JavaScript shells and returns their rendered HTML. Resolves with
+// { documents: [{ url, type, text, score }], skipped: [{ url, reason }] }.
+// Aborting signal rejects; running out of time or bytes just ends the crawl.
+export async function crawlPolicyPages(links, options = {}) {
+  const { signal, fetchPage = fetchPageHTML, extractText = null, renderPage = null } = options;
+  const limits = { ...CRAWL_LIMITS, ...options.limits };
+
+  const candidates = selectCandidates(links, limits.maxAttempts);
+  const documents = [];
+  const skipped = [];
+  const deadline = Date.now() + limits.timeoutMs;
+  let bytes = 0;
+
+  for (const link of candidates) {
+    signal?.throwIfAborted();
+    if (documents.length >= limits.maxPages) break;
+
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0 || bytes >= limits.maxBytes) {
+      skipped.push({ url: link.url, reason: remainingMs <= 0 ? 'time budget' : 'byte budget' });
+      continue;
+    }
+
+    try {
+      const page = await fetchPage(link.url, anySignal(signal, remainingMs), limits.maxBytes - bytes);
+      const html = typeof page === 'string' ? page : page.text;
+      bytes += typeof page === 'string' ? byteLength(page) : page.bytes;
+
+      let text = await extractPageText(html, link.url, extractText);
+
+      if (renderPage && looksLikeScriptShell(html, text)) {
+        console.log(`Policy page ${link.url} is rendered by JavaScript, loading it in a tab`);
+        const rendered = await renderPage(link.url, anySignal(signal, deadline - Date.now()));
+        bytes += byteLength(rendered);
+        text = await extractPageText(rendered, link.url, extractText);
+      }
+
+      const verdict = scorePolicyText(text);
+      if (!verdict.isPolicy) {
+        console.log(`Not a policy page (score ${verdict.score}, ${verdict.reasons.join(', ')}): ${link.url}`);
+        skipped.push({ url: link.url, reason: `not a policy page: ${verdict.reasons.join(', ')}` });
+        continue;
+      }
+
+      documents.push({
+        url: link.url,
+        type: classifyDocument(link.url, link.text, text),
+        text,
+        score: verdict.score
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.log(`Could not fetch policy page ${link.url}:`, error.message);
+      skipped.push({ url: link.url, reason: error.message });
+    }
+  }
+
+  return { documents: removeDuplicateText(documents, skipped), skipped };
+}
+
+// URL of the page the analysis is based on: the first privacy policy, else the
+// first page kept; null when no page was kept
+export function getPolicySource(documents) {
+  const primary = (documents || []).find(doc => doc.type === POLICY_DOCUMENT_TYPES.PRIVACY) ||
+    documents?.[0];
+  return primary ? primary.url : null;
+}
+
+// One labeled text for the whole policy, in crawl order
+export function buildPolicyText(documents) {
+  return documents
+    .map(doc => `${DOCUMENT_LABELS[doc.type] || DOCUMENT_LABELS.other} (${doc.url}):\n${doc.text}`)
+    .join('\n\n');
+}
+
+// Text of the documents of the given types, or null when there are none
+export function selectDocumentText(documents, types) {
+  const selected = (documents || []).filter(doc => types.includes(doc.type));
+  return selected.length > 0 ? buildPolicyText(selected) : null;
+}
+
+// Basic HTML to text conversion, for when no DOM is available (service workers
+// have no DOMParser)
+export function htmlToPlainText(html) {
+  return html
+    .replace(/<script[^>]*>.*?<\/script>/gis, '')
+    .replace(/<style[^>]*>.*?<\/style>/gis, '')
+    .replace(/<noscript[^>]*>.*?<\/noscript>/gis, '')
+    .replace(/<[^>]*>/g, ' ') // Remove all HTML tags
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ') // Normalize whitespace
+    .trim();
+}
+
+function matchDocumentType(label) {
+  const lower = label.toLowerCase();
+
+  if (CCPA_PATTERN.test(lower)) return POLICY_DOCUMENT_TYPES.CCPA;
+  if (POLICY_NAMES.some(name => lower.includes(name))) return POLICY_DOCUMENT_TYPES.PRIVACY;
+  if (COOKIE_PATTERN.test(lower)) return POLICY_DOCUMENT_TYPES.COOKIE;
+  if (TERMS_PATTERN.test(lower)) return POLICY_DOCUMENT_TYPES.TERMS;
+  if (PRIVACY_WORDS.some(word => lower.includes(word))) return POLICY_DOCUMENT_TYPES.PRIVACY;
+
+  return null;
+}
+
+// Highest priority links first, one per page (fragments point into the same page)
+function selectCandidates(links, maxPages) {
+  const seen = new Set();
+
+  return (links || [])
+    .map(link => (typeof link === 'string' ? { url: link, text: '', priority: 0 } : link))
+    .filter(link => link?.url)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+    .map(link => ({ ...link, url: link.url.split('#')[0] }))
+    .filter(link => !seen.has(link.url) && seen.add(link.url))
+    .slice(0, maxPages);
+}
+
+// Drop sentences an earlier document (or earlier in the same one) already had,
+// e.g. a shared header or a policy reachable under two URLs. Line breaks between
+// headings and paragraphs are kept.
+function removeDuplicateText(documents, skipped) {
+  const seen = new Set();
+
+  const isNew = (sentence) => {
+    const key = sentence.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (key.length < MIN_DEDUP_LENGTH) return true;
+    if (seen.has(key)) return false;
+
+    seen.add(key);
+    return true;
+  };
+
+  return documents.filter(doc => {
+    doc.text = doc.text
+      .split('\n')
+      .map(line => line.split(/(?<=[.!?])[ \t]+/).filter(isNew).join(' '))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    if (doc.text.length < MIN_DOCUMENT_LENGTH) {
+      skipped.push({ url: doc.url, reason: 'duplicate or empty' });
+      return false;
+    }
+
+    return true;
+  });
+}
+
+// DOM-based extraction when the caller provides one, else the regex conversion
+async function extractPageText(html, url, extractText) {
+  if (extractText) {
+    try {
+      const text = await extractText(html, url);
+      if (text) return text;
+    } catch (error) {
+      console.warn(`DOM extraction failed for ${url}, using plain conversion:`, error.message);
+    }
+  }
+
+  return htmlToPlainText(html);
+}
+
+// Body of a fetch response as { text, bytes }, downloading at most maxBytes. A larger
+// declared or actual length cancels the download and rejects, so one huge page cannot
+// exhaust memory.
+export async function readResponseText(response, maxBytes = Infinity) {
+  if (!Number.isFinite(maxBytes)) {
+    const body = await response.arrayBuffer();
+    return { text: new TextDecoder().decode(body), bytes: body.byteLength };
+  }
+
+  const tooLarge = () => new Error(`larger than the byte budget (${maxBytes} bytes)`);
+
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    response.body?.cancel().catch(() => {});
+    throw tooLarge();
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    received += value.byteLength;
+    if (received > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw tooLarge();
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+
+  return { text: text + decoder.decode(), bytes: received };
+}
+
+// UTF-8 size of text, for pages whose download size is not known
+function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+async function fetchPageHTML(url, signal, maxBytes) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType && !/text\/(html|plain)|xhtml/i.test(contentType)) {
+    throw new Error(`Unsupported content type ${contentType}`);
+  }
+
+  return await readResponseText(response, maxBytes);
+}
+
+// The caller's signal combined with a timeout
+function anySignal(signal, timeoutMs) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+function safePathname(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname);
+  } catch (error) {
+    return url || '';
+  }
+}
@@ -0,0 +1,182 @@
+// Policy Discovery - Finds policy pages the current page does not link to
+// Landing and checkout pages often have no footer. Candidates come from common
+// policy paths, the sitemap and the homepage footer, on the page's origin and its
+// registrable domain, ranked like links found on the page.
+
+import { isPrivacyLink, getLinkPriority } from './privacy-scraper.js';
+import { getRegistrableDomain } from './site-domain.js';
+import { readResponseText } from './policy-crawler.js';
+
+// Paths sites commonly serve their policy under, most common first
+export const WELL_KNOWN_POLICY_PATHS = [
+  '/privacy',
+  '/privacy-policy',
+  '/legal/privacy',
+  '/legal/privacy-policy',
+  '/policies/privacy',
+  '/privacy-notice',
+  '/datenschutz',
+  '/cookie-policy'
+];
+
+export const DISCOVERY_LIMITS = {
+  timeoutMs: 8000,          // All probes together
+  maxSitemapBytes: 2000000, // Larger sitemaps are not searched (nor downloaded in full)
+  maxHomepageBytes: 2000000, // Larger homepages are not searched
+  maxCandidates: 8
+};
+
+// Candidate policy links ({ url, text, priority, source }) for the site of pageUrl,
+// highest priority first. exclude lists URLs already tried.
+export async function discoverPolicyLinks(pageUrl, options = {}) {
+  const { signal, exclude = [], fetchPage = fetchText, probePath = probeURL } = options;
+  const limits = { ...DISCOVERY_LIMITS, ...options.limits };
+
+  let page;
+  try {
+    page = new URL(pageUrl);
+  } catch (error) {
+    return [];
+  }
+
+  const probeSignal = anySignal(signal, limits.timeoutMs);
+  const origins = getSiteOrigins(page);
+
+  // Probes run side by side; one failing or timing out does not stop the others
+  const settle = (promise) => promise.catch(error => {
+    if (signal?.aborted) throw error;
+    return [];
+  });
+
+  const results = await Promise.all(origins.flatMap(origin => [
+    ...WELL_KNOWN_POLICY_PATHS.map(path => settle(probeWellKnownPath(origin, path, probePath, probeSignal))),
+    settle(searchSitemap(origin, fetchPage, probeSignal, limits)),
+    settle(searchHomepageFooter(origin, page, fetchPage, probeSignal, limits))
+  ]));
+
+  const excluded = new Set(exclude.map(link => (typeof link === 'string' ? link : link.url)));
+  const seen = new Set();
+
+  const candidates = results
+    .flat()
+    .filter(link => !excluded.has(link.url) && !seen.has(link.url) && seen.add(link.url))
+    .map(link => ({ ...link, priority: getLinkPriority(link.url, link.text, page.hostname) }))
+    .sort((a, b) => b.priority - a.priority)
+    .slice(0, limits.maxCandidates);
+
+  console.log(`Discovered ${candidates.length} policy candidate(s) for ${page.hostname}:`, candidates.map(c => c.url));
+  return candidates;
+}
+
+// The page's origin and, when different, the origin of its registrable domain
+// ("shop.example.com" -> "https://example.com")
+export function getSiteOrigins(page) {
+  const origins = [page.origin];
+  const registrable = getRegistrableDomain(page.hostname);
+
+  if (registrable && registrable !== page.hostname) {
+    origins.push(`${page.protocol}//${registrable}`);
+  }
+
+  return origins;
+}
+
+// A path counts when it answers without redirecting back to the homepage (many
+// sites send unknown paths to "/")
+async function probeWellKnownPath(origin, path, probePath, signal) {
+  const finalUrl = await probePath(`${origin}${path}`, signal);
+  if (!finalUrl) return [];
+
+  const url = new URL(finalUrl);
+  if (url.pathname === '/' || url.pathname === '') return [];
+
+  return [{ url: url.href, text: '', source: 'well-known path' }];
+}
+
+// Policy URLs listed in sitemap.xml (<loc> entries with a policy word in them)
+async function searchSitemap(origin, fetchPage, signal, limits) {
+  const xml = await fetchPage(`${origin}/sitemap.xml`, signal, limits.maxSitemapBytes);
+  if (!xml || xml.length > limits.maxSitemapBytes) return [];
+
+  const links = [];
+  for (const match of xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)) {
+    // <loc> text is whatever the site wrote; only well-formed http(s) URLs are kept
+    let url;
+    try {
+      url = new URL(decodeEntities(match[1])).href;
+    } catch (error) {
+      continue;
+    }
+
+    if (/^https?:/.test(url) && !/\.xml(\.gz)?$/i.test(url) && isPrivacyLink(safePath(url))) {
+      links.push({ url, text: '', source: 'sitemap' });
+    }
+  }
+
+  return links;
+}
+
+// Policy links in the homepage footer (the whole homepage when it has no <footer>)
+async function searchHomepageFooter(origin, page, fetchPage, signal, limits) {
+  const homepage = `${origin}/`;
+  if (page.href === homepage) return [];
+
+  const html = await fetchPage(homepage, signal, limits.maxHomepageBytes);
+  if (!html) return [];
+
+  const footer = html.match(/<footer[\s\S]*?<\/footer>/i)?.[0] || html;
+  const links = [];
+
+  for (const match of footer.matchAll(/<a\b[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    const text = decodeEntities(match[2].replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim().toLowerCase();
+
+    let url;
+    try {
+      url = new URL(decodeEntities(match[1]), homepage).href;
+    } catch (error) {
+      continue;
+    }
+
+    if (/^https?:/.test(url) && isPrivacyLink(safePath(url), text)) {
+      links.push({ url, text, source: 'homepage footer' });
+    }
+  }
+
+  return links;
+}
+
+// URL the path ends up at, or null when it does not exist
+async function probeURL(url, signal) {
+  const response = await fetch(url, { method: 'HEAD', redirect: 'follow', signal });
+  return response.ok ? response.url || url : null;
+}
+
+// Response text, or null for error statuses; bodies over maxBytes reject
+async function fetchText(url, signal, maxBytes) {
+  const response = await fetch(url, { signal });
+  return response.ok ? (await readResponseText(response, maxBytes)).text : null;
+}
+
+// Path and query only, so the host name ("privacy.example.com") does not match
+function safePath(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&nbsp;/g, ' ');
+}
+
+// The caller's signal combined with a timeout
+function anySignal(signal, timeoutMs) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
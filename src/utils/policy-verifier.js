@@ -0,0 +1,83 @@
+// Policy Verifier - Scores how likely a fetched page is a privacy policy
+// Link patterns such as "legal", "terms" or "cookies" also lead to login walls,
+// error pages and marketing pages. Pages scoring below the threshold are not
+// analyzed as the policy.
+
+import { getAllPolicyTextKeywords, getAllLinkKeywords } from './language.js';
+
+// Lowest score accepted as a policy page
+export const POLICY_SCORE_THRESHOLD = 0.6;
+
+// Shorter pages are error pages, redirects or link hubs, not policies
+const MIN_POLICY_LENGTH = 300;
+
+const POLICY_KEYWORDS = getAllPolicyTextKeywords();
+const POLICY_NAMES = getAllLinkKeywords().policy;
+
+// Text of pages that stand in for the requested one
+const NON_POLICY_PATTERNS = [
+  { reason: 'error page', pattern: /\b404\b|page not found|not found|seite nicht gefunden|page introuvable|página no encontrada|pagina non trovata/i },
+  { reason: 'login page', pattern: /\bsign in\b|\blog ?in\b|forgot (your )?password|\banmelden\b|se connecter|iniciar sesión|\baccedi\b|inloggen/i },
+  { reason: 'access denied', pattern: /access denied|forbidden|are you a robot|verify you are human|enable javascript/i }
+];
+
+// Score text from 0 (certainly not a policy) to 1. Returns
+// { score, isPolicy, keywords, reasons }; reasons explain a rejection.
+export function scorePolicyText(text) {
+  const content = (text || '').slice(0, 50000);
+  const lower = content.toLowerCase();
+  const reasons = [];
+
+  if (content.length < MIN_POLICY_LENGTH) {
+    return { score: 0, isPolicy: false, keywords: [], reasons: ['too short'] };
+  }
+
+  // Breadth: how many different policy topics are mentioned. A keyword inside
+  // another one found ("privacy" in "privacy policy") is not a new topic, so a
+  // footer linking "Privacy Policy | Cookies" stays at two.
+  const found = POLICY_KEYWORDS.filter(keyword => lower.includes(keyword));
+  const keywords = found.filter(keyword =>
+    !found.some(other => other !== keyword && other.includes(keyword)));
+  const breadth = Math.min(keywords.length / 6, 1);
+
+  // Density: keyword mentions per 1000 characters, so a long marketing page that
+  // mentions cookies once in its footer does not pass
+  const mentions = keywords.reduce((total, keyword) => total + countOccurrences(lower, keyword), 0);
+  const density = Math.min(mentions / (content.length / 1000) / 2, 1);
+
+  const length = Math.min(content.length / 2000, 1);
+
+  // Policies name themselves in their title ("Privacy Policy", "Datenschutzerklärung")
+  const titled = POLICY_NAMES.some(name => lower.slice(0, 150).includes(name));
+
+  let score = 0.6 * breadth + 0.25 * density + 0.15 * length + (titled ? 0.15 : 0);
+
+  // Stand-in markers only count on pages that say little about privacy
+  if (keywords.length < 4) {
+    NON_POLICY_PATTERNS.forEach(({ reason, pattern }) => {
+      if (pattern.test(content.slice(0, 2000))) {
+        reasons.push(reason);
+        score -= 0.25;
+      }
+    });
+  }
+
+  score = Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+
+  const isPolicy = score >= POLICY_SCORE_THRESHOLD;
+  if (!isPolicy && reasons.length === 0) reasons.push('few privacy terms');
+
+  return { score, isPolicy, keywords, reasons: isPolicy ? [] : reasons };
+}
+
+function countOccurrences(text, keyword) {
+  let count = 0;
+  let index = text.indexOf(keyword);
+
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(keyword, index + keyword.length);
+  }
+
+  return count;
+}
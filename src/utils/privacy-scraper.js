@@ -1,6 +1,12 @@
 // Privacy Policy Scraper Utilities
 // Finds and extracts privacy policy content from web pages
 
+import { getAllLinkKeywords, getPolicyTextKeywords } from './language.js';
+import { isSameSite } from './site-domain.js';
+
+// Localized policy link keywords (German, French, Spanish, ...)
+const LOCALIZED_LINK_KEYWORDS = getAllLinkKeywords();
+
 // Common privacy policy link patterns
 const PRIVACY_PATTERNS = [
   'privacy',
@@ -17,34 +23,41 @@ const PRIVACY_PATTERNS = [
   'terms-and-conditions',
   'legal',
   'gdpr',
-  'ccpa'
+  'ccpa',
+  ...LOCALIZED_LINK_KEYWORDS.policy,
+  ...LOCALIZED_LINK_KEYWORDS.general,
+  ...LOCALIZED_LINK_KEYWORDS.url
 ];
 
+// Priority added to links on the page's own site (content-script.js adds the same)
+export const SAME_SITE_LINK_BONUS = 3;
+
+// Upper bound on stored policy text. The AI client splits long policies into
+// chunks, so this only guards against pathological pages.
+const MAX_POLICY_LENGTH = 300000;
+
 // Find privacy policy links on the current page
 export function findPrivacyPolicyLinks() {
   const links = [];
   const currentDomain = window.location.hostname;
 
-  // Get all links on the page
-  const allLinks = document.querySelectorAll('a[href]');
+  // Links in the page, its open shadow roots and its same-origin frames
+  const allLinks = collectLinkRoots(document).flatMap(({ root, foundIn }) =>
+    Array.from(root.querySelectorAll('a[href]'), link => ({ link, foundIn })));
 
-  allLinks.forEach(link => {
+  allLinks.forEach(({ link, foundIn }) => {
     const href = link.getAttribute('href');
     if (!href) return;
 
     const linkText = link.textContent.toLowerCase().trim();
-    const linkUrl = href.toLowerCase();
 
     // Check if link matches privacy patterns
-    const isPrivacyLink = PRIVACY_PATTERNS.some(pattern => {
-      return linkText.includes(pattern) || linkUrl.includes(pattern);
-    });
-
-    if (isPrivacyLink) {
+    if (isPrivacyLink(href, linkText)) {
       // Convert relative URLs to absolute
       let absoluteUrl;
       try {
-        absoluteUrl = new URL(href, window.location.href).href;
+        // Relative to the link's own document (frames have their own URL)
+        absoluteUrl = new URL(href, link.baseURI || window.location.href).href;
       } catch (e) {
         return; // Skip invalid URLs
       }
@@ -54,14 +67,21 @@ export function findPrivacyPolicyLinks() {
       links.push({
         url: absoluteUrl,
         text: linkText,
-        isSameDomain: linkDomain === currentDomain,
-        element: getElementSelector(link)
+        isSameDomain: isSameSite(linkDomain, currentDomain),
+        element: getElementSelector(link),
+        foundIn
       });
     }
   });
 
-  // Sort by relevance (same domain first, then by privacy relevance)
+  // Policies the page declares in its head (<link rel="privacy-policy" href="...">)
+  const declaredLinks = findDeclaredPolicyLinks(document, currentDomain);
+
+  // Sort by relevance (declared policies first, then same domain, then by privacy relevance)
+  links.unshift(...declaredLinks);
   links.sort((a, b) => {
+    if (!!a.declared !== !!b.declared) return a.declared ? -1 : 1;
+
     // Same domain links first
     if (a.isSameDomain && !b.isSameDomain) return -1;
     if (!a.isSameDomain && b.isSameDomain) return 1;
@@ -89,12 +109,126 @@ export function findPrivacyPolicyLinks() {
   return uniqueLinks;
 }
 
+// Documents and shadow roots to search for links, each with where it sits: the
+// page, open shadow roots of web components, and same-origin frames such as
+// consent managers. Closed shadow roots and cross-origin frames stay unreachable.
+export function collectLinkRoots(doc, maxFrameDepth = 3) {
+  const roots = [];
+
+  const visit = (root, foundIn, frameDepth) => {
+    roots.push({ root, foundIn });
+
+    root.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) visit(element.shadowRoot, 'shadow DOM', frameDepth);
+
+      if ((element.tagName === 'IFRAME' || element.tagName === 'FRAME') && frameDepth < maxFrameDepth) {
+        try {
+          // Throws or returns null for cross-origin frames
+          const frameDocument = element.contentDocument;
+          if (frameDocument?.documentElement) visit(frameDocument, 'iframe', frameDepth + 1);
+        } catch (e) {
+          // Cross-origin frame
+        }
+      }
+    });
+  };
+
+  visit(doc, 'page', 0);
+  return roots;
+}
+
+// Links declared with rel="privacy-policy" or rel="terms-of-service"
+function findDeclaredPolicyLinks(doc, currentDomain) {
+  const declared = [];
+
+  doc.querySelectorAll('link[rel~="privacy-policy" i][href], link[rel~="terms-of-service" i][href]').forEach(link => {
+    let absoluteUrl;
+    try {
+      absoluteUrl = new URL(link.getAttribute('href'), window.location.href).href;
+    } catch (e) {
+      return; // Skip invalid URLs
+    }
+
+    const isPolicy = /privacy-policy/i.test(link.getAttribute('rel'));
+
+    declared.push({
+      url: absoluteUrl,
+      text: isPolicy ? 'privacy policy' : 'terms of service',
+      isSameDomain: isSameSite(new URL(absoluteUrl).hostname, currentDomain),
+      foundIn: 'link rel',
+      declared: isPolicy
+    });
+  });
+
+  return declared;
+}
+
+// Whether a link's URL or text matches the privacy policy patterns
+export function isPrivacyLink(url, text = '') {
+  const linkUrl = (url || '').toLowerCase();
+  const linkText = text.toLowerCase();
+
+  return PRIVACY_PATTERNS.some(pattern => linkText.includes(pattern) || linkUrl.includes(pattern));
+}
+
+// Priority of a candidate policy link, as the content script ranks page links:
+// policy names first, then privacy terms, then legal pages, plus a same-site bonus
+export function getLinkPriority(url, text = '', currentDomain = '') {
+  const linkText = text.toLowerCase();
+  const lowerUrl = url.toLowerCase();
+  let priority = 0;
+
+  if (linkText.includes('privacy policy') || lowerUrl.includes('privacy-policy') ||
+      LOCALIZED_LINK_KEYWORDS.policy.some(term => linkText.includes(term))) {
+    priority += 10;
+  }
+
+  if (linkText.includes('privacy') || lowerUrl.includes('privacy') ||
+      LOCALIZED_LINK_KEYWORDS.general.some(term => linkText.includes(term)) ||
+      LOCALIZED_LINK_KEYWORDS.url.some(pattern => lowerUrl.includes(pattern))) {
+    priority += 5;
+  }
+
+  if (linkText.includes('legal') || lowerUrl.includes('legal')) {
+    priority += 1;
+  }
+
+  try {
+    if (isSameSite(new URL(url).hostname, currentDomain)) priority += SAME_SITE_LINK_BONUS;
+  } catch (error) {
+    // Relative or invalid URL, no same-site bonus
+  }
+
+  return priority;
+}
+
+// Links from the content script, whose same-site check cannot use the Public
+// Suffix List, with isSameDomain and the same-site bonus redone by registrable
+// domain, highest priority first. Declared <link rel> policies keep their priority.
+export function recheckSameSiteLinks(links, pageHostname) {
+  return (links || [])
+    .map(link => {
+      let isSameDomain = false;
+      try {
+        isSameDomain = isSameSite(new URL(link.url).hostname, pageHostname);
+      } catch (error) {
+        // Invalid URL, not same site
+      }
+
+      if (isSameDomain === !!link.isSameDomain) return link;
+
+      const bonus = link.foundIn === 'link rel' ? 0 : SAME_SITE_LINK_BONUS;
+      return { ...link, isSameDomain, priority: (link.priority || 0) + (isSameDomain ? bonus : -bonus) };
+    })
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
 // Calculate privacy relevance score for sorting
 function getPrivacyRelevanceScore(text, url) {
   let score = 0;
 
   // High priority terms
-  const highPriorityTerms = ['privacy policy', 'privacy-policy', 'data protection'];
+  const highPriorityTerms = ['privacy policy', 'privacy-policy', 'data protection', ...LOCALIZED_LINK_KEYWORDS.policy];
   highPriorityTerms.forEach(term => {
     if (text.includes(term) || url.includes(term)) {
       score += 10;
@@ -102,7 +236,7 @@ function getPrivacyRelevanceScore(text, url) {
   });
 
   // Medium priority terms
-  const mediumPriorityTerms = ['privacy', 'cookie', 'data'];
+  const mediumPriorityTerms = ['privacy', 'cookie', 'data', ...LOCALIZED_LINK_KEYWORDS.general, ...LOCALIZED_LINK_KEYWORDS.url];
   mediumPriorityTerms.forEach(term => {
     if (text.includes(term) || url.includes(term)) {
       score += 5;
@@ -120,8 +254,8 @@ function getPrivacyRelevanceScore(text, url) {
   return score;
 }
 
-// Fetch privacy policy text from URL
-export async function fetchPolicyText(url) {
+// Fetch privacy policy text from URL, preferring the user's UI language
+export async function fetchPolicyText(url, language = 'en') {
   try {
     console.log(`Fetching privacy policy from: ${url}`);
 
@@ -129,7 +263,7 @@ export async function fetchPolicyText(url) {
       method: 'GET',
       headers: {
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Language': language === 'en' ? 'en-US,en;q=0.5' : `${language},en;q=0.5`,
         'Cache-Control': 'no-cache'
       }
     });
@@ -147,73 +281,118 @@ export async function fetchPolicyText(url) {
   }
 }
 
-// Extract clean text from HTML content
+// Elements that never hold policy text: chrome, consent banners and hidden content
+const UNWANTED_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'nav', 'header', 'footer',
+  '.navigation', '.menu', '.sidebar', '.advertisement',
+  '.ad', '.cookie-banner', '.cookie-notice', '.cookie-consent',
+  '#onetrust-consent-sdk', '#CybotCookiebotDialog', '#usercentrics-root', '.cc-window',
+  '[role="dialog"]', '[hidden]', '[aria-hidden="true"]',
+  '[style*="display:none"]', '[style*="display: none"]',
+  '[style*="visibility:hidden"]', '[style*="visibility: hidden"]'
+];
+
+// Main content containers, most specific last
+const CONTENT_SELECTORS = [
+  'main',
+  'article',
+  '[role="main"]',
+  '.content',
+  '.main-content',
+  '.policy-content',
+  '.privacy-policy',
+  '.legal-content',
+  '#content',
+  '#main'
+];
+
+// A content container with less text than this is a teaser, not the policy
+const MIN_CONTENT_LENGTH = 500;
+
+// Elements that start a new line in the extracted text
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+  'FIGCAPTION', 'FIGURE', 'FORM', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION',
+  'SUMMARY', 'TABLE', 'TBODY', 'THEAD', 'TR', 'UL'
+]);
+
+// Extract clean text from HTML content. Headings are kept as "## Heading" lines
+// and blocks as separate lines, so the policy's sections survive.
 export function extractTextFromHTML(html) {
   // Create a temporary DOM parser
   const parser = new DOMParser();
   const doc = parser.parseFromString(html, 'text/html');
 
   // Remove unwanted elements
-  const unwantedSelectors = [
-    'script', 'style', 'nav', 'header', 'footer',
-    '.navigation', '.menu', '.sidebar', '.advertisement',
-    '.ad', '.cookie-banner', '.cookie-notice'
-  ];
-
-  unwantedSelectors.forEach(selector => {
+  UNWANTED_SELECTORS.forEach(selector => {
     const elements = doc.querySelectorAll(selector);
     elements.forEach(el => el.remove());
   });
 
-  // Try to find main content areas
-  const contentSelectors = [
-    'main',
-    'article',
-    '[role="main"]',
-    '.content',
-    '.main-content',
-    '.policy-content',
-    '.privacy-policy',
-    '.legal-content',
-    '#content',
-    '#main'
-  ];
+  // Look for a main content container with real content in it
+  const content = CONTENT_SELECTORS
+    .map(selector => doc.querySelector(selector))
+    .find(element => element && element.textContent.trim().length >= MIN_CONTENT_LENGTH);
 
-  let contentText = '';
+  // Fall back to body if no main content found
+  const root = content || doc.body;
 
-  // Look for main content containers
-  for (const selector of contentSelectors) {
-    const element = doc.querySelector(selector);
-    if (element) {
-      contentText = element.textContent || '';
-      break;
+  // Clean up the text
+  return root ? cleanPolicyText(getStructuredText(root)) : '';
+}
+
+// Text of an element with a line per block and markdown-style headings
+function getStructuredText(root) {
+  const parts = [];
+
+  const walk = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      parts.push(node.textContent);
+      return;
     }
-  }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
 
-  // Fall back to body if no main content found
-  if (!contentText) {
-    contentText = doc.body?.textContent || '';
-  }
+    const tag = node.tagName;
 
-  // Clean up the text
-  return cleanPolicyText(contentText);
+    if (/^H[1-6]$/.test(tag)) {
+      const heading = node.textContent.replace(/\s+/g, ' ').trim();
+      if (heading) parts.push(`\n\n${'#'.repeat(Number(tag[1]))} ${heading}\n`);
+      return;
+    }
+
+    const block = BLOCK_TAGS.has(tag);
+    if (block) parts.push('\n');
+    if (tag === 'LI') parts.push('- ');
+
+    node.childNodes.forEach(walk);
+
+    if (block) parts.push('\n');
+    // Table cells share their row's line
+    else if (tag === 'TD' || tag === 'TH') parts.push(' ');
+  };
+
+  walk(root);
+  return parts.join('');
 }
 
-// Clean and normalize policy text
+// Clean and normalize policy text, keeping line breaks between blocks
 function cleanPolicyText(text) {
   return text
-    // Normalize whitespace
-    .replace(/\s+/g, ' ')
+    .split('\n')
+    // Normalize whitespace within each line
+    .map(line => line.replace(/\s+/g, ' ')
+      // Remove extra spaces around punctuation
+      .replace(/\s+([.,;:!?])/g, '$1')
+      .trim())
+    .join('\n')
     // Remove multiple line breaks
-    .replace(/\n\s*\n\s*\n/g, '\n\n')
-    // Remove extra spaces around punctuation
-    .replace(/\s+([.,;:!?])/g, '$1')
+    .replace(/\n{3,}/g, '\n\n')
     // Clean up quotes
     .replace(/[""]/g, '"')
     .replace(/['']/g, "'")
-    // Trim and limit length
+    // Trim and limit length; long policies are chunked before analysis
     .trim()
-    .substring(0, 50000); // Limit to prevent token overflow
+    .substring(0, MAX_POLICY_LENGTH);
 }
 
 // Generate CSS selector for an element (for debugging/reference)
@@ -244,8 +423,9 @@ function getElementSelector(element) {
 }
 
 // Look for privacy-related content in page text
-export function findPrivacyTextInPage() {
+export function findPrivacyTextInPage(language = 'en') {
   const pageText = document.body.textContent || '';
+  const localizedKeywords = getPolicyTextKeywords(language);
 
   // Privacy-related patterns to search for
   const privacyPatterns = [
@@ -274,7 +454,8 @@ export function findPrivacyTextInPage() {
   const sentences = pageText.split(/[.!?]+/);
   const privacySentences = sentences.filter(sentence => {
     const lowerSentence = sentence.toLowerCase();
-    return privacyPatterns.some(pattern => pattern.test(lowerSentence));
+    return privacyPatterns.some(pattern => pattern.test(lowerSentence)) ||
+      localizedKeywords.some(keyword => lowerSentence.includes(keyword));
   });
 
   return {
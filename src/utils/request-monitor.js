@@ -0,0 +1,170 @@
+// Request Monitor - Third-party network requests observed per tab
+// Trackers that set no cookies readable by chrome.cookies still show up as requests.
+// The service worker feeds webRequest events in; each tab's requests to other
+// sites are grouped by registrable domain and resource type and checked against
+// the bundled tracker list. Counts are mirrored to chrome.storage.session so a
+// restarted worker still has them.
+
+import { getSiteKey, isSameSite } from './site-domain.js';
+import { classifyTracker } from './tracker-list.js';
+
+export const MONITOR_LIMITS = {
+  maxDomainsPerTab: 200, // Requests to further third-party domains are counted but not listed
+  saveDelayMs: 1000      // Request bursts are saved to session storage once
+};
+
+const TAB_KEY_PREFIX = 'requests_';
+
+// Create a monitor on a chrome.storage area (chrome.storage.session by default)
+export function createRequestMonitor(storage = chrome.storage.session) {
+  const tabs = new Map();
+  const saveTimers = new Map();
+  const keyFor = (tabId) => `${TAB_KEY_PREFIX}${tabId}`;
+
+  // A new top-level page starts a new record for the tab
+  function startPage(tabId, pageUrl) {
+    const host = safeHostname(pageUrl);
+    if (tabId < 0 || !host) return;
+
+    tabs.set(tabId, { pageUrl, site: getSiteKey(host), startedAt: Date.now(), unlistedRequests: 0, domains: {} });
+    scheduleSave(tabId);
+  }
+
+  // Record one webRequest event ({ tabId, url, type, frameId })
+  function recordRequest(details) {
+    if (details.tabId < 0) return;
+
+    if (details.type === 'main_frame') {
+      startPage(details.tabId, details.url);
+      return;
+    }
+
+    const tab = tabs.get(details.tabId);
+    const host = safeHostname(details.url);
+    if (!tab || !host || isSameSite(host, tab.site)) return;
+
+    const domain = getSiteKey(host);
+    let entry = tab.domains[domain];
+
+    if (!entry) {
+      if (Object.keys(tab.domains).length >= MONITOR_LIMITS.maxDomainsPerTab) {
+        tab.unlistedRequests++;
+        scheduleSave(details.tabId);
+        return;
+      }
+      entry = tab.domains[domain] = { requests: 0, types: {}, tracker: classifyTracker(host) };
+    }
+
+    entry.requests++;
+    entry.types[details.type] = (entry.types[details.type] || 0) + 1;
+    // A site's tracking host ("bat.bing.com") may not be the first one seen
+    if (!entry.tracker) entry.tracker = classifyTracker(host);
+
+    scheduleSave(details.tabId);
+  }
+
+  // Reload the tabs saved before the worker was stopped; tabs seen since win
+  async function restore() {
+    const items = await storage.get(null);
+
+    Object.entries(items).forEach(([key, tab]) => {
+      const tabId = Number(key.slice(TAB_KEY_PREFIX.length));
+      if (key.startsWith(TAB_KEY_PREFIX) && !tabs.has(tabId)) tabs.set(tabId, tab);
+    });
+  }
+
+  async function removeTab(tabId) {
+    tabs.delete(tabId);
+    clearTimeout(saveTimers.get(tabId));
+    saveTimers.delete(tabId);
+    await storage.remove(keyFor(tabId));
+  }
+
+  // Summary of the tab's third-party requests, or null when the tab has none on
+  // record or is now showing a different site than pageHostname:
+  // { pageUrl, thirdPartyRequests, thirdPartyDomains, unlistedRequests,
+  //   domains: [{ domain, requests, types, tracker }], trackers: [{ domain, company, category, requests }],
+  //   byCategory: { <category>: <tracker domains> } }
+  async function getSummary(tabId, pageHostname) {
+    if (tabId === undefined || tabId === null) return null;
+
+    let tab = tabs.get(tabId);
+    if (!tab) {
+      const items = await storage.get(keyFor(tabId));
+      tab = items[keyFor(tabId)];
+      if (!tab) return null;
+      tabs.set(tabId, tab);
+    }
+
+    if (pageHostname && !isSameSite(pageHostname, tab.site)) return null;
+
+    return summarize(tab);
+  }
+
+  function scheduleSave(tabId) {
+    if (saveTimers.has(tabId)) return;
+
+    saveTimers.set(tabId, setTimeout(() => {
+      saveTimers.delete(tabId);
+      const tab = tabs.get(tabId);
+      if (tab) {
+        storage.set({ [keyFor(tabId)]: tab })
+          .catch(error => console.warn(`Failed to save requests of tab ${tabId}:`, error));
+      }
+    }, MONITOR_LIMITS.saveDelayMs));
+  }
+
+  return { startPage, recordRequest, restore, removeTab, getSummary };
+}
+
+// Report shape of a summary (the cookies.network field of a result), or null when
+// the tab's requests were not recorded
+export function formatNetworkReport(summary) {
+  if (!summary) return null;
+
+  return {
+    third_party_requests: summary.thirdPartyRequests,
+    third_party_domains: summary.thirdPartyDomains,
+    trackers: summary.trackers,
+    domains: summary.domains.slice(0, 20).map(({ domain, requests, types }) => ({ domain, requests, types }))
+  };
+}
+
+function summarize(tab) {
+  const domains = Object.entries(tab.domains)
+    .map(([domain, entry]) => ({ domain, ...entry }))
+    .sort((a, b) => b.requests - a.requests);
+
+  const trackers = domains
+    .filter(entry => entry.tracker)
+    .map(entry => ({
+      domain: entry.domain,
+      company: entry.tracker.company,
+      category: entry.tracker.category,
+      requests: entry.requests
+    }));
+
+  const byCategory = {};
+  trackers.forEach(tracker => {
+    byCategory[tracker.category] = (byCategory[tracker.category] || 0) + 1;
+  });
+
+  return {
+    pageUrl: tab.pageUrl,
+    thirdPartyRequests: domains.reduce((total, entry) => total + entry.requests, 0) + tab.unlistedRequests,
+    thirdPartyDomains: domains.length,
+    unlistedRequests: tab.unlistedRequests,
+    domains,
+    trackers,
+    byCategory
+  };
+}
+
+function safeHostname(url) {
+  try {
+    const parsed = new URL(url);
+    return /^(https?|wss?):$/.test(parsed.protocol) ? parsed.hostname : null;
+  } catch (error) {
+    return null;
+  }
+}
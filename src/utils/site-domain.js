@@ -0,0 +1,108 @@
+// Site Domain - Registrable domains (eTLD+1) from the Public Suffix List
+// "shop.example.com" and "example.com" are the same site; "example.com.evil.net"
+// and "example.co.uk" vs "other.co.uk" are not. Cookie first/third-party checks,
+// same-site links, cache keys and the allow/block lists all compare sites this way.
+
+import { PUBLIC_SUFFIX_LIST } from './public-suffix-list.js';
+
+// Rules parsed on first use: { rules, wildcards, exceptions }
+let suffixRules = null;
+
+// Lowercase hostname without a cookie's leading dot or a trailing root dot
+export function normalizeHostname(hostname) {
+  return (hostname || '').trim().toLowerCase().replace(/^\.+/, '').replace(/\.+$/, '');
+}
+
+// Registrable domain of a hostname ("shop.example.co.uk" -> "example.co.uk"), or
+// null for IP addresses and hostnames that are themselves public suffixes
+// ("co.uk", "github.io")
+export function getRegistrableDomain(hostname) {
+  const host = normalizeHostname(hostname);
+  if (!host || isIPAddress(host)) return null;
+
+  const labels = host.split('.');
+  const suffixLength = getPublicSuffixLength(labels);
+  if (labels.length <= suffixLength) return null;
+
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+// Key a hostname is grouped under: its registrable domain, else the hostname itself
+// (IP addresses, "localhost")
+export function getSiteKey(hostname) {
+  return getRegistrableDomain(hostname) || normalizeHostname(hostname);
+}
+
+export function isSameSite(hostA, hostB) {
+  if (!hostA || !hostB) return false;
+  return getSiteKey(hostA) === getSiteKey(hostB);
+}
+
+// Whether a cookie (by its Domain attribute) belongs to a site other than the page's
+export function isThirdPartyDomain(cookieDomain, pageHostname) {
+  if (!cookieDomain) return false;
+  return !isSameSite(cookieDomain, pageHostname);
+}
+
+// Whether hostname is covered by an allow/block list entry. A registrable domain
+// ("example.com") covers the whole site; a longer entry ("shop.example.com") covers
+// that host and its subdomains. Public suffixes ("co.uk") match nothing.
+export function matchesSiteList(hostname, entries) {
+  const host = normalizeHostname(hostname);
+  if (!host || !Array.isArray(entries)) return false;
+
+  return entries.some(entry => {
+    const listed = normalizeHostname(entry);
+    if (!listed) return false;
+    if (listed === host) return true;
+
+    const registrable = getRegistrableDomain(listed);
+    if (!registrable) return false;
+
+    return registrable === listed
+      ? getRegistrableDomain(host) === registrable
+      : host.endsWith(`.${listed}`);
+  });
+}
+
+// Number of trailing labels forming the public suffix, following the list's
+// algorithm: exception rules win, then the longest matching rule, else the
+// implicit "*" rule (one label)
+function getPublicSuffixLength(labels) {
+  const { rules, wildcards, exceptions } = getSuffixRules();
+
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+
+    if (exceptions.has(candidate)) return labels.length - i - 1;
+    if (rules.has(candidate)) return labels.length - i;
+    if (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join('.'))) return labels.length - i;
+  }
+
+  return 1;
+}
+
+function getSuffixRules() {
+  if (suffixRules) return suffixRules;
+
+  suffixRules = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+
+  PUBLIC_SUFFIX_LIST.split('\n').forEach(line => {
+    const rule = line.trim();
+    if (!rule) return;
+
+    if (rule.startsWith('!')) {
+      suffixRules.exceptions.add(rule.slice(1));
+    } else if (rule.startsWith('*.')) {
+      suffixRules.wildcards.add(rule.slice(2));
+    } else {
+      suffixRules.rules.add(rule);
+    }
+  });
+
+  return suffixRules;
+}
+
+function isIPAddress(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':') || host.startsWith('[');
+}
@@ -0,0 +1,118 @@
+// Tracker List - Known tracking domains and the companies behind them
+// Keyed by registrable domain or a more specific host; requests to subdomains
+// ("stats.g.doubleclick.net") match their closest listed parent. CDNs and other
+// infrastructure are left out, so a third-party request alone is not a tracker.
+
+export const TRACKER_CATEGORIES = {
+  ADVERTISING: 'advertising',
+  ANALYTICS: 'analytics',
+  SOCIAL: 'social',
+  SESSION_RECORDING: 'session recording'
+};
+
+const { ADVERTISING, ANALYTICS, SOCIAL, SESSION_RECORDING } = TRACKER_CATEGORIES;
+
+// domain: [company, category]
+const TRACKER_DOMAINS = {
+  // Google
+  'google-analytics.com': ['Google', ANALYTICS],
+  'googletagmanager.com': ['Google', ANALYTICS],
+  'analytics.google.com': ['Google', ANALYTICS],
+  'doubleclick.net': ['Google', ADVERTISING],
+  'googlesyndication.com': ['Google', ADVERTISING],
+  'googleadservices.com': ['Google', ADVERTISING],
+  'googletagservices.com': ['Google', ADVERTISING],
+  'adservice.google.com': ['Google', ADVERTISING],
+  'app-measurement.com': ['Google', ANALYTICS],
+
+  // Meta, Microsoft, Amazon and other large ad platforms
+  'facebook.net': ['Meta', ADVERTISING],
+  'connect.facebook.net': ['Meta', ADVERTISING],
+  'facebook.com': ['Meta', SOCIAL],
+  'bat.bing.com': ['Microsoft', ADVERTISING],
+  'clarity.ms': ['Microsoft', SESSION_RECORDING],
+  'amazon-adsystem.com': ['Amazon', ADVERTISING],
+  'ads-twitter.com': ['X (Twitter)', ADVERTISING],
+  'analytics.twitter.com': ['X (Twitter)', ADVERTISING],
+  'platform.twitter.com': ['X (Twitter)', SOCIAL],
+  'ads.linkedin.com': ['LinkedIn', ADVERTISING],
+  'px.ads.linkedin.com': ['LinkedIn', ADVERTISING],
+  'snap.licdn.com': ['LinkedIn', ADVERTISING],
+  'analytics.tiktok.com': ['TikTok', ADVERTISING],
+  'ct.pinterest.com': ['Pinterest', ADVERTISING],
+  'sc-static.net': ['Snapchat', ADVERTISING],
+  'redditstatic.com': ['Reddit', ADVERTISING],
+  'alb.reddit.com': ['Reddit', ADVERTISING],
+
+  // Ad exchanges and data brokers
+  'criteo.com': ['Criteo', ADVERTISING],
+  'criteo.net': ['Criteo', ADVERTISING],
+  'taboola.com': ['Taboola', ADVERTISING],
+  'outbrain.com': ['Outbrain', ADVERTISING],
+  'adnxs.com': ['Xandr', ADVERTISING],
+  'rubiconproject.com': ['Magnite', ADVERTISING],
+  'pubmatic.com': ['PubMatic', ADVERTISING],
+  'openx.net': ['OpenX', ADVERTISING],
+  'casalemedia.com': ['Index Exchange', ADVERTISING],
+  'adsrvr.org': ['The Trade Desk', ADVERTISING],
+  'quantserve.com': ['Quantcast', ADVERTISING],
+  'scorecardresearch.com': ['Comscore', ANALYTICS],
+  'demdex.net': ['Adobe', ADVERTISING],
+  'everesttech.net': ['Adobe', ADVERTISING],
+  'omtrdc.net': ['Adobe', ANALYTICS],
+  '2o7.net': ['Adobe', ANALYTICS],
+  'bluekai.com': ['Oracle', ADVERTISING],
+  'krxd.net': ['Salesforce', ADVERTISING],
+  'rlcdn.com': ['LiveRamp', ADVERTISING],
+  'mathtag.com': ['MediaMath', ADVERTISING],
+  'bidswitch.net': ['BidSwitch', ADVERTISING],
+  'smartadserver.com': ['Equativ', ADVERTISING],
+  'yieldmo.com': ['Yieldmo', ADVERTISING],
+
+  // Product analytics and session recording
+  'hotjar.com': ['Hotjar', SESSION_RECORDING],
+  'hotjar.io': ['Hotjar', SESSION_RECORDING],
+  'fullstory.com': ['FullStory', SESSION_RECORDING],
+  'mouseflow.com': ['Mouseflow', SESSION_RECORDING],
+  'smartlook.com': ['Smartlook', SESSION_RECORDING],
+  'logrocket.io': ['LogRocket', SESSION_RECORDING],
+  'mixpanel.com': ['Mixpanel', ANALYTICS],
+  'amplitude.com': ['Amplitude', ANALYTICS],
+  'segment.com': ['Segment', ANALYTICS],
+  'segment.io': ['Segment', ANALYTICS],
+  'heap.io': ['Heap', ANALYTICS],
+  'heapanalytics.com': ['Heap', ANALYTICS],
+  'newrelic.com': ['New Relic', ANALYTICS],
+  'nr-data.net': ['New Relic', ANALYTICS],
+  'chartbeat.com': ['Chartbeat', ANALYTICS],
+  'chartbeat.net': ['Chartbeat', ANALYTICS],
+  'hs-analytics.net': ['HubSpot', ANALYTICS],
+  'hs-scripts.com': ['HubSpot', ANALYTICS],
+  'mc.yandex.ru': ['Yandex', ANALYTICS],
+  'matomo.cloud': ['Matomo', ANALYTICS],
+
+  // Social widgets
+  'addthis.com': ['Oracle', SOCIAL],
+  'sharethis.com': ['ShareThis', SOCIAL],
+  'disqus.com': ['Disqus', SOCIAL]
+};
+
+// Tracker entry for a host ({ domain, company, category }), or null when neither
+// the host nor any parent domain is listed
+export function classifyTracker(hostname) {
+  const labels = (hostname || '').toLowerCase().replace(/^\.+|\.+$/g, '').split('.');
+
+  // Most specific listed parent wins ("analytics.twitter.com" before "twitter.com")
+  for (let i = 0; i < labels.length - 1; i++) {
+    const domain = labels.slice(i).join('.');
+    const entry = TRACKER_DOMAINS[domain];
+    if (entry) return { domain, company: entry[0], category: entry[1] };
+  }
+
+  return null;
+}
+
+// The whole list, for versioning analyses that depend on it
+export function getTrackerListData() {
+  return TRACKER_DOMAINS;
+}
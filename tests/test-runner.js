@@ -1,9 +1,38 @@
 // Simple Test Runner for Safemode Extension
 // This script tests the core functionality without requiring Chrome extension APIs
 
-import { findPrivacyPolicyLinks, extractTextFromHTML } from '../src/utils/privacy-scraper.js';
-import { extractCookieData, analyzeCookieBanner } from '../src/utils/cookie-extractor.js';
-import { formatPrompt, validateResponse, generateFallbackResponse } from '../src/ai/prompt-templates.js';
+import { findPrivacyPolicyLinks, extractTextFromHTML, collectLinkRoots, recheckSameSiteLinks } from '../src/utils/privacy-scraper.js';
+import {
+  extractCookieData, analyzeCookieBanner, categorizeCookies, findThirdPartyCookies,
+  extractStorageData, formatStorageReport, summarizeCookieJar
+} from '../src/utils/cookie-extractor.js';
+import { lookupCookie } from '../src/utils/cookie-catalog.js';
+import { formatPrompt, validateResponse, coerceResponse, generateFallbackResponse } from '../src/ai/prompt-templates.js';
+import { splitPolicyIntoChunks } from '../src/ai/policy-chunker.js';
+import { citeClaim } from '../src/ai/evidence.js';
+import { classifyPolicy, buildSummarizerResult, buildDeletionResult, buildCookieResult } from '../src/ai/clause-classifier.js';
+import { parseModelJSON } from '../src/ai/response-parser.js';
+import { createProvider, AI_PROVIDERS } from '../src/ai/providers.js';
+import { assessRisk, getVerdict, MAX_MODEL_ADJUSTMENT } from '../src/ai/risk-scoring.js';
+import { detectLanguage, getAllLinkKeywords, getPolicyTextKeywords } from '../src/utils/language.js';
+import { getAnalysisVersion, isCurrentVersion } from '../src/ai/analysis-version.js';
+import {
+  analyzeWithRules,
+  analyzePrivacyPolicy,
+  configureAIProvider,
+  enableMockAI,
+  isAbortError,
+  ANALYSIS_STEPS
+} from '../src/ai/ai-client.js';
+import { createJobStore, JOB_STATUS, MAX_STORED_PAGE_TEXT } from '../src/utils/job-store.js';
+import { createScheduler, ANALYSIS_PRIORITY } from '../src/utils/analysis-scheduler.js';
+import { crawlPolicyPages, buildPolicyText, getPolicySource, POLICY_DOCUMENT_TYPES, CRAWL_LIMITS, readResponseText } from '../src/utils/policy-crawler.js';
+import { scorePolicyText } from '../src/utils/policy-verifier.js';
+import { looksLikeScriptShell } from '../src/utils/page-renderer.js';
+import { discoverPolicyLinks } from '../src/utils/policy-discovery.js';
+import { getRegistrableDomain, isThirdPartyDomain, isSameSite, matchesSiteList } from '../src/utils/site-domain.js';
+import { createRequestMonitor, MONITOR_LIMITS } from '../src/utils/request-monitor.js';
+import { assessFingerprinting, formatFingerprintReport, FINGERPRINT_LEVELS } from '../src/utils/fingerprint-detector.js';
 
 class SafemodeTestRunner {
   constructor() {
@@ -302,6 +331,1231 @@ runner.addTest('JSON Output Schema Validation', async () => {
   };
 });
 
+// Test 8: Long Policy Chunking
+runner.addTest('Long Policy Chunking', async () => {
+  const section = 'We collect your email address and device identifiers to provide the service. ';
+  const policyText = [
+    '1. Information We Collect\n\n' + section.repeat(40),
+    '2. Sharing\n\n' + section.repeat(40),
+    '3. Dispute Resolution\n\nAll disputes are resolved through binding arbitration.'
+  ].join('\n\n');
+
+  const maxChars = 2000;
+  const chunks = splitPolicyIntoChunks(policyText, maxChars);
+
+  const allFit = chunks.every(chunk => chunk.text.length <= maxChars);
+  const offsetsMatch = chunks.every(chunk => policyText.slice(chunk.start, chunk.end) === chunk.text);
+  const keepsEnding = chunks[chunks.length - 1].text.includes('binding arbitration');
+
+  return {
+    passed: chunks.length > 1 && allFit && offsetsMatch && keepsEnding,
+    reason: chunks.length > 1 && allFit && offsetsMatch && keepsEnding ? undefined : 'Policy chunking lost text or exceeded chunk size',
+    data: { chunkCount: chunks.length, allFit, offsetsMatch, keepsEnding }
+  };
+});
+
+// Test 9: Evidence Citations
+runner.addTest('Evidence Citations', async () => {
+  const policyText = 'Welcome to Example. We collect your email address when you sign up.  ' +
+    'We  retain analytics data for 24 months. We do not sell personal data.';
+
+  // Model quote with different spacing and casing must still be located
+  const retention = citeClaim(policyText, '24 months for analytics', 'we retain analytics data for 24 months.');
+  // No model quote: fall back to the sentence matching the claim keywords
+  const email = citeClaim(policyText, 'email');
+  // Claims with no support in the policy get no citation
+  const unsupported = citeClaim(policyText, 'biometric fingerprints');
+
+  const retentionCorrect = retention && policyText.slice(retention.offset).startsWith('We  retain');
+  const emailCorrect = email && email.quote.includes('email address') &&
+                       policyText.slice(email.offset).startsWith(email.quote);
+
+  return {
+    passed: Boolean(retentionCorrect && emailCorrect && unsupported === null),
+    reason: retentionCorrect && emailCorrect && unsupported === null ? undefined : 'Evidence citation offsets incorrect',
+    data: { retention, email, unsupported }
+  };
+});
+
+// Test 10: Rule-Based Clause Classifier
+runner.addTest('Rule-Based Clause Classifier', async () => {
+  const policyText = 'We collect your email address and IP address when you visit our site. ' +
+    'We share your information with advertising partners for targeted ads. ' +
+    'We retain analytics data for 5 years. ' +
+    'Unfortunately, we cannot delete your personal data once it is collected. ' +
+    'Any dispute will be resolved by binding arbitration.';
+
+  const classification = classifyPolicy(policyText);
+  const summary = buildSummarizerResult(classification);
+  const deletion = buildDeletionResult(classification);
+
+  const checks = {
+    sharingTagged: classification.practices.THIRD_PARTY_SHARING.length === 1,
+    categories: summary.categories.includes('email') && summary.categories.includes('ip'),
+    retention: summary.retention_clauses[0].includes('5 years'),
+    arbitration: summary.notable_clauses.some(clause => clause.includes('arbitration')),
+    deletion: deletion.can_delete === 'no' && deletion.quote.includes('cannot delete'),
+    validShape: validateResponse('SUMMARIZER', JSON.stringify(summary)) === true
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Clause classifier produced unexpected results',
+    data: checks
+  };
+});
+
+// Test 11: Model JSON Extraction and Repair
+runner.addTest('Model JSON Extraction and Repair', async () => {
+  const clean = parseModelJSON('{"can_delete": "yes", "instructions": "Email us"}');
+  const fenced = parseModelJSON('Sure!\n```json\n{"can_delete": "partial", "links": ["https://example.com",],}\n```');
+  const truncated = parseModelJSON("{summary: 'We don't sell data', categories: ['email', 'ip'");
+
+  let unparseableRejected = false;
+  try {
+    parseModelJSON('I could not analyze this policy.');
+  } catch (error) {
+    unparseableRejected = true;
+  }
+
+  const checks = {
+    clean: clean.repaired === false && clean.value.can_delete === 'yes',
+    fenced: fenced.repaired === true && fenced.value.links.length === 1,
+    truncated: truncated.repaired === true && validateResponse('SUMMARIZER', truncated.value) === true,
+    unparseableRejected
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'JSON extraction or repair failed',
+    data: checks
+  };
+});
+
+runner.addTest('Schema Validation and Coercion', async () => {
+  const risk = coerceResponse('RISK_SCORER', {
+    risk_score: '120',
+    verdict: 'caution',
+    reasons: 'Shares data with advertisers'
+  });
+  const deletion = coerceResponse('DELETION_ANALYZER', { can_delete: 'Partial' });
+  const badCookies = coerceResponse('COOKIE_ANALYZER', {
+    first_party: 3,
+    third_party: 7,
+    tracking: 'yes',
+    categories: { analytics: 4, advertising: 3 }
+  });
+  const yesNo = ['yes', 'No', 'TRUE', 'false'].map(tracking =>
+    coerceResponse('COOKIE_ANALYZER', { first_party: 1, third_party: 2, tracking, categories: {} }));
+  const summary = coerceResponse('SUMMARIZER', {
+    summary: 'Collects email addresses.',
+    categories: ['email'],
+    quotes: { email: 'We collect your email address.', location: null }
+  });
+
+  const checks = {
+    riskCoerced: risk.valid && risk.value.risk_score === 100 && risk.value.verdict === 'CAUTION' &&
+      Array.isArray(risk.value.reasons) && risk.value.actions.length === 0,
+    deletionDefaults: deletion.valid && deletion.value.can_delete === 'partial' &&
+      Array.isArray(deletion.value.links) && deletion.value.quote === '',
+    cookieShapeRejected: !badCookies.valid && badCookies.errors.some(e => e.includes('categories')),
+    trackingBooleans: yesNo.every(result => result.valid) &&
+      yesNo.map(result => result.value.tracking).join() === 'true,false,true,false',
+    nullQuoteDropped: summary.valid && Object.keys(summary.value.quotes).join() === 'email',
+    enumRejected: !validateResponse('RISK_SCORER', { risk_score: 10, verdict: 'FINE', reasons: [] }),
+    schemaInPrompt: formatPrompt('COOKIE_ANALYZER', { cookieData: {} }).schema?.type === 'object'
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Schema validation did not coerce or reject as expected',
+    data: checks
+  };
+});
+
+runner.addTest('LLM Provider Selection', async () => {
+  const originalFetch = globalThis.fetch;
+  const requests = [];
+
+  // Stand-in for a local OpenAI-compatible server
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, body: init?.body ? JSON.parse(init.body) : null, signal: init?.signal });
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({ choices: [{ message: { content: '{"can_delete": "yes"}' } }] })
+    };
+  };
+
+  try {
+    const provider = createProvider({
+      aiProvider: AI_PROVIDERS.OPENAI_COMPATIBLE,
+      aiEndpoint: 'http://localhost:8080/v1/',
+      aiModel: 'llama-3.1-8b'
+    });
+    const schema = formatPrompt('DELETION_ANALYZER', { policyText: '' }).schema;
+
+    const available = await provider.isAvailable();
+    const reply = await provider.prompt('Find deletion rights', { responseConstraint: schema });
+    const completion = requests.find(r => r.url.endsWith('/chat/completions'));
+
+    // An endpoint that never answers: cancelling the analysis ends the check
+    globalThis.fetch = (url, init) => new Promise((resolve, reject) => {
+      init?.signal?.addEventListener('abort', () => reject(init.signal.reason));
+    });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    let hungError = null;
+    try {
+      await provider.isAvailable(controller.signal);
+    } catch (error) {
+      hungError = error;
+    }
+
+    const checks = {
+      defaultsToChrome: createProvider({}).id === AI_PROVIDERS.CHROME,
+      mockSelectable: createProvider({ aiProvider: 'mock' }).engine === 'mock',
+      available,
+      endpointNormalized: requests[0].url === 'http://localhost:8080/v1/models',
+      modelSent: completion?.body.model === 'llama-3.1-8b',
+      schemaSent: JSON.stringify(completion?.body.response_format?.json_schema?.schema) === JSON.stringify(schema),
+      replyReturned: reply === '{"can_delete": "yes"}',
+      hungCheckCancelled: hungError?.name === 'AbortError',
+      completionTimesOut: completion?.signal instanceof AbortSignal
+    };
+
+    const passed = Object.values(checks).every(Boolean);
+
+    return {
+      passed,
+      reason: passed ? undefined : 'Provider did not call the configured endpoint as expected',
+      data: checks
+    };
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
+
+runner.addTest('Deterministic Risk Breakdown', async () => {
+  const policyText = `We collect your email address and payment details when you register.
+    We share your information with advertisers and marketing partners. We may sell your personal data to data brokers.
+    We retain your data for as long as necessary.`;
+
+  const input = {
+    policyText,
+    hasPolicyLink: true,
+    summarizer: { categories: ['email', 'payment'] },
+    cookies: { first_party: 2, third_party: 8, tracking: true, categories: {} },
+    deletion: { can_delete: 'no', quote: '' }
+  };
+
+  const computed = assessRisk(input);
+  const adjusted = assessRisk({ ...input, modelAssessment: { risk_score: 0 } });
+  const germanPolicy = 'Wir verkaufen Ihre personenbezogenen Daten an Werbepartner. Streitigkeiten werden ausschließlich durch ein Schiedsverfahren beigelegt. '.repeat(2);
+  const modelReported = assessRisk({
+    policyText: germanPolicy,
+    policyLanguage: 'de',
+    hasPolicyLink: true,
+    summarizer: {
+      categories: ['email'],
+      notable_clauses: ['Personal data is sold to advertising partners', 'Disputes go to binding arbitration'],
+      quotes: { 'Personal data is sold to advertising partners': 'Wir verkaufen Ihre personenbezogenen Daten an Werbepartner.' }
+    }
+  });
+  const total = computed.breakdown.reduce((sum, entry) => sum + entry.points, 0);
+  const modelLine = adjusted.breakdown.find(entry => entry.id === 'MODEL_ADJUSTMENT');
+
+  const checks = {
+    pointsAddUp: computed.risk_score === total && computed.breakdown.some(e => e.id === 'SCORE_LIMIT'),
+    saleDetected: computed.breakdown.some(e => e.id === 'MANY_THIRD_PARTIES' && e.evidence?.quote.includes('sell')),
+    unsafe: computed.verdict === 'UNSAFE',
+    modelBounded: modelLine?.points === -MAX_MODEL_ADJUSTMENT &&
+      adjusted.risk_score === computed.risk_score - MAX_MODEL_ADJUSTMENT,
+    thresholds: getVerdict(30) === 'SAFE' && getVerdict(31) === 'CAUTION' &&
+      getVerdict(70) === 'CAUTION' && getVerdict(71) === 'UNSAFE',
+    noPolicy: assessRisk({ hasPolicyLink: false }).breakdown[0].id === 'NO_POLICY',
+    modelSale: modelReported.breakdown.some(e => e.id === 'MANY_THIRD_PARTIES' && e.evidence?.quote.includes('verkaufen')),
+    modelWaiver: modelReported.breakdown.some(e => e.id === 'RIGHTS_WAIVER'),
+    classifierWaiver: assessRisk({ ...input, policyText: `${policyText} Any dispute will be resolved by binding arbitration.` })
+      .breakdown.some(e => e.id === 'RIGHTS_WAIVER' && e.evidence?.quote.includes('arbitration')),
+    noWaiver: !computed.breakdown.some(e => e.id === 'RIGHTS_WAIVER')
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Risk score is not the sum of its factors',
+    data: { ...checks, score: computed.risk_score }
+  };
+});
+
+runner.addTest('Language Detection and Localized Keywords', async () => {
+  const german = 'Wir verarbeiten Ihre personenbezogenen Daten nur, wenn Sie der Verarbeitung zugestimmt haben und die Daten für den Vertrag erforderlich sind.';
+  const french = 'Nous traitons vos données personnelles pour fournir le service et vous pouvez retirer votre consentement à tout moment dans les paramètres.';
+
+  const prompt = formatPrompt('RISK_SCORER', { domain: 'example.de', responseLanguage: 'German' });
+  const defaultPrompt = formatPrompt('RISK_SCORER', { domain: 'example.com' });
+
+  const checks = {
+    german: detectLanguage(german) === 'de',
+    french: detectLanguage(french) === 'fr',
+    declaredFallback: detectLanguage('Datenschutz', 'de-AT') === 'de',
+    localizedLinks: getAllLinkKeywords().policy.includes('datenschutzerklärung'),
+    englishAlwaysIncluded: getPolicyTextKeywords('fr').includes('personal data'),
+    promptLanguage: prompt.prompt.includes('German'),
+    defaultEnglish: defaultPrompt.prompt.includes('English'),
+    classifierSkipped: !assessRisk({ policyText: german.repeat(2), policyLanguage: 'de', hasPolicyLink: true })
+      .breakdown.some(e => e.id === 'NO_USER_CONTROL')
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Language detection or localized keywords failed',
+    data: checks
+  };
+});
+
+runner.addTest('Analysis Version and Stale Cache Detection', async () => {
+  const version = getAnalysisVersion('rules');
+  const current = { result: { engine: 'rules' }, engine: 'rules', version };
+
+  const checks = {
+    stable: getAnalysisVersion('rules') === version,
+    perEngine: getAnalysisVersion('chrome-ai') !== version && version.startsWith('rules-'),
+    currentAccepted: isCurrentVersion(current),
+    // Entries cached before versioning, or under other rules, are stale
+    unversionedStale: !isCurrentVersion({ result: { engine: 'rules' }, engine: 'rules' }),
+    outdatedStale: !isCurrentVersion({ ...current, version: 'rules-00000000' }),
+    engineMismatchStale: !isCurrentVersion({ ...current, engine: 'heuristic' })
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Cached result versioning failed',
+    data: { ...checks, version }
+  };
+});
+
+runner.addTest('Analysis Progress Events', async () => {
+  const events = [];
+  const analysisData = {
+    domain: 'example.com',
+    url: 'https://example.com',
+    privacyPolicyText: `We collect your email address when you register. We share your information with advertising partners.
+      You can delete your account at any time from your settings page. We retain your data for 12 months.`,
+    privacyPolicyLinks: ['https://example.com/privacy'],
+    cookies: { cookieCount: 3, thirdPartyCookies: 1, documentCookies: [] }
+  };
+
+  const result = await analyzeWithRules(analysisData, (event) => events.push(event));
+
+  // A listener that throws must not break the analysis
+  const resilient = await analyzeWithRules(analysisData, () => { throw new Error('popup closed'); });
+
+  const finished = events.filter(e => e.status === 'done').map(e => e.step);
+  const scoreEvent = events.find(e => e.step === ANALYSIS_STEPS.SCORE);
+
+  const checks = {
+    stepOrder: JSON.stringify(finished) === JSON.stringify([
+      ANALYSIS_STEPS.SUMMARY, ANALYSIS_STEPS.COOKIES, ANALYSIS_STEPS.DELETION, ANALYSIS_STEPS.SCORE
+    ]),
+    partialResults: typeof events[0]?.result?.summary === 'string',
+    scoreMatchesResult: scoreEvent?.result?.risk_score === result.risk_score,
+    listenerErrorsIgnored: resilient.risk_score === result.risk_score && resilient.engine === 'rules'
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Progress events missing or out of order',
+    data: { ...checks, events: events.map(e => `${e.step}:${e.status}`) }
+  };
+});
+
+runner.addTest('Cancelled Analysis Stops Without Fallback', async () => {
+  const controller = new AbortController();
+  let promptCalls = 0;
+
+  // Cancel while the first model call is running
+  globalThis.mockAI = {
+    async prompt() {
+      promptCalls++;
+      controller.abort();
+      return new Promise(() => {});
+    }
+  };
+  configureAIProvider({ aiProvider: 'mock' });
+
+  const analysisData = {
+    domain: 'example.com',
+    url: 'https://example.com',
+    privacyPolicyText: 'We collect your email address and share it with partners. '.repeat(5),
+    cookies: { cookieCount: 0 }
+  };
+
+  let aiError = null;
+  try {
+    await analyzePrivacyPolicy(analysisData, null, controller.signal);
+  } catch (error) {
+    aiError = error;
+  }
+
+  let rulesError = null;
+  try {
+    await analyzeWithRules(analysisData, null, controller.signal);
+  } catch (error) {
+    rulesError = error;
+  }
+
+  // Cancel while waiting to retry an unusable reply
+  const retryController = new AbortController();
+  globalThis.mockAI = {
+    async prompt() {
+      setTimeout(() => retryController.abort(), 20);
+      return 'not json';
+    }
+  };
+
+  let retryError = null;
+  const retryStarted = Date.now();
+  try {
+    await analyzePrivacyPolicy(analysisData, null, retryController.signal);
+  } catch (error) {
+    retryError = error;
+  } finally {
+    delete globalThis.mockAI;
+    configureAIProvider({});
+  }
+  const retryWaitMs = Date.now() - retryStarted;
+
+  const checks = {
+    aiAborted: isAbortError(aiError),
+    noFurtherCalls: promptCalls === 1,
+    rulesAborted: isAbortError(rulesError),
+    backoffAborted: isAbortError(retryError) && retryWaitMs < 300
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Aborted analysis fell back or kept calling the model',
+    data: { ...checks, promptCalls, retryWaitMs }
+  };
+});
+
+runner.addTest('Durable Jobs Resume From Checkpoints', async () => {
+  // In-memory stand-in for chrome.storage.local
+  const data = {};
+  const storage = {
+    async get(key) {
+      if (key === null) return { ...data };
+      return key in data ? { [key]: structuredClone(data[key]) } : {};
+    },
+    async set(items) { Object.assign(data, structuredClone(items)); },
+    async remove(key) { delete data[key]; }
+  };
+
+  const store = createJobStore(storage);
+  await store.create({ domain: 'example.com', url: 'https://example.com' }, { aiProvider: 'mock' });
+  await store.start('example.com');
+
+  // Checkpoints saved back to back must all survive
+  const summary = {
+    summary: 'Saved summary from the interrupted run.',
+    categories: ['email'],
+    retention_clauses: [],
+    notable_clauses: []
+  };
+  await Promise.all([
+    store.saveCheckpoint('example.com', ANALYSIS_STEPS.SUMMARY, { result: summary, outcome: 'success' }),
+    store.saveCheckpoint('example.com', 'policy', { privacyPolicyText: 'text' })
+  ]);
+
+  // A job still waiting in the queue when the worker stopped
+  await store.create({ domain: 'queued.com', url: 'https://queued.com' }, { aiProvider: 'mock' });
+
+  const unfinished = await store.listUnfinished();
+  const job = unfinished.find(entry => entry.domain === 'example.com');
+  const sameSiteJob = await store.get('www.example.com');
+  const queued = unfinished.find(entry => entry.domain === 'queued.com');
+
+  // A resumed analysis must not prompt for the checkpointed summary again
+  const prompts = [];
+  enableMockAI();
+  const mockPrompt = globalThis.mockAI.prompt;
+  globalThis.mockAI.prompt = (prompt, options) => {
+    prompts.push(prompt);
+    return mockPrompt(prompt, options);
+  };
+  configureAIProvider({ aiProvider: 'mock' });
+
+  let result;
+  try {
+    result = await analyzePrivacyPolicy({
+      domain: 'example.com',
+      url: 'https://example.com',
+      privacyPolicyText: 'We collect your email address and share it with partners. '.repeat(5),
+      cookies: { cookieCount: 0 },
+      completedSteps: job.checkpoints
+    });
+  } finally {
+    delete globalThis.mockAI;
+    configureAIProvider({});
+  }
+
+  await store.remove('example.com');
+  await store.remove('queued.com');
+
+  // A full storage area must not fail the analysis
+  const fullStore = createJobStore({
+    async get() { return {}; },
+    async set() { throw new Error('QUOTA_BYTES quota exceeded'); },
+    async remove() {}
+  });
+  const unsaved = await fullStore.create({ domain: 'full.com', pageContent: 'x' }, {});
+  const trimmed = await store.create({ domain: 'long.com', pageContent: 'x'.repeat(MAX_STORED_PAGE_TEXT * 2) }, {});
+  await store.remove('long.com');
+
+  const checks = {
+    listed: unfinished.length === 2 && job.status === JOB_STATUS.RUNNING && job.attempts === 1,
+    queuedListed: queued?.status === JOB_STATUS.PENDING && queued.attempts === 0,
+    keyedBySite: sameSiteJob?.domain === 'example.com',
+    bothCheckpointsKept: !!job.checkpoints.policy && !!job.checkpoints[ANALYSIS_STEPS.SUMMARY],
+    summaryReused: result.summary === summary.summary,
+    summarizerSkipped: !prompts.some(prompt => prompt.includes('privacy-policy summarizer')),
+    otherStepsRan: prompts.length > 0,
+    removed: (await store.listUnfinished()).length === 0,
+    quotaTolerated: unsaved === null,
+    pageTextTrimmed: trimmed.siteData.pageContent.length === MAX_STORED_PAGE_TEXT
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Job checkpoints were lost or not reused',
+    data: checks
+  };
+});
+
+runner.addTest('Analysis Scheduler Priorities and Limits', async () => {
+  const scheduler = createScheduler({ concurrency: 1 });
+  const started = [];
+  let active = 0;
+  let maxActive = 0;
+
+  const task = (name) => async () => {
+    started.push(name);
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+    return name;
+  };
+
+  const controller = new AbortController();
+  const runs = [
+    scheduler.schedule('first.com', ANALYSIS_PRIORITY.BACKGROUND_TAB, task('first')),
+    scheduler.schedule('background.com', ANALYSIS_PRIORITY.BACKGROUND_TAB, task('background')),
+    scheduler.schedule('active.com', ANALYSIS_PRIORITY.ACTIVE_TAB, task('active')),
+    scheduler.schedule('promoted.com', ANALYSIS_PRIORITY.BACKGROUND_TAB, task('promoted')),
+    scheduler.schedule('popup.com', ANALYSIS_PRIORITY.POPUP, task('popup')),
+    scheduler.schedule('cancelled.com', ANALYSIS_PRIORITY.POPUP, task('cancelled'), { signal: controller.signal })
+  ];
+
+  // The popup asks for a domain auto-scan already queued
+  scheduler.promote('promoted.com', ANALYSIS_PRIORITY.POPUP);
+  const positionBeforeCancel = scheduler.position('cancelled.com');
+  controller.abort();
+
+  const settled = await Promise.allSettled(runs);
+
+  // Queue order and priorities survive a worker restart through the job store
+  const data = {};
+  const store = createJobStore({
+    async get(key) { return key === null ? structuredClone(data) : (key in data ? { [key]: structuredClone(data[key]) } : {}); },
+    async set(items) { Object.assign(data, structuredClone(items)); },
+    async remove(key) { delete data[key]; }
+  });
+  const queueJob = async (domain, priority) => {
+    await store.create({ domain }, {}, priority);
+    await new Promise(resolve => setTimeout(resolve, 2)); // Distinct creation times
+  };
+  await queueJob('running.com', ANALYSIS_PRIORITY.BACKGROUND_TAB);
+  await queueJob('background.com', ANALYSIS_PRIORITY.BACKGROUND_TAB);
+  await queueJob('joined.com', ANALYSIS_PRIORITY.BACKGROUND_TAB);
+  await queueJob('active.com', ANALYSIS_PRIORITY.ACTIVE_TAB);
+  await store.start('running.com');
+  await store.setPriority('joined.com', ANALYSIS_PRIORITY.POPUP);
+  await store.setPriority('active.com', ANALYSIS_PRIORITY.BACKGROUND_TAB); // Never lowered
+  const restored = await store.listUnfinished();
+
+  const checks = {
+    restoredOrder: restored.map(job => job.domain).join() === 'running.com,joined.com,active.com,background.com',
+    restoredPriorities: restored.map(job => job.priority).join() === [
+      ANALYSIS_PRIORITY.BACKGROUND_TAB, ANALYSIS_PRIORITY.POPUP, ANALYSIS_PRIORITY.ACTIVE_TAB, ANALYSIS_PRIORITY.BACKGROUND_TAB
+    ].join(),
+    // 'first' started at once; then popup requests (oldest first), active tab, background tabs
+    order: JSON.stringify(started) === JSON.stringify(['first', 'promoted', 'popup', 'active', 'background']),
+    concurrencyLimited: maxActive === 1,
+    queuedPosition: positionBeforeCancel === 2,
+    cancelledNeverStarted: settled[5].status === 'rejected' && settled[5].reason?.name === 'AbortError',
+    resultsDelivered: settled[4].value === 'popup'
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Scheduler did not respect priorities or limits',
+    data: { ...checks, started }
+  };
+});
+
+runner.addTest('Policy Crawl Labels and Deduplicates', async () => {
+  const sharedFooter = 'This privacy notice applies to all services operated by Example Inc. and its affiliates.';
+  const privacyBody = 'We collect personal information such as your email address and usage data to provide the service. ' +
+    'We share personal data with third party service providers for data processing. ' +
+    'You can request deletion of your account data by emailing privacy@example.com. ' +
+    'Residents of the EU have rights under the GDPR.';
+  const pages = {
+    'https://example.com/privacy': `<html><body><h1>Privacy Policy</h1><p>${privacyBody}</p><p>${sharedFooter}</p></body></html>`,
+    'https://example.com/cookies': `<html><body><h1>Cookie Policy</h1><p>We use strictly necessary cookies and advertising cookies from third party ad networks for tracking. Marketing cookies that process personal data are only set after consent. Under the GDPR you can withdraw consent at any time.</p><p>${sharedFooter}</p></body></html>`,
+    'https://example.com/privacy-copy': `<html><body><h1>Privacy Policy</h1><p>${privacyBody}</p><p>${sharedFooter}</p></body></html>`,
+    'https://example.com/ccpa': '<html><body><h1>California Privacy Rights</h1><p>Under the CCPA, California residents may opt out of the sale of personal information to third party advertisers. We honor Global Privacy Control signals as a valid opt-out request. You may also request access to the personal data we hold and ask us to delete it. We respond to verified requests within 45 days.</p></body></html>',
+    'https://example.com/terms': '<html><body><h1>Terms of Service</h1></body></html>'
+  };
+
+  const fetched = [];
+  const fetchPage = async (url) => {
+    fetched.push(url);
+    if (url.endsWith('/broken')) throw new Error('HTTP 404');
+    return pages[url];
+  };
+
+  const links = [
+    { url: 'https://example.com/terms', text: 'Terms of Service', priority: 1 },
+    { url: 'https://example.com/privacy', text: 'Privacy Policy', priority: 10 },
+    { url: 'https://example.com/privacy#cookies', text: 'Cookies', priority: 9 },
+    { url: 'https://example.com/cookies', text: 'Cookie Policy', priority: 8 },
+    { url: 'https://example.com/broken', text: 'Privacy Center', priority: 7 },
+    { url: 'https://example.com/privacy-copy', text: 'Data Protection', priority: 6 },
+    { url: 'https://example.com/ccpa', text: 'Do Not Sell My Info', priority: 5 }
+  ];
+
+  const { documents, skipped } = await crawlPolicyPages(links, { fetchPage, limits: { maxPages: 4 } });
+  const types = Object.fromEntries(documents.map(doc => [doc.url, doc.type]));
+  const policyText = buildPolicyText(documents);
+  const crawled = fetched.slice();
+
+  // A byte budget smaller than the first page ends the crawl after it
+  const budgeted = await crawlPolicyPages(links, { fetchPage, limits: { maxBytes: 10 } });
+
+  // The default fetcher stops downloading a page once it is over the budget left
+  const originalFetch = globalThis.fetch;
+  let chunksRead = 0;
+  globalThis.fetch = async (url) => {
+    const chunk = new TextEncoder().encode(pages['https://example.com/privacy']);
+    const body = new ReadableStream({
+      pull(controller) {
+        chunksRead++;
+        controller.enqueue(chunk);
+        if (chunksRead >= 1000) controller.close();
+      }
+    });
+    const headers = url.endsWith('/declared') ? { 'content-type': 'text/html', 'content-length': '9999999' } : { 'content-type': 'text/html' };
+    return new Response(body, { headers });
+  };
+  let streamed;
+  try {
+    streamed = await crawlPolicyPages([
+      { url: 'https://example.com/declared', text: 'Privacy Policy', priority: 10 },
+      { url: 'https://example.com/huge', text: 'Privacy Policy', priority: 9 }
+    ], { limits: { maxBytes: 2000 } });
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+  const smallBody = await readResponseText(new Response('<p>short</p>'), 100);
+  const multibyteBody = await readResponseText(new Response('<p>Café</p>'), 100);
+
+  // Bytes a fetcher reports count against the budget, not the text's length
+  const reported = await crawlPolicyPages(links, {
+    fetchPage: async (url) => ({ text: pages[url], bytes: CRAWL_LIMITS.maxBytes }),
+    limits: { maxPages: 4 }
+  });
+
+  const checks = {
+    priorityOrder: crawled[0] === 'https://example.com/privacy',
+    fragmentDeduped: crawled.filter(url => url === 'https://example.com/privacy').length === 1,
+    maxPages: crawled.length === 5 && !crawled.includes('https://example.com/terms'),
+    classified: types['https://example.com/privacy'] === POLICY_DOCUMENT_TYPES.PRIVACY &&
+      types['https://example.com/cookies'] === POLICY_DOCUMENT_TYPES.COOKIE &&
+      types['https://example.com/ccpa'] === POLICY_DOCUMENT_TYPES.CCPA,
+    duplicatePageDropped: !types['https://example.com/privacy-copy'] &&
+      skipped.some(s => s.url === 'https://example.com/privacy-copy'),
+    sharedTextOnce: policyText.split(sharedFooter).length === 2,
+    failedFetchSkipped: skipped.some(s => s.url === 'https://example.com/broken' && s.reason === 'HTTP 404'),
+    labeled: policyText.includes('Cookie policy (https://example.com/cookies):'),
+    byteBudget: budgeted.documents.length === 1 && budgeted.skipped.some(s => s.reason === 'byte budget'),
+    oversizedNotDownloaded: streamed.documents.length === 0 && streamed.skipped.length === 2 &&
+      streamed.skipped.every(s => s.reason.startsWith('larger than the byte budget')) && chunksRead < 10,
+    smallBodyRead: smallBody.text === '<p>short</p>' && smallBody.bytes === 12,
+    bytesCounted: multibyteBody.bytes === 12 && multibyteBody.text.length === 11,
+    reportedBytes: reported.documents.length === 1 && reported.skipped.some(s => s.reason === 'byte budget')
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Policy pages were not fetched, labeled or deduplicated as expected',
+    data: { ...checks, crawled, skipped, chunksRead }
+  };
+});
+
+runner.addTest('Non-Policy Pages Are Rejected', async () => {
+  const policy = 'Privacy Policy. This privacy policy explains how we collect and use personal information. ' +
+    'We collect personal data such as your email address. We use cookies and tracking technologies. ' +
+    'We share data with third party service providers. Under the GDPR you have rights regarding data processing. ' +
+    'Contact our data protection officer to exercise them.';
+  const loginWall = ('Sign in to your account. Email Password Forgot your password? Create an account. ' +
+    'By signing in you agree to our Terms and Privacy Policy. ').repeat(3);
+  const notFound = ('Page not found. The page you were looking for does not exist. Go back to the homepage. ' +
+    'Privacy Policy Terms Cookies. ').repeat(3);
+  const marketing = 'Discover our new product line. Fast shipping and great prices. Subscribe to our newsletter. '.repeat(20) +
+    'Privacy Policy | Cookies | Terms';
+
+  const pages = {
+    'https://example.com/legal': `<html><body>${loginWall}</body></html>`,
+    'https://example.com/privacy': `<html><body>${notFound}</body></html>`,
+    'https://example.com/cookies': `<html><body>${marketing}</body></html>`,
+    'https://example.com/legal/privacy-policy': `<html><body>${policy}</body></html>`
+  };
+  const fetchPage = async (url) => pages[url];
+
+  const { documents, skipped } = await crawlPolicyPages([
+    { url: 'https://example.com/legal', text: 'Legal', priority: 10 },
+    { url: 'https://example.com/privacy', text: 'Privacy', priority: 9 },
+    { url: 'https://example.com/cookies', text: 'Cookies', priority: 8 },
+    { url: 'https://example.com/legal/privacy-policy', text: 'Privacy Policy', priority: 7 }
+  ], { fetchPage, limits: { maxPages: 1 } });
+
+  const checks = {
+    policyAccepted: scorePolicyText(policy).isPolicy,
+    loginRejected: scorePolicyText(loginWall).reasons.includes('login page'),
+    errorPageRejected: scorePolicyText(notFound).reasons.includes('error page'),
+    marketingRejected: !scorePolicyText(marketing).isPolicy,
+    shortRejected: !scorePolicyText('Privacy Policy').isPolicy,
+    nextCandidateTried: documents.length === 1 && skipped.length === 3 &&
+      skipped.every(s => s.reason.startsWith('not a policy page')),
+    sourceReported: getPolicySource(documents) === 'https://example.com/legal/privacy-policy',
+    noSourceWithoutPages: getPolicySource([]) === null
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'A non-policy page was accepted or the policy page was missed',
+    data: { ...checks, skipped }
+  };
+});
+
+runner.addTest('Policy Crawl Uses DOM Extraction', async () => {
+  const policyBody = 'We collect personal information such as your email address to provide the service. ' +
+    'We share personal data with third party processors. We use cookies and tracking technologies for analytics. ' +
+    'Under the GDPR you may request deletion of your personal data at any time.';
+  const shared = 'This privacy policy applies to every Example Inc. website and mobile application.';
+  const pages = {
+    'https://example.com/privacy': `<html><body><nav>Home Shop About</nav><main><h1>Privacy Policy</h1><p>${policyBody}</p></main></body></html>`,
+    'https://example.com/privacy-eu': `<html><body><main><h1>EU Privacy Notice</h1><p>${policyBody.replace('GDPR', 'GDPR and national law')}</p></main></body></html>`
+  };
+
+  // Stands in for the offscreen document: headings as "#" lines, a line per block
+  const extractText = async (html, url) => {
+    if (url.endsWith('-eu')) throw new Error('Offscreen document closed');
+    const heading = html.match(/<h1>(.*?)<\/h1>/)[1];
+    return `# ${heading}\n\n${shared}\n${policyBody}`;
+  };
+
+  const { documents } = await crawlPolicyPages([
+    { url: 'https://example.com/privacy', text: 'Privacy Policy', priority: 10 },
+    { url: 'https://example.com/privacy-eu', text: 'EU Privacy Notice', priority: 5 }
+  ], { fetchPage: async (url) => pages[url], extractText });
+
+  const [main, eu] = documents;
+
+  const checks = {
+    domTextUsed: main?.text.startsWith('# Privacy Policy\n\n'),
+    navigationDropped: main && !main.text.includes('Home Shop About'),
+    linesKeptAfterDedupe: main?.text.split('\n').length === 4,
+    fallbackOnFailure: eu && !eu.text.includes('#') && eu.text.includes('EU Privacy Notice'),
+    sharedTextOnce: documents.filter(doc => doc.text.includes(shared)).length === 1
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Extracted page structure was lost or the fallback was not used',
+    data: { ...checks, texts: documents.map(doc => doc.text.slice(0, 120)) }
+  };
+});
+
+runner.addTest('JavaScript-Only Policy Pages Are Rendered', async () => {
+  const shell = '<html><head><script src="/static/app.js"></script></head><body><div id="root"></div>' +
+    '<noscript>You need to enable JavaScript to run this app.</noscript></body></html>';
+  const rendered = '<html><body><div id="root"><h1>Privacy Policy</h1><p>' +
+    'We collect personal information such as your email address and device identifiers. ' +
+    'We use cookies and tracking pixels and share personal data with third party advertisers. ' +
+    'We keep account records for as long as your account is open and delete them within 30 days of closure. ' +
+    'Under the GDPR and CCPA you can ask us to delete your data. Contact our data protection officer.' +
+    '</p></div></body></html>';
+  const serverRendered = rendered.replace('<div id="root">', '<div id="content">');
+
+  const pages = {
+    'https://spa.example/privacy': shell,
+    'https://ssr.example/privacy': serverRendered
+  };
+  const renderedUrls = [];
+  const renderPage = async (url) => {
+    renderedUrls.push(url);
+    return rendered;
+  };
+
+  const crawl = (url) => crawlPolicyPages([{ url, text: 'Privacy Policy', priority: 10 }], {
+    fetchPage: async (pageUrl) => pages[pageUrl],
+    renderPage
+  });
+
+  const spa = await crawl('https://spa.example/privacy');
+  const ssr = await crawl('https://ssr.example/privacy');
+
+  // Rendering that fails leaves the page out instead of failing the crawl
+  const failed = await crawlPolicyPages([{ url: 'https://spa.example/privacy', priority: 10 }], {
+    fetchPage: async (pageUrl) => pages[pageUrl],
+    renderPage: async () => { throw new Error('Rendered page did not load in time'); }
+  });
+
+  // Rendered HTML counts against the byte budget like fetched HTML
+  const budgeted = await crawlPolicyPages([
+    { url: 'https://spa.example/privacy', text: 'Privacy Policy', priority: 10 },
+    { url: 'https://ssr.example/privacy', text: 'Privacy Policy', priority: 9 }
+  ], {
+    fetchPage: async (pageUrl) => pages[pageUrl],
+    renderPage: async () => rendered,
+    limits: { maxBytes: shell.length + rendered.length - 1 }
+  });
+
+  const checks = {
+    shellDetected: looksLikeScriptShell(shell, ''),
+    policyNotShell: !looksLikeScriptShell(serverRendered, 'x'.repeat(600)),
+    renderedTextUsed: spa.documents.length === 1 && spa.documents[0].text.includes('data protection officer'),
+    onlyShellsRendered: JSON.stringify(renderedUrls) === JSON.stringify(['https://spa.example/privacy']),
+    serverRenderedKept: ssr.documents.length === 1,
+    renderFailureSkipped: failed.documents.length === 0 &&
+      failed.skipped[0]?.reason === 'Rendered page did not load in time',
+    renderedBytesCounted: budgeted.documents.length === 1 &&
+      budgeted.skipped.some(s => s.url === 'https://ssr.example/privacy' && s.reason === 'byte budget')
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'JavaScript-only policy page was not rendered before extraction',
+    data: checks
+  };
+});
+
+runner.addTest('Policy Discovery Without Page Links', async () => {
+  const probed = [];
+  // Paths that exist; shop.example.com sends unknown paths to its homepage
+  const probePath = async (url) => {
+    probed.push(url);
+    if (url === 'https://example.com/legal/privacy') return url;
+    if (url.startsWith('https://shop.example.com/')) return 'https://shop.example.com/';
+    return null;
+  };
+
+  const fetchPage = async (url) => {
+    if (url === 'https://example.com/sitemap.xml') {
+      return '<urlset><url><loc>https://example.com/blog/launch</loc></url>' +
+        '<url><loc>https://example.com/privacy-policy</loc></url>' +
+        '<url><loc>https://example.com/sitemap-posts.xml</loc></url>' +
+        '<url><loc>https://example.com/privacy-center"onmouseover="alert(1)</loc></url>' +
+        '<url><loc>javascript:alert(1)//privacy</loc></url></urlset>';
+    }
+    if (url === 'https://shop.example.com/') {
+      return '<html><body><a href="/products">Products</a><footer>' +
+        '<a href="/help/data-notice">Privacy Notice</a><a href="/about">About us</a>' +
+        '<a href="https://example.com/terms">Terms</a></footer></body></html>';
+    }
+    return null;
+  };
+
+  const candidates = await discoverPolicyLinks('https://shop.example.com/checkout', {
+    fetchPage,
+    probePath,
+    exclude: ['https://example.com/terms']
+  });
+  const urls = candidates.map(c => c.url);
+
+  const checks = {
+    bothOrigins: probed.includes('https://shop.example.com/privacy') && probed.includes('https://example.com/privacy'),
+    wellKnownFound: urls.includes('https://example.com/legal/privacy'),
+    softNotFoundDropped: !urls.includes('https://shop.example.com/'),
+    sitemapFound: urls.includes('https://example.com/privacy-policy') && !urls.includes('https://example.com/blog/launch'),
+    footerFound: candidates.some(c => c.url === 'https://shop.example.com/help/data-notice' && c.source === 'homepage footer'),
+    excludedSkipped: !urls.includes('https://example.com/terms'),
+    sitemapURLsNormalized: urls.includes('https://example.com/privacy-center%22onmouseover=%22alert(1)') &&
+      urls.every(url => url.startsWith('https://') && !url.includes('"')),
+    // A "Privacy Notice" link on the page's own host outranks a privacy-policy URL
+    rankedByPriority: urls[0] === 'https://shop.example.com/help/data-notice' &&
+      candidates.every((c, i) => i === 0 || candidates[i - 1].priority >= c.priority),
+    registrableDomain: getRegistrableDomain('www.shop.example.co.uk') === 'example.co.uk' &&
+      getRegistrableDomain('shop.example.com') === 'example.com'
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Policy candidates were not discovered or ranked as expected',
+    data: { ...checks, candidates }
+  };
+});
+
+runner.addTest('Links in Shadow Roots, Frames and Link Tags', async () => {
+  const element = (tagName, props = {}) => ({ tagName, id: '', className: '', parentElement: null, ...props });
+  const anchor = (href, text, baseURI = 'https://example.com/checkout') =>
+    element('A', { getAttribute: (name) => (name === 'href' ? href : null), textContent: text, baseURI });
+  const root = (elements, extra = {}) => ({
+    ...extra,
+    querySelectorAll: (selector) => {
+      if (selector === '*') return elements;
+      if (selector === 'a[href]') return elements.filter(e => e.tagName === 'A');
+      if (selector.startsWith('link[')) return elements.filter(e => e.tagName === 'LINK');
+      return [];
+    }
+  });
+
+  const page = root([
+    anchor('/products', 'Products'),
+    element('SITE-FOOTER', { shadowRoot: root([anchor('/privacy-policy', 'Privacy Policy')]) }),
+    element('IFRAME', {
+      contentDocument: root([anchor('cookie-policy', 'Cookie Policy', 'https://example.com/cmp/frame.html')], { documentElement: {} })
+    }),
+    Object.defineProperty(element('IFRAME'), 'contentDocument', {
+      get() { throw new Error('Blocked a frame with origin'); }
+    }),
+    element('LINK', { getAttribute: (name) => ({ rel: 'privacy-policy', href: '/legal/privacy' })[name] })
+  ]);
+
+  const previous = { document: global.document, window: global.window };
+  global.document = page;
+  global.window = { location: { hostname: 'example.com', href: 'https://example.com/checkout' } };
+
+  let links;
+  try {
+    links = findPrivacyPolicyLinks();
+  } finally {
+    global.document = previous.document;
+    global.window = previous.window;
+  }
+
+  const foundIn = Object.fromEntries(links.map(link => [link.url, link.foundIn]));
+
+  const checks = {
+    rootsWalked: collectLinkRoots(page).map(r => r.foundIn).join(',') === 'page,shadow DOM,iframe',
+    shadowLink: foundIn['https://example.com/privacy-policy'] === 'shadow DOM',
+    frameLinkResolvedInFrame: foundIn['https://example.com/cmp/cookie-policy'] === 'iframe',
+    declaredLinkFirst: links[0]?.url === 'https://example.com/legal/privacy' && links[0].foundIn === 'link rel',
+    unrelatedSkipped: !foundIn['https://example.com/products']
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Links outside the main document were missed',
+    data: { ...checks, foundIn }
+  };
+});
+
+runner.addTest('Cookie Catalog Lookup', async () => {
+  const categories = categorizeCookies([
+    { name: '_ga', domain: '.example.com' },
+    { name: '_ga_ABC123', domain: '.example.com' },
+    { name: '_hjSessionUser_12345', domain: '.example.com' },
+    { name: 'address_pref', domain: 'example.com' },
+    { name: 'ad_session', domain: '.adnetwork.com' },
+    { name: 'site_theme', domain: 'example.com' }
+  ]);
+
+  const find = (name) => Object.values(categories).flat().find(cookie => cookie.name === name);
+
+  const checks = {
+    exactMatch: lookupCookie('_ga')?.vendor === 'Google Analytics' && lookupCookie('_ga').match === 'exact',
+    wildcardMatch: lookupCookie('_ga_ABC123')?.match === '_ga_*' && lookupCookie('_hjSessionUser_1')?.vendor === 'Hotjar',
+    policyUrl: lookupCookie('_fbp')?.policyUrl === 'https://www.facebook.com/privacy/policy/',
+    unknownCookie: lookupCookie('address_pref') === null,
+    catalogFirst: find('_ga')?.type === 'analytics' && find('_ga').lifetime === '2 years' && find('_ga').vendor === 'Google Analytics',
+    adPrefixNarrowed: find('address_pref')?.type === 'unknown',
+    regexFallback: find('ad_session')?.type === 'advertising' && find('ad_session').vendor === null,
+    stillUnknown: find('site_theme')?.type === 'unknown'
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Cookies were not looked up in the catalog',
+    data: checks
+  };
+});
+
+runner.addTest('Registrable Domains From the Public Suffix List', async () => {
+  const thirdParty = findThirdPartyCookies([
+    { name: 'session', domain: '.example.co.uk' },
+    { name: 'supercookie', domain: '.co.uk' },
+    { name: 'cart', domain: 'www.example.co.uk' },
+    { name: '_ga', domain: '.example.co.uk.evil.net' },
+    { name: 'IDE', domain: '.doubleclick.net' }
+  ], 'shop.example.co.uk');
+
+  // Cookies read by the service worker: the page's and a tracker's, one seen twice
+  const jar = summarizeCookieJar([
+    { name: 'session', value: 'secret-session-id', domain: 'a.example.com', path: '/' },
+    { name: 'prefs', value: 'dark', domain: '.b.example.com', path: '/' },
+    { name: 'IDE', value: 'tracker-id', domain: '.doubleclick.net', path: '/' },
+    { name: 'IDE', value: 'tracker-id', domain: 'doubleclick.net', path: '/' }
+  ], 'a.example.com');
+
+  // Links as the content script's suffix match ranked them
+  const links = recheckSameSiteLinks([
+    { url: 'https://example.co.uk/privacy', text: 'privacy', isSameDomain: true, priority: 18, foundIn: 'page' },
+    { url: 'https://b.example.com/privacy', text: 'privacy policy', isSameDomain: false, priority: 15, foundIn: 'page' },
+    { url: 'https://legal.example.com/privacy', text: 'privacy policy', isSameDomain: false, priority: 20, foundIn: 'link rel' }
+  ], 'a.example.com');
+  const link = (url) => links.find(entry => entry.url === url);
+
+  const checks = {
+    multiLabelSuffix: getRegistrableDomain('www.shop.example.co.uk') === 'example.co.uk',
+    privateSuffix: getRegistrableDomain('alice.github.io') === 'alice.github.io' && getRegistrableDomain('github.io') === null,
+    wildcardAndException: getRegistrableDomain('foo.bar.ck') === 'foo.bar.ck' && getRegistrableDomain('www.ck') === 'www.ck',
+    ipAddress: getRegistrableDomain('192.168.0.1') === null,
+    subdomainsSameSite: isSameSite('shop.example.com', 'www.example.com'),
+    lookalikeNotSameSite: !isSameSite('example.com.evil.net', 'example.com'),
+    suffixCookieThirdParty: isThirdPartyDomain('.co.uk', 'example.co.uk'),
+    thirdPartyCookies: thirdParty.cookies.map(c => c.name).join(',') === 'supercookie,_ga,IDE' &&
+      thirdParty.domains.includes('doubleclick.net'),
+    cookieJarCounted: jar.cookieCount === 3 && jar.thirdPartyCookies === 1 &&
+      jar.thirdPartyDomains.join() === 'doubleclick.net' && !jar.allCookies.find(c => c.name === 'prefs').isThirdParty,
+    cookieValuesDropped: !JSON.stringify(jar).includes('secret-session-id'),
+    siblingLinkSameSite: link('https://b.example.com/privacy').isSameDomain && link('https://b.example.com/privacy').priority === 18,
+    suffixLinkThirdParty: !link('https://example.co.uk/privacy').isSameDomain && link('https://example.co.uk/privacy').priority === 15,
+    declaredLinkKeepsPriority: link('https://legal.example.com/privacy').isSameDomain && links[0].priority === 20,
+    siteListCoversSubdomains: matchesSiteList('shop.example.com', ['example.com']) &&
+      !matchesSiteList('www.example.com', ['shop.example.com']) &&
+      !matchesSiteList('example.co.uk', ['co.uk'])
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Sites were not compared by registrable domain',
+    data: { ...checks, thirdPartyDomains: thirdParty.domains }
+  };
+});
+
+runner.addTest('Third-Party Requests and Trackers Per Tab', async () => {
+  // In-memory stand-in for chrome.storage.session
+  const data = {};
+  const storage = {
+    async get(key) {
+      if (key === null) return { ...data };
+      return key in data ? { [key]: structuredClone(data[key]) } : {};
+    },
+    async set(items) { Object.assign(data, structuredClone(items)); },
+    async remove(key) { delete data[key]; }
+  };
+
+  const monitor = createRequestMonitor(storage);
+  const request = (url, type = 'script', tabId = 7) => monitor.recordRequest({ tabId, url, type, frameId: 0 });
+
+  request('https://shop.example.com/cart', 'main_frame');
+  request('https://cdn.example.com/app.js');                        // Same site
+  request('https://www.google-analytics.com/g/collect', 'ping');
+  request('https://www.googletagmanager.com/gtag/js');
+  request('https://stats.g.doubleclick.net/j/collect', 'xmlhttprequest');
+  request('https://securepubads.g.doubleclick.net/tag/js/gpt.js');
+  request('https://static.criteo.net/js/ld/publishertag.js');
+  request('https://fonts.gstatic.com/s/font.woff2', 'font');        // Third party, not a tracker
+  request('https://example.com.evil.net/pixel.gif', 'image');       // Lookalike, third party
+  request('https://other.com/widget.js', 'script', 8);              // Another tab, no page on record
+
+  const summary = await monitor.getSummary(7, 'shop.example.com');
+  const otherSite = await monitor.getSummary(7, 'example.org');
+  const unknownTab = await monitor.getSummary(8, 'other.com');
+
+  // Counts reach the saved copy a restarted worker reads
+  await new Promise(resolve => setTimeout(resolve, MONITOR_LIMITS.saveDelayMs + 50));
+  const restarted = createRequestMonitor(storage);
+  await restarted.restore();
+  const restored = await restarted.getSummary(7, 'www.example.com');
+  await monitor.removeTab(7);
+
+  const trackerDomains = summary.trackers.map(t => t.domain).sort().join(',');
+  const doubleclick = summary.domains.find(d => d.domain === 'doubleclick.net');
+
+  // Trackers without cookies still count toward tracking
+  const cookieResult = buildCookieResult({ cookieCount: 0, thirdPartyCookies: 0, documentCookies: [] }, null, summary);
+  const trackingFactor = assessRisk({ hasPolicyLink: true, cookies: cookieResult, network: summary })
+    .breakdown.find(entry => entry.id.includes('TRACKING') || entry.id === 'ESSENTIAL_COOKIES_ONLY');
+
+  const checks = {
+    sameSiteIgnored: !summary.domains.some(d => d.domain === 'example.com'),
+    groupedByRegistrableDomain: doubleclick?.requests === 2 && doubleclick.types.xmlhttprequest === 1 && doubleclick.types.script === 1,
+    trackersClassified: trackerDomains === 'criteo.net,doubleclick.net,google-analytics.com,googletagmanager.com',
+    nonTrackersListed: summary.domains.some(d => d.domain === 'gstatic.com' && !d.tracker) &&
+      summary.domains.some(d => d.domain === 'evil.net'),
+    counts: summary.thirdPartyRequests === 7 && summary.thirdPartyDomains === 6 && summary.byCategory.advertising === 2,
+    otherSiteIgnored: otherSite === null && unknownTab === null,
+    restoredAfterRestart: restored?.thirdPartyRequests === 7,
+    cookieAnalysisSeesTrackers: cookieResult.tracking === true,
+    riskScoringSeesTrackers: trackingFactor?.id === 'SOME_TRACKING'
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Third-party requests were not recorded or scored correctly',
+    data: { ...checks, trackerDomains, trackingFactor: trackingFactor?.id }
+  };
+});
+
+runner.addTest('Web Storage and IndexedDB Identifiers', async () => {
+  // Minimal Storage stand-in
+  const fakeStorage = (entries) => ({
+    get length() { return Object.keys(entries).length; },
+    key: (i) => Object.keys(entries)[i],
+    getItem: (key) => entries[key] ?? null
+  });
+
+  const previous = { window: global.window, indexedDB: global.indexedDB };
+  global.window = {
+    localStorage: fakeStorage({
+      ajs_anonymous_id: '"3f2a9c1e-1b2c-4d5e-8f90-123456789abc"',
+      AMP_4f1c2e: JSON.stringify({ deviceId: 'Xk29sLq8vNz3Pw0aTf7R', optOut: false }),
+      app_device: 'a8Kd93jLq0PzX7vB2mN5qW',
+      theme: 'dark',
+      last_visit: '2024-01-01T10:00:00Z'
+    }),
+    sessionStorage: fakeStorage({ checkout_step: '2' })
+  };
+  global.indexedDB = {
+    databases: async () => [{ name: 'firebase-installations-database', version: 1 }, { name: 'app-cache', version: 3 }]
+  };
+
+  let storageData;
+  try {
+    storageData = await extractStorageData();
+  } finally {
+    global.window = previous.window;
+    global.indexedDB = previous.indexedDB;
+  }
+
+  const report = formatStorageReport(storageData);
+  const item = (key) => report.items.find(entry => entry.key === key);
+
+  const checks = {
+    keysListed: storageData.items.length === 6 && item('checkout_step')?.area === 'sessionStorage',
+    sizesMeasured: item('theme')?.size === ('theme'.length + 'dark'.length) * 2,
+    valuesNotSent: !JSON.stringify(storageData).includes('Xk29sLq8vNz3Pw0aTf7R'),
+    uuidFlagged: item('ajs_anonymous_id')?.identifier === 'uuid' && item('ajs_anonymous_id').vendor === 'Segment',
+    jsonFieldFlagged: item('AMP_4f1c2e')?.identifier === 'random id' && item('AMP_4f1c2e').identifier_field === 'deviceId' &&
+      item('AMP_4f1c2e').vendor === 'Amplitude',
+    unknownIdentifierFlagged: item('app_device')?.identifier === 'random id' && item('app_device').vendor === null,
+    ordinaryValuesNotFlagged: !item('theme').identifier && !item('last_visit').identifier && !item('checkout_step').identifier,
+    knownFirst: report.items[0].vendor !== null && report.items[2].key === 'app_device',
+    databasesMatched: report.databases.find(db => db.name === 'firebase-installations-database')?.vendor === 'Google Firebase' &&
+      report.databases.find(db => db.name === 'app-cache')?.vendor === null,
+    summary: report.identifiers === 3 && report.vendors.length === 3
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Storage identifiers were not found or matched to vendors',
+    data: { ...checks, keys: report.items.map(entry => entry.key) }
+  };
+});
+
+runner.addTest('Fingerprinting Scripts Are Scored', async () => {
+  // Counts as fingerprint-monitor.js reports them, per calling script origin
+  const report = {
+    scripts: [
+      { origin: 'https://www.example.com', canvas: 2, audio: 0, webgl: 0, plugins: 0, fonts: 1 },
+      { origin: 'https://cdn.fpvendor.io', canvas: 1, audio: 1, webgl: 2, plugins: 0, fonts: 0 },
+      { origin: 'https://fonts.widgets.net', canvas: 0, audio: 0, webgl: 0, plugins: 0, fonts: 24 },
+      { origin: 'https://static.example.com', canvas: 0, audio: 0, webgl: 0, plugins: 0, fonts: 3 }
+    ]
+  };
+
+  const assessment = assessFingerprinting(report, 'www.example.com');
+  const script = (origin) => assessment.scripts.find(entry => entry.origin === origin);
+  const formatted = formatFingerprintReport(assessment);
+
+  const scored = assessRisk({ hasPolicyLink: true, fingerprinting: assessment }).breakdown;
+  const possibleOnly = assessRisk({
+    hasPolicyLink: true,
+    fingerprinting: assessFingerprinting({ scripts: [report.scripts[2]] }, 'www.example.com')
+  }).breakdown;
+  const firstPartyCanvas = assessFingerprinting({ scripts: [report.scripts[0]] }, 'www.example.com');
+
+  const checks = {
+    combinedTechniques: script('https://cdn.fpvendor.io')?.level === FINGERPRINT_LEVELS.FINGERPRINTING &&
+      script('https://cdn.fpvendor.io').techniques.join() === 'canvas,audio,webgl' &&
+      script('https://cdn.fpvendor.io').thirdParty === true,
+    fontProbing: script('https://fonts.widgets.net')?.level === FINGERPRINT_LEVELS.POSSIBLE,
+    canvasAloneNotSuspected: script('https://www.example.com')?.level === FINGERPRINT_LEVELS.NONE &&
+      script('https://www.example.com').thirdParty === false,
+    fewFontsIgnored: !script('https://static.example.com'),
+    pageLevel: assessment.level === FINGERPRINT_LEVELS.FINGERPRINTING && assessment.scripts[0].origin === 'https://cdn.fpvendor.io',
+    highFactor: scored.some(entry => entry.id === 'FINGERPRINTING' && entry.tier === 'HIGH_RISK'),
+    mediumFactor: possibleOnly.some(entry => entry.id === 'POSSIBLE_FINGERPRINTING' && entry.tier === 'MEDIUM_RISK'),
+    noneNotScored: firstPartyCanvas.level === FINGERPRINT_LEVELS.NONE &&
+      !assessRisk({ hasPolicyLink: true, fingerprinting: firstPartyCanvas }).breakdown.some(entry => /FINGERPRINTING/.test(entry.id)),
+    noReport: assessFingerprinting(null) === null && formatFingerprintReport(null) === null,
+    labelled: formatted.scripts[0].techniques.includes('WebGL renderer info') && formatted.scripts[0].third_party === true
+  };
+
+  const passed = Object.values(checks).every(Boolean);
+
+  return {
+    passed,
+    reason: passed ? undefined : 'Fingerprinting scripts were not assessed or scored as expected',
+    data: { ...checks, scripts: assessment.scripts.map(entry => `${entry.origin}: ${entry.level}`) }
+  };
+});
+
 // Run tests if this script is executed directly
 if (typeof window === 'undefined') {
   console.log('Running in Node.js environment...');